@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * DecentraLens CLI
+ * Runs the same deterministic audit as the web app against a local directory,
+ * so it can be used from a terminal or as a CI gate.
+ *
+ * Usage: decentralens [directory] [--json | --sarif | --html] [--compare report.json] [--suppressions file.yml] [--rules pack.yml ...] [--max-files n] [--max-bytes n] [--concurrency n]
+ * Exit codes: 0 = audit completed, 1 = LOW READINESS verdict, 2 = analysis failed.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { analyzerService } from '../src/services/analyzer.js';
+import { NodeFileSystemService } from '../src/services/nodeFileSystem.js';
+import { toReportJson, toSarif } from '../src/services/exporters.js';
+import { toHtmlReport } from '../src/services/htmlReport.js';
+import { diffReports } from '../src/services/reportDiff.js';
+import { READINESS_LEVELS, SCAN_BUDGETS, PROFILE_STATUSES } from '../src/data/heuristics.js';
+
+const USAGE = `Usage: decentralens [directory] [options]
+
+Options:
+  --json              Print the report as versioned JSON (public/schema/report-1.0.0.json)
+  --sarif             Print the report as SARIF 2.1.0
+  --html              Print a standalone, printable HTML report
+  --compare <file>    Show what changed since an earlier JSON report (with --json: the diff as JSON)
+  -r, --rules <file>  Load an extra rule pack (JSON or YAML); repeatable
+  --suppressions <f>  Accept findings listed in a .decentralens.yml-style file
+                      (the project's own .decentralens.yml is always read)
+  --max-files <n>     Read at most n files (default ${SCAN_BUDGETS.OFFLINE.maxFiles})
+  --max-bytes <n>     Read at most n bytes in total (default ${SCAN_BUDGETS.OFFLINE.maxBytes})
+  --concurrency <n>   Files read in parallel (default ${SCAN_BUDGETS.OFFLINE.maxConcurrency})
+  -h, --help          Show this help`;
+
+// Positive integer flag, or undefined to keep the default
+const parseCount = (value, flag) => {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0) throw new Error(`${flag} must be a positive integer`);
+    return n;
+};
+
+const printReport = (report) => {
+    const { repoInfo, score, architecture, offline, evidence, limitations, coverage, readiness, profile, workspaces } = report;
+
+    console.log(`DecentraLens // ${repoInfo?.full_name || 'UNKNOWN_TARGET'}`);
+    console.log('');
+    console.log(`Verdict:      ${score.label}`);
+    if (readiness && !score.unscored) {
+        const dimensions = Object.values(readiness.dimensions).map(d => `${d.label} ${d.score}/${d.weight}`).join(', ');
+        console.log(`Score:        ${readiness.score}/100 (${dimensions})`);
+        readiness.caps.filter(c => c.applied).forEach(c => console.log(`              capped at ${c.max} by ${c.category} (${c.signal})`));
+    }
+    console.log(`Architecture: ${architecture}`);
+    console.log(`Offline:      ${offline.status} (${offline.reason})`);
+    console.log('');
+    console.log(score.desc);
+    console.log('');
+
+    if (profile) {
+        console.log('Profile:');
+        Object.values(profile).forEach(dimension => {
+            const status = PROFILE_STATUSES[dimension.status]?.label || dimension.status;
+            const signals = dimension.evidence.map(item => `${item.risk === 'None' ? '+' : '-'}${item.signal}`).join(', ');
+            console.log(`  ${dimension.label.padEnd(20)} ${status.padEnd(12)} ${signals}`.trimEnd());
+        });
+        console.log('');
+    }
+
+    if (workspaces) {
+        const levels = Object.entries(workspaces.rollup.levels).map(([level, n]) => `${n} ${READINESS_LEVELS[level]?.label || level}`).join(', ');
+        console.log(`Workspaces (${workspaces.items.length}, from ${workspaces.sources.join(', ')}): ${levels}`);
+        workspaces.items.forEach(item => {
+            const label = READINESS_LEVELS[item.level]?.label || item.level;
+            console.log(`  ${(item.path || '(root)').padEnd(28)} ${label.padEnd(24)} ${READINESS_LEVELS[item.level]?.unscored ? '     — ' : `${String(item.score).padStart(3)}/100`}  ${item.offline.status.padEnd(18)} ${item.name !== item.path ? item.name : ''}`.trimEnd());
+        });
+        const { weakest } = workspaces.rollup;
+        if (weakest) console.log(`  Weakest: ${weakest.path || '(root)'} (${weakest.score}/100)`);
+        console.log('');
+    }
+
+    console.log(`Evidence (${evidence.length}):`);
+    if (evidence.length === 0) {
+        console.log('  No centralization vectors detected. System clean.');
+    }
+    evidence.forEach(item => {
+        const location = item.file ? `${item.file}${item.line ? `:${item.line}` : ''}` : item.workspace || item.source;
+        const scope = item.scope && item.scope !== 'runtime' ? ` (${item.scope}${item.counted === false ? ', not scored' : ''})` : '';
+        const points = item.scoring?.points > 0 ? ` -${item.scoring.points} pts` : '';
+        console.log(`  [${item.risk}] ${item.signal} @ ${location}${scope}${points}`);
+        if (item.chain) console.log(`      via ${item.chain.join(' → ')}`);
+        if (item.endpoint?.target) console.log(`      → ${item.endpoint.target} [${item.endpoint.class}]`);
+        if (item.failureMode) console.log(`      ${item.failureMode}`);
+        if (item.suppressed) console.log(`      ACCEPTED: ${item.suppressed.reason}${item.suppressed.expires ? ` (until ${item.suppressed.expires})` : ''}`);
+    });
+
+    if (coverage) {
+        const reasons = Object.entries(coverage.skippedByReason).map(([reason, n]) => `${n} ${reason}`).join(', ');
+        console.log('');
+        console.log(`Coverage:     ${coverage.filesScanned} file(s), ${coverage.bytesScanned} bytes read; ${coverage.filesSkipped} skipped${reasons ? ` (${reasons})` : ''}`);
+    }
+
+    if (limitations && limitations.length > 0) {
+        console.log('');
+        limitations.forEach(lim => console.log(`[DISCLAIMER] ${lim}`));
+    }
+};
+
+const printDiff = (diff) => {
+    const { base, head, verdict, offline, added, removed, changed, unchanged } = diff;
+    const location = (item) => item.file ? `${item.file}${Number.isInteger(item.line) ? `:${item.line}` : ''}` : item.source;
+
+    console.log(`DecentraLens // ${base.label} → ${head.label}`);
+    console.log('');
+    console.log(`Verdict:      ${verdict.changed ? `${verdict.from} → ${verdict.to}` : `${verdict.to} (unchanged)`}`);
+    if (verdict.score.from !== null && verdict.score.to !== null) {
+        console.log(`Score:        ${verdict.score.from === verdict.score.to ? `${verdict.score.to} (unchanged)` : `${verdict.score.from} → ${verdict.score.to}`}`);
+    }
+    console.log(`Offline:      ${offline.changed ? `${offline.from} → ${offline.to}` : `${offline.to} (unchanged)`}`);
+    console.log('');
+    console.log(`Evidence:     +${added.length} added, -${removed.length} removed, ${changed.length} changed, ${unchanged} unchanged`);
+
+    added.forEach(item => console.log(`  + [${item.risk}] ${item.signal} @ ${location(item)} (${item.ruleId || 'analyzer'})`));
+    removed.forEach(item => console.log(`  - [${item.risk}] ${item.signal} @ ${location(item)} (${item.ruleId || 'analyzer'})`));
+    changed.forEach(({ ruleId, fields, before, after }) => {
+        const changes = fields.map(field => `${field} ${before[field] ?? '-'} → ${after[field] ?? '-'}`).join(', ');
+        console.log(`  ~ ${after.signal} @ ${location(after)} (${ruleId || 'analyzer'}): ${changes}`);
+    });
+};
+
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                json: { type: 'boolean', default: false },
+                sarif: { type: 'boolean', default: false },
+                html: { type: 'boolean', default: false },
+                compare: { type: 'string' },
+                suppressions: { type: 'string' },
+                rules: { type: 'string', short: 'r', multiple: true, default: [] },
+                'max-files': { type: 'string' },
+                'max-bytes': { type: 'string' },
+                concurrency: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        console.error(`[ERROR] ${err.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (args.values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (['json', 'sarif', 'html'].filter(format => args.values[format]).length > 1) {
+        console.error('[ERROR] --json, --sarif and --html are mutually exclusive');
+        return 2;
+    }
+    if (args.values.compare && (args.values.sarif || args.values.html)) {
+        console.error('[ERROR] --compare only combines with --json');
+        return 2;
+    }
+
+    let budget;
+    try {
+        budget = {
+            maxFiles: parseCount(args.values['max-files'], '--max-files'),
+            maxBytes: parseCount(args.values['max-bytes'], '--max-bytes'),
+            maxConcurrency: parseCount(args.values.concurrency, '--concurrency')
+        };
+    } catch (err) {
+        console.error(`[ERROR] ${err.message}`);
+        return 2;
+    }
+
+    for (const packPath of args.values.rules) {
+        analyzerService.loadRulePack(await readFile(packPath, 'utf8'));
+    }
+
+    const provider = new NodeFileSystemService(args.positionals[0] || '.');
+    const suppressions = args.values.suppressions ? await readFile(args.values.suppressions, 'utf8') : undefined;
+    const report = await analyzerService._runAnalysis(provider, { type: 'OFFLINE' }, { budget, suppressions });
+
+    if (args.values.compare) {
+        const diff = diffReports(JSON.parse(await readFile(args.values.compare, 'utf8')), report);
+        if (args.values.json) console.log(JSON.stringify(diff, null, 2));
+        else printDiff(diff);
+    } else if (args.values.json) {
+        console.log(JSON.stringify(toReportJson(report), null, 2));
+    } else if (args.values.sarif) {
+        console.log(JSON.stringify(toSarif(report), null, 2));
+    } else if (args.values.html) {
+        process.stdout.write(toHtmlReport(report));
+    } else {
+        printReport(report);
+    }
+
+    return report.score === READINESS_LEVELS.LOW ? 1 : 0;
+};
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error(`[ERROR] ${err.message || 'Analysis failed'}`);
+        process.exitCode = 2;
+    });
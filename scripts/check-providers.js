@@ -0,0 +1,124 @@
+/**
+ * Provider Check
+ * Runs online scans against local mock GitLab and Gitea instances (node:http,
+ * no network) and asserts what the providers must get right: instance
+ * detection, base URLs under a path, refs containing slashes, tree
+ * pagination and raw files at the resolved commit. Run with `npm run check`.
+ */
+
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { analyzerService } from '../src/services/analyzer.js';
+
+const SHA = 'abc123def4567890abc123def4567890abc12345';
+const REF = 'feature/x';
+
+// One project, scoped to app/ by the scanned URL; enough files for several tree pages
+const FILES = {
+    'README.md': '# mock',
+    'app/package.json': JSON.stringify({ name: 'app', dependencies: { firebase: '^10.0.0' } })
+};
+for (let i = 0; i < 149; i++) FILES[`app/src/f${i}.js`] = `export const x${i} = ${i};`;
+const PATHS = Object.keys(FILES);
+
+const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+// Page of `list` as the request asks, but never more than the instance's own cap
+const pageOf = (list, query, cap) => {
+    const size = Math.min(Number(query.get('per_page') || 20), cap);
+    const page = Number(query.get('page') || 1);
+    return { items: list.slice((page - 1) * size, page * size), more: page * size < list.length, page };
+};
+
+// GitLab at the server root: found by the API probe, project in a nested group
+const gitlab = (req, res, url) => {
+    if (url.pathname === '/api/v4/version') return send(res, 401, {});
+    const match = req.url.split('?')[0].match(/^\/api\/v4\/projects\/([^/]+)(\/.*)?$/);
+    if (!match || decodeURIComponent(match[1]) !== 'group/sub/proj') return send(res, 404, {});
+    const rest = match[2] || '';
+    if (!rest) return send(res, 200, { path_with_namespace: 'group/sub/proj', default_branch: 'main' });
+
+    const commit = rest.match(/^\/repository\/commits\/(.+)$/);
+    if (commit) return decodeURIComponent(commit[1]) === REF ? send(res, 200, { id: SHA }) : send(res, 404, {});
+    if (rest === '/repository/tree' && url.searchParams.get('ref') === SHA) {
+        const entries = [{ path: 'app', type: 'tree' }, { path: 'app/src', type: 'tree' }, ...PATHS.map(path => ({ path, type: 'blob' }))];
+        const { items, more, page } = pageOf(entries, url.searchParams, 100);
+        return send(res, 200, items, { 'X-Next-Page': more ? String(page + 1) : '' });
+    }
+    const raw = rest.match(/^\/repository\/files\/([^/]+)\/raw$/);
+    const file = raw && decodeURIComponent(raw[1]);
+    if (file && url.searchParams.get('ref') === SHA && FILES[file] != null) return send(res, 200, FILES[file]);
+    send(res, 404, {});
+};
+
+// Gitea under /git: needs an explicit base URL, and caps tree pages below what is asked
+const gitea = (req, res, url) => {
+    const api = '/git/api/v1/repos/own/repo';
+    if (url.pathname === api) return send(res, 200, { full_name: 'own/repo', default_branch: 'main' });
+    if (url.pathname === `${api}/commits`) return url.searchParams.get('sha') === REF ? send(res, 200, [{ sha: SHA }]) : send(res, 404, {});
+    if (url.pathname === `${api}/git/trees/${SHA}`) {
+        const entries = [{ path: 'app', type: 'tree' }, ...PATHS.map(path => ({ path, type: 'blob', size: FILES[path].length }))];
+        const { items, more } = pageOf(entries, url.searchParams, 50);
+        return send(res, 200, { tree: items, truncated: more });
+    }
+    const file = url.pathname.startsWith(`${api}/raw/`) && decodeURIComponent(url.pathname.slice(`${api}/raw/`.length));
+    if (file && url.searchParams.get('ref') === SHA && FILES[file] != null) return send(res, 200, FILES[file]);
+    send(res, 404, {});
+};
+
+const serve = (handler) => new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        handler(req, res, new URL(req.url, 'http://mock'));
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, origin: `http://127.0.0.1:${server.address().port}` }));
+});
+
+// What both scans must show, whatever the host
+const expectScan = (report, { kind, baseUrl, target }) => {
+    assert.equal(report.repoInfo.full_name, target);
+    assert.deepEqual(report.revision, { provider: kind, baseUrl, ref: REF, commitSha: SHA, path: 'app' });
+    assert.equal(report.coverage.treeTruncated, false);
+    assert.equal(report.coverage.filesScanned, 80);
+    assert.deepEqual(report.evidence.filter(e => e.source === 'Dependency').map(e => `${e.signal} @ ${e.file}`), ['Dep: firebase @ package.json']);
+};
+
+const CASES = [
+    {
+        name: 'GitLab: probed instance, nested group, slashed ref, paginated tree',
+        handler: gitlab,
+        run: ({ origin }) => analyzerService.analyzeRepo(`${origin}/group/sub/proj/-/tree/${REF}/app`),
+        expect: (report, { origin, requests }) => {
+            expectScan(report, { kind: 'gitlab', baseUrl: origin, target: 'group/sub/proj' });
+            assert.equal(requests.filter(url => url.includes('/repository/tree?')).length, 2);
+        }
+    },
+    {
+        name: 'Gitea: base URL under a path, slashed ref, capped tree pages',
+        handler: gitea,
+        run: ({ origin }) => analyzerService.analyzeRepo(`${origin}/git/own/repo/src/branch/${REF}/app`, { provider: { kind: 'gitea', baseUrl: `${origin}/git` } }),
+        expect: (report, { origin, requests }) => {
+            expectScan(report, { kind: 'gitea', baseUrl: `${origin}/git`, target: 'own/repo' });
+            assert.equal(requests.filter(url => url.includes('/git/trees/')).length, 4);
+        }
+    }
+];
+
+let failed = 0;
+for (const check of CASES) {
+    const mock = await serve(check.handler);
+    try {
+        check.expect(await check.run(mock), mock);
+        console.log(`ok   ${check.name}`);
+    } catch (err) {
+        failed++;
+        console.log(`FAIL ${check.name}\n     ${err.message.split('\n').join('\n     ')}`);
+    } finally {
+        mock.server.close();
+    }
+}
+process.exitCode = failed > 0 ? 1 : 0;
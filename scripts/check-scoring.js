@@ -0,0 +1,58 @@
+/**
+ * Scoring Check
+ * Scans small generated projects with the headless engine and asserts the
+ * verdicts the scoring model promises. Run with `npm run check`.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { analyzerService } from '../src/services/analyzer.js';
+import { NodeFileSystemService } from '../src/services/nodeFileSystem.js';
+
+// Each case: project files (path -> content) and what its report must show
+const CASES = [
+    {
+        name: 'gateway, same-origin and localhost calls deduct nothing',
+        files: {
+            'package.json': JSON.stringify({ name: 'endpoints', dependencies: { react: '^19.0.0' } }),
+            'src/api.js': [
+                "export const items = () => fetch('/api/items');",
+                "export const status = () => fetch('http://localhost:8080/status');",
+                "export const pinned = () => fetch('https://ipfs.io/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG');"
+            ].join('\n')
+        },
+        expect: (report) => {
+            const classes = report.evidence.map(item => item.endpoint?.class).filter(Boolean).sort();
+            assert.deepEqual(classes, ['gateway', 'localhost', 'same-origin']);
+            assert.equal(report.readiness.score, 100);
+            assert.equal(report.readiness.level, 'HIGH');
+        }
+    }
+];
+
+const scan = async (files) => {
+    const root = await mkdtemp(join(tmpdir(), 'decentralens-check-'));
+    try {
+        for (const [path, content] of Object.entries(files)) {
+            await mkdir(dirname(join(root, path)), { recursive: true });
+            await writeFile(join(root, path), content);
+        }
+        return await analyzerService._runAnalysis(new NodeFileSystemService(root), { type: 'OFFLINE' });
+    } finally {
+        await rm(root, { recursive: true, force: true });
+    }
+};
+
+let failed = 0;
+for (const check of CASES) {
+    try {
+        check.expect(await scan(check.files));
+        console.log(`ok   ${check.name}`);
+    } catch (err) {
+        failed++;
+        console.log(`FAIL ${check.name}\n     ${err.message.split('\n').join('\n     ')}`);
+    }
+}
+process.exitCode = failed > 0 ? 1 : 0;
@@ -1,70 +1,234 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { Button } from './components/Button';
 import { Card } from './components/Card';
 import { Input } from './components/Input';
 import { ReportView } from './components/ReportView';
+import { CompareView } from './components/CompareView';
+import { GitHubAuth } from './components/GitHubAuth';
+import { HistoryPanel } from './components/HistoryPanel';
+import { SuppressionSettings } from './components/SuppressionSettings';
 import { analyzerService } from './services/analyzer';
+import { githubService } from './services/github';
+import { PROVIDER_KINDS } from './services/providers';
+import { diffReports } from './services/reportDiff';
+import { historyService } from './services/history';
+import { getUserSuppressions } from './services/suppressions';
+import { SCAN_BUDGETS } from './data/heuristics';
 
 const PRELOADED_EXAMPLES = [
   { name: 'Redux Toolkit', url: 'https://github.com/reduxjs/redux-toolkit' },
   { name: 'Supabase', url: 'https://github.com/supabase/supabase' },
 ];
 
+// Scan budget fields; bytes are entered in MB
+const BUDGET_FIELDS = [
+  { key: 'maxFiles', label: 'files', scale: 1 },
+  { key: 'maxBytes', label: 'MB', scale: 1024 * 1024 },
+  { key: 'maxConcurrency', label: 'concurrent', scale: 1 },
+];
+
+// Form values -> options.budget; blank fields keep the default for the scan type
+const parseBudget = (values) => Object.fromEntries(BUDGET_FIELDS.map(({ key, label, scale }) => {
+  const value = values[key].trim();
+  if (!value) return [key, undefined];
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`Scan budget (${label}) must be a positive integer`);
+  return [key, n * scale];
+}));
+
 function App() {
   const [url, setUrl] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [report, setReport] = useState(null);
-  const [mode, setMode] = useState('online'); // 'online' | 'offline'
+  const [mode, setMode] = useState('online'); // 'online' | 'offline' | 'archive' | 'compare'
+  const [comparison, setComparison] = useState(null); // diffReports() result
+  const [compareRefs, setCompareRefs] = useState({ base: '', head: '' });
+  const reportsInput = useRef(null);
+  const [progress, setProgress] = useState(null); // { message, done, total }
+  const [liveEvidence, setLiveEvidence] = useState([]);
+  const scanController = useRef(null);
+  const [rateLimit, setRateLimit] = useState(githubService.rateLimit);
+  const [dragActive, setDragActive] = useState(false);
+  const archiveInput = useRef(null);
+  const [instance, setInstance] = useState({ kind: '', baseUrl: '' }); // self-hosted override, '' = auto-detect
+  const [budget, setBudget] = useState({ maxFiles: '', maxBytes: '', maxConcurrency: '' }); // '' = default
+  const [historyNotice, setHistoryNotice] = useState(null); // shown by HistoryPanel, e.g. a failed save
 
-  const handleAnalyze = async (repoUrl) => {
-    const targetUrl = repoUrl || url;
-    if (!targetUrl) return;
+  useEffect(() => githubService.onRateLimitChange(setRateLimit), []);
+
+  // Progress, cancellation, budget and user suppressions, shared by every scan mode.
+  // Returns null (with the error shown) when the budget fields don't parse.
+  const startScan = () => {
+    let scanBudget;
+    try {
+      scanBudget = parseBudget(budget);
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
 
     setLoading(true);
     setError(null);
     setReport(null);
+    setComparison(null);
+    setProgress({ message: 'Mapping project tree...', done: 0, total: 0 });
+    setLiveEvidence([]);
+    scanController.current = new AbortController();
+
+    return {
+      signal: scanController.current.signal,
+      budget: scanBudget,
+      suppressions: getUserSuppressions() || undefined,
+      onProgress: (event) => {
+        if (event.evidence?.length) setLiveEvidence(prev => [...prev, ...event.evidence]);
+        setProgress(prev => ({
+          message: event.phase === 'files' ? `Analyzed ${event.file}` : event.message,
+          done: event.done ?? prev?.done ?? 0,
+          total: event.total ?? prev?.total ?? 0
+        }));
+      }
+    };
+  };
+
+  const finishScan = () => {
+    scanController.current = null;
+    setProgress(null);
+    setLoading(false);
+  };
+
+  const cancelScan = () => scanController.current?.abort();
+
+  // Every finished scan is kept in the local history
+  const showReport = (result) => {
+    setReport(result);
+    if (historyService.available) {
+      historyService.save(result)
+        .then(() => setHistoryNotice(null))
+        .catch(err => setHistoryNotice(`Could not save the last scan: ${err.message}`));
+    }
+  };
+
+  const providerOverride = () => instance.kind ? { kind: instance.kind, baseUrl: instance.baseUrl.trim() || undefined } : undefined;
+
+  const handleAnalyze = async (repoUrl) => {
+    const targetUrl = repoUrl || url;
+    if (!targetUrl) return;
+
+    const options = startScan();
+    if (!options) return;
 
     try {
-      const result = await analyzerService.analyzeRepo(targetUrl);
-      setReport(result);
+      const result = await analyzerService.analyzeRepo(targetUrl, { ...options, provider: providerOverride() });
+      showReport(result);
     } catch (err) {
-      setError(err.message);
+      if (err.name === 'AbortError') {
+          console.log('Scan cancelled');
+      } else {
+          setError(err.message);
+      }
     } finally {
-      setLoading(false);
+      finishScan();
     }
   };
 
   const handleLocalAnalyze = async () => {
-      setLoading(true);
-      setError(null);
-      setReport(null);
+      const options = startScan();
+      if (!options) return;
 
       try {
           // 1. Prompt for directory
           if (!window.showDirectoryPicker) {
-              throw new Error('Your browser does not support the File System Access API. Please use Chrome or Edge.');
+              throw new Error('Your browser does not support the File System Access API. Please use Chrome or Edge, or upload the project as an archive.');
           }
           const dirHandle = await window.showDirectoryPicker();
           
           // 2. Run analysis
-          const result = await analyzerService.analyzeLocal(dirHandle);
-          setReport(result);
+          const result = await analyzerService.analyzeLocal(dirHandle, options);
+          showReport(result);
 
       } catch (err) {
           if (err.name === 'AbortError') {
-              // User cancelled
-              console.log('User cancelled folder selection');
+              // User cancelled the folder picker or the scan
+              console.log('User cancelled folder selection or scan');
           } else {
               setError(err.message || 'Failed to access local folder');
           }
       } finally {
-          setLoading(false);
+          finishScan();
+      }
+  };
+
+  const handleArchiveAnalyze = async (file) => {
+      if (!file) return;
+      const options = startScan();
+      if (!options) return;
+
+      try {
+          // Decompressed in the browser; nothing is uploaded anywhere
+          const result = await analyzerService.analyzeArchive(file, options);
+          showReport(result);
+      } catch (err) {
+          if (err.name === 'AbortError') {
+              console.log('Scan cancelled');
+          } else {
+              setError(err.message || 'Failed to read archive');
+          }
+      } finally {
+          finishScan();
+      }
+  };
+
+  const handleArchiveDrop = (e) => {
+      e.preventDefault();
+      setDragActive(false);
+      if (!loading) handleArchiveAnalyze(e.dataTransfer.files[0]);
+  };
+
+  // Scan the same repository at two refs, one after the other
+  const handleCompareRefs = async () => {
+      if (!url || !compareRefs.base.trim() || !compareRefs.head.trim()) return;
+      const options = startScan();
+      if (!options) return;
+
+      try {
+          const provider = providerOverride();
+          const base = await analyzerService.analyzeRepo(url, { ...options, provider, ref: compareRefs.base.trim() });
+          const head = await analyzerService.analyzeRepo(url, { ...options, provider, ref: compareRefs.head.trim() });
+          setComparison(diffReports(base, head));
+      } catch (err) {
+          if (err.name === 'AbortError') {
+              console.log('Scan cancelled');
+          } else {
+              setError(err.message);
+          }
+      } finally {
+          finishScan();
+      }
+  };
+
+  // Two exported JSON reports; the older one is the baseline
+  const handleCompareFiles = async (files) => {
+      setError(null);
+      try {
+          if (files.length !== 2) throw new Error('Choose exactly two exported JSON reports.');
+          const reports = await Promise.all([...files].map(async file => {
+              try {
+                  return JSON.parse(await file.text());
+              } catch {
+                  throw new Error(`${file.name} is not valid JSON.`);
+              }
+          }));
+          reports.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+          setComparison(diffReports(reports[0], reports[1]));
+      } catch (err) {
+          setError(err.message);
       }
   };
 
   const reset = () => {
     setReport(null);
+    setComparison(null);
     setUrl('');
     setError(null);
   };
@@ -95,11 +259,19 @@ function App() {
              <span style={{ width: '6px', height: '6px', background: 'var(--neon-primary)', borderRadius: '50%', boxShadow: '0 0 10px var(--neon-primary)' }}></span>
             NO_TOKENS_REQ
           </span>
+          {rateLimit && (
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }} title={`Resets at ${new Date(rateLimit.reset).toLocaleTimeString()}`}>
+              <span style={{ width: '6px', height: '6px', background: rateLimit.remaining > 5 ? 'var(--neon-primary)' : 'var(--neon-warn)', borderRadius: '50%', boxShadow: `0 0 10px ${rateLimit.remaining > 5 ? 'var(--neon-primary)' : 'var(--neon-warn)'}` }}></span>
+              API_QUOTA: {Math.max(0, rateLimit.remaining)}{rateLimit.limit ? `/${rateLimit.limit}` : ''}
+            </span>
+          )}
         </div>
       </header>
 
       <main>
-        {report ? (
+        {comparison ? (
+          <CompareView diff={comparison} onReset={reset} />
+        ) : report ? (
           <ReportView report={report} onReset={reset} />
         ) : (
           <div className="fade-in-up" style={{ maxWidth: '800px', margin: '0 auto', textAlign: 'center' }}>
@@ -128,7 +300,7 @@ function App() {
                         paddingBottom: '0.5rem', transition: 'all 0.3s'
                     }}
                 >
-                    GITHUB URL (ONLINE)
+                    REPOSITORY URL (ONLINE)
                  </button>
                  <button 
                     onClick={() => setMode('offline')} 
@@ -142,23 +314,102 @@ function App() {
                  >
                     LOCAL FOLDER (OFFLINE)
                  </button>
+                 <button 
+                    onClick={() => setMode('archive')} 
+                     style={{ 
+                        background: 'none', border: 'none', 
+                        color: mode === 'archive' ? 'var(--neon-secondary)' : 'var(--text-muted)',
+                        fontWeight: '700', cursor: 'pointer',
+                        borderBottom: mode === 'archive' ? '1px solid var(--neon-secondary)' : '1px solid transparent',
+                        paddingBottom: '0.5rem', transition: 'all 0.3s'
+                    }}
+                 >
+                    ARCHIVE (.ZIP / .TAR.GZ)
+                 </button>
+                 <button 
+                    onClick={() => setMode('compare')} 
+                     style={{ 
+                        background: 'none', border: 'none', 
+                        color: mode === 'compare' ? 'var(--neon-primary)' : 'var(--text-muted)',
+                        fontWeight: '700', cursor: 'pointer',
+                        borderBottom: mode === 'compare' ? '1px solid var(--neon-primary)' : '1px solid transparent',
+                        paddingBottom: '0.5rem', transition: 'all 0.3s'
+                    }}
+                 >
+                    COMPARE
+                 </button>
              </div>
 
             {/* Main Input Card */}
-            <div className="glass-card animate-float" style={{ padding: '0.75rem', display: 'flex', gap: '1rem', border: `1px solid ${mode === 'online' ? 'rgba(255,255,255,0.08)' : 'rgba(0, 210, 255, 0.2)'}` }}>
+            <div className="glass-card animate-float" style={{ padding: '0.75rem', display: 'flex', gap: '1rem', border: `1px solid ${mode === 'online' || mode === 'compare' ? 'rgba(255,255,255,0.08)' : 'rgba(0, 210, 255, 0.2)'}` }}>
                 
                 {mode === 'online' ? (
                     <>
                         <Input 
                         value={url} 
                         onChange={(e) => setUrl(e.target.value)} 
-                        placeholder="github.com/owner/repository" 
+                        placeholder="github.com | gitlab.com | codeberg.org /owner/repository" 
                         style={{ background: 'transparent', border: 'none', fontSize: '1.1rem', paddingLeft: '1.5rem' }}
                         />
                         <Button onClick={() => handleAnalyze()} disabled={loading} style={{ minWidth: '160px', height: 'auto', borderRadius: '6px' }}>
                             {loading ? 'Scanning...' : 'Execute Scan'}
                         </Button>
                     </>
+                ) : mode === 'compare' ? (
+                    <div style={{ display: 'flex', flexDirection: 'column', width: '100%', gap: '0.75rem' }}>
+                        <Input 
+                        value={url} 
+                        onChange={(e) => setUrl(e.target.value)} 
+                        placeholder="Repository URL" 
+                        style={{ background: 'transparent', border: 'none', fontSize: '1.1rem', paddingLeft: '1.5rem' }}
+                        />
+                        <div style={{ display: 'flex', gap: '0.75rem' }}>
+                            <Input
+                                value={compareRefs.base}
+                                onChange={(e) => setCompareRefs({ ...compareRefs, base: e.target.value })}
+                                placeholder="Base ref (e.g. v1.0.0)"
+                                style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+                            />
+                            <Input
+                                value={compareRefs.head}
+                                onChange={(e) => setCompareRefs({ ...compareRefs, head: e.target.value })}
+                                placeholder="Head ref (e.g. main)"
+                                style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+                            />
+                            <Button onClick={handleCompareRefs} disabled={loading} style={{ minWidth: '160px', height: 'auto', borderRadius: '6px' }}>
+                                {loading ? 'Scanning...' : 'Compare Refs'}
+                            </Button>
+                        </div>
+                        <input
+                            ref={reportsInput}
+                            type="file"
+                            accept=".json,application/json"
+                            multiple
+                            style={{ display: 'none' }}
+                            onChange={(e) => { handleCompareFiles(e.target.files); e.target.value = ''; }}
+                        />
+                        <Button variant="info" onClick={() => reportsInput.current?.click()} disabled={loading} style={{ width: '100%', height: '44px', borderRadius: '6px', border: '1px dashed var(--neon-secondary)', color: 'var(--neon-secondary)', background: 'rgba(0,0,0,0.3)' }}>
+                            📑 Or choose two exported JSON reports
+                        </Button>
+                    </div>
+                ) : mode === 'archive' ? (
+                    <div
+                        onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+                        onDragLeave={() => setDragActive(false)}
+                        onDrop={handleArchiveDrop}
+                        style={{ display: 'flex', width: '100%', alignItems: 'center', justifyContent: 'center', padding: '1rem' }}
+                    >
+                        <input
+                            ref={archiveInput}
+                            type="file"
+                            accept=".zip,.tar.gz,.tgz,.tar"
+                            style={{ display: 'none' }}
+                            onChange={(e) => { handleArchiveAnalyze(e.target.files[0]); e.target.value = ''; }}
+                        />
+                        <Button variant="info" onClick={() => archiveInput.current?.click()} disabled={loading} style={{ width: '100%', height: '80px', borderRadius: '6px', border: '1px dashed var(--neon-secondary)', color: 'var(--neon-secondary)', background: dragActive ? 'rgba(0, 210, 255, 0.1)' : 'rgba(0,0,0,0.3)' }}>
+                            {loading ? 'Unpacking Archive...' : '🗜 Drop a .zip / .tar.gz here or click to choose'}
+                        </Button>
+                    </div>
                 ) : (
                     <div style={{ display: 'flex', width: '100%', alignItems: 'center', justifyContent: 'center', padding: '1rem' }}>
                         <Button variant="info" onClick={handleLocalAnalyze} disabled={loading} style={{ width: '100%', height: '50px', borderRadius: '6px', border: '1px dashed var(--neon-secondary)', color: 'var(--neon-secondary)', background: 'rgba(0,0,0,0.3)' }}>
@@ -168,6 +419,39 @@ function App() {
                 )}
             </div>
             
+            {/* Live Scan Progress */}
+            {loading && progress && (
+                <div style={{ marginTop: '1.5rem', textAlign: 'left', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem', gap: '1rem' }}>
+                        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {progress.total > 0 && `[${progress.done}/${progress.total}] `}{progress.message}
+                        </span>
+                        <button
+                            onClick={cancelScan}
+                            style={{ background: 'none', border: '1px solid var(--neon-risk)', color: 'var(--neon-risk)', borderRadius: '4px', padding: '0.25rem 0.75rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', cursor: 'pointer' }}
+                        >
+                            CANCEL
+                        </button>
+                    </div>
+                    {rateLimit?.waitingUntil && (
+                        <div style={{ marginBottom: '0.5rem', color: 'var(--neon-warn)' }}>
+                            GitHub API quota used up. Requests queued until {new Date(rateLimit.waitingUntil).toLocaleTimeString()} (add a token for a higher quota).
+                        </div>
+                    )}
+                    <div style={{ height: '2px', background: 'var(--border-glass)' }}>
+                        <div style={{ height: '100%', width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`, background: 'var(--neon-primary)', boxShadow: '0 0 10px var(--neon-primary)', transition: 'width 0.2s' }}></div>
+                    </div>
+                    {liveEvidence.slice(-5).map((item, i) => (
+                        <div key={i} style={{ marginTop: '0.35rem', display: 'flex', gap: '1rem' }}>
+                            <span style={{ color: item.risk === 'High' ? 'var(--neon-risk)' : item.risk === 'Medium' ? 'var(--neon-warn)' : 'var(--neon-primary)' }}>[{item.risk}]</span>
+                            <span style={{ color: 'var(--text-primary)' }}>{item.signal}</span>
+                            <span style={{ marginLeft: 'auto', opacity: 0.6 }}>{item.file}{item.line ? `:${item.line}` : ''}</span>
+                        </div>
+                    ))}
+                    {liveEvidence.length > 5 && <div style={{ marginTop: '0.35rem', opacity: 0.5 }}>+{liveEvidence.length - 5} more findings so far</div>}
+                </div>
+            )}
+
             {/* Error Display */}
             {error && (
                   <div style={{ marginTop: '1.5rem', color: 'var(--neon-risk)', fontFamily: 'var(--font-mono)', fontSize: '0.9rem', textShadow: '0 0 10px rgba(255, 62, 62, 0.4)' }}>
@@ -175,6 +459,52 @@ function App() {
                   </div>
             )}
 
+            {/* Scan Budget (all scan modes) */}
+            {!loading && (
+                <div style={{ marginTop: '1rem', display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '0.75rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                    BUDGET:
+                    {BUDGET_FIELDS.map(({ key, label, scale }) => (
+                        <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+                            <Input
+                                type="number"
+                                value={budget[key]}
+                                onChange={(e) => setBudget({ ...budget, [key]: e.target.value })}
+                                placeholder={String(SCAN_BUDGETS[mode === 'online' || mode === 'compare' ? 'ONLINE' : 'OFFLINE'][key] / scale)}
+                                style={{ width: '90px', padding: '0.35rem 0.75rem', fontSize: '0.75rem' }}
+                            />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            {/* Instance Type & Optional Token (Online Only) */}
+            {(mode === 'online' || mode === 'compare') && !loading && (
+                <>
+                    <div style={{ marginTop: '1rem', display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '0.75rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                        HOST:
+                        <select
+                            value={instance.kind}
+                            onChange={(e) => setInstance({ ...instance, kind: e.target.value })}
+                            style={{ background: 'rgba(0,0,0,0.3)', color: 'var(--text-secondary)', border: '1px solid var(--border-glass)', borderRadius: '4px', padding: '0.25rem 0.5rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem' }}
+                        >
+                            <option value="">Auto-detect from URL</option>
+                            <option value="gitlab">Self-hosted {PROVIDER_KINDS.gitlab.label}</option>
+                            <option value="gitea">Self-hosted {PROVIDER_KINDS.gitea.label}</option>
+                        </select>
+                        {instance.kind && (
+                            <Input
+                                value={instance.baseUrl}
+                                onChange={(e) => setInstance({ ...instance, baseUrl: e.target.value })}
+                                placeholder="Base URL (default: URL origin)"
+                                style={{ width: '280px', padding: '0.35rem 0.75rem', fontSize: '0.75rem' }}
+                            />
+                        )}
+                    </div>
+                    <GitHubAuth />
+                </>
+            )}
+
             {/* Quick Actions (Online Only) */}
             {mode === 'online' && (
                 <div style={{ marginTop: '3rem', display: 'flex', justifyContent: 'center', gap: '1rem' }}>
@@ -210,6 +540,12 @@ function App() {
                 </div>
             )}
 
+            {/* Accepted Findings (all modes) */}
+            {!loading && <SuppressionSettings />}
+
+            {/* Saved Scans */}
+            {!loading && <HistoryPanel onOpen={setReport} initialNotice={historyNotice} />}
+
           </div>
         )}
       </main>
@@ -0,0 +1,137 @@
+import { Button } from './Button';
+import { Card } from './Card';
+import { Badge } from './Badge';
+
+const getVariant = (risk) => {
+  if (risk === 'High') return 'risk';
+  if (risk === 'Medium') return 'warn';
+  return 'safe';
+};
+
+const location = (item) => item.file ? `${item.file}${Number.isInteger(item.line) ? `:${item.line}` : ''}` : item.source;
+
+const headerCell = { padding: '0.75rem 1rem', color: 'var(--text-muted)', fontWeight: '600', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', letterSpacing: '0.05em' };
+const cell = { padding: '0.75rem 1rem', verticalAlign: 'top' };
+
+const Movement = ({ title, from, to, changed, score }) => (
+  <Card style={{ border: `1px solid ${changed ? 'var(--neon-warn)' : 'var(--border-glass)'}` }}>
+    <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', letterSpacing: '0.1em', marginBottom: '1rem', fontFamily: 'var(--font-mono)' }}>// {title}</div>
+    <div style={{ fontFamily: 'var(--font-mono)', fontSize: '1rem', display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
+      <span style={{ color: 'var(--text-muted)' }}>{from}</span>
+      <span style={{ color: changed ? 'var(--neon-warn)' : 'var(--text-muted)' }}>→</span>
+      <span style={{ color: changed ? '#fff' : 'var(--text-muted)', fontWeight: 'bold' }}>{to}</span>
+    </div>
+    {score && score.from !== null && score.to !== null && (
+      <div style={{ marginTop: '0.5rem', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: score.from === score.to ? 'var(--text-muted)' : score.to > score.from ? 'var(--neon-primary)' : 'var(--neon-risk)' }}>
+        SCORE {score.from} → {score.to}
+      </div>
+    )}
+    {!changed && <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>Unchanged</div>}
+  </Card>
+);
+
+const Section = ({ title, color, count, children }) => (
+  <>
+    <div style={{ margin: '2.5rem 0 1rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+      <h3 style={{ fontSize: '1.1rem', letterSpacing: '0.05em', color }}>{title} ({count})</h3>
+      <div style={{ flex: 1, height: '1px', background: 'var(--border-glass)' }}></div>
+    </div>
+    {count === 0 ? (
+      <div style={{ color: 'var(--text-muted)', fontStyle: 'italic', fontSize: '0.9rem' }}>None.</div>
+    ) : (
+      <Card style={{ padding: 0, overflow: 'hidden' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>{children}</table>
+      </Card>
+    )}
+  </>
+);
+
+const EvidenceRows = ({ items }) => (
+  <>
+    <thead>
+      <tr style={{ background: 'rgba(255,255,255,0.02)', borderBottom: '1px solid var(--border-glass)', textAlign: 'left' }}>
+        <th style={headerCell}>RISK</th>
+        <th style={headerCell}>SIGNAL</th>
+        <th style={headerCell}>RULE</th>
+        <th style={headerCell}>LOCATION</th>
+      </tr>
+    </thead>
+    <tbody>
+      {items.map((item, i) => (
+        <tr key={i} style={{ borderBottom: '1px solid var(--border-glass)', opacity: item.counted === false ? 0.55 : 1 }}>
+          <td style={cell}><Badge variant={getVariant(item.risk)}>{item.risk}</Badge></td>
+          <td style={{ ...cell, fontFamily: 'var(--font-mono)', fontSize: '0.85rem', color: 'var(--text-primary)' }}>
+            {item.signal}
+            {item.snippet && <div style={{ marginTop: '0.35rem', fontSize: '0.75rem', color: 'var(--text-muted)', wordBreak: 'break-all' }}>{item.snippet}</div>}
+          </td>
+          <td style={{ ...cell, fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{item.ruleId || '—'}</td>
+          <td style={{ ...cell, color: 'var(--text-secondary)', fontSize: '0.85rem', wordBreak: 'break-all' }}>{location(item)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </>
+);
+
+export const CompareView = ({ diff, onReset }) => {
+  const { base, head, verdict, offline, added, removed, changed, unchanged } = diff;
+
+  return (
+    <div className="fade-in-up">
+      {/* HUD Header */}
+      <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginBottom: '3rem', borderBottom: '1px solid var(--border-glass)', paddingBottom: '1rem' }}>
+        <Button variant="outline" onClick={onReset} style={{ padding: '0.5rem 1rem', fontSize: '0.8rem', height: 'auto', border: '1px solid var(--text-muted)', color: 'var(--text-muted)' }}>
+          ← NEW_SCAN
+        </Button>
+        <div style={{ color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: '0.9rem' }}>
+          COMPARE: <span style={{ color: 'var(--text-muted)' }} title={base.timestamp}>{base.label}</span>
+          <span style={{ margin: '0 0.75rem', color: 'var(--neon-primary)' }}>→</span>
+          <span style={{ color: 'var(--neon-primary)' }} title={head.timestamp}>{head.label}</span>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2rem' }}>
+        <Movement title="VERDICT" {...verdict} />
+        <Movement title="OFFLINE CAPABILITY" {...offline} />
+      </div>
+
+      <div style={{ marginTop: '1.5rem', fontFamily: 'var(--font-mono)', fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+        <span style={{ color: 'var(--neon-risk)' }}>+{added.length} added</span> · <span style={{ color: 'var(--neon-primary)' }}>−{removed.length} removed</span> · <span style={{ color: 'var(--neon-warn)' }}>{changed.length} changed</span> · {unchanged} unchanged
+      </div>
+
+      <Section title="ADDED" color="var(--neon-risk)" count={added.length}>
+        <EvidenceRows items={added} />
+      </Section>
+
+      <Section title="REMOVED" color="var(--neon-primary)" count={removed.length}>
+        <EvidenceRows items={removed} />
+      </Section>
+
+      <Section title="CHANGED" color="var(--neon-warn)" count={changed.length}>
+        <thead>
+          <tr style={{ background: 'rgba(255,255,255,0.02)', borderBottom: '1px solid var(--border-glass)', textAlign: 'left' }}>
+            <th style={headerCell}>SIGNAL</th>
+            <th style={headerCell}>RULE</th>
+            <th style={headerCell}>CHANGE</th>
+            <th style={headerCell}>LOCATION</th>
+          </tr>
+        </thead>
+        <tbody>
+          {changed.map(({ ruleId, fields, before, after }, i) => (
+            <tr key={i} style={{ borderBottom: '1px solid var(--border-glass)' }}>
+              <td style={{ ...cell, fontFamily: 'var(--font-mono)', fontSize: '0.85rem', color: 'var(--text-primary)' }}>{after.signal}</td>
+              <td style={{ ...cell, fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{ruleId || '—'}</td>
+              <td style={{ ...cell, fontFamily: 'var(--font-mono)', fontSize: '0.8rem' }}>
+                {fields.map(field => (
+                  <div key={field}>
+                    <span style={{ color: 'var(--text-muted)' }}>{field}:</span> {String(before[field] ?? '—')} <span style={{ color: 'var(--neon-warn)' }}>→</span> {String(after[field] ?? '—')}
+                  </div>
+                ))}
+              </td>
+              <td style={{ ...cell, color: 'var(--text-secondary)', fontSize: '0.85rem', wordBreak: 'break-all' }}>{location(after)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Section>
+    </div>
+  );
+};
@@ -0,0 +1,134 @@
+import { analyzerService } from '../services/analyzer';
+import { permalink, repositoryPath } from '../services/permalinks';
+
+// What a rule matches on, by rule type (see rules.js)
+const MATCHERS = {
+  dependency: (rule) => rule.packages.join(', '),
+  path: (rule) => `/${rule.pattern}/${rule.flags || ''}`,
+  content: (rule) => `/${rule.pattern}/${rule.flags || ''}`,
+  call: (rule) => rule.callees.join(', '),
+  endpoint: (rule) => rule.hosts.join(', '),
+  config: (rule) => rule.file
+};
+
+const labelStyle = { color: 'var(--text-muted)', minWidth: '5rem', display: 'inline-block' };
+
+// What the rule matched, to mark inside the source line (or the file path, for path rules):
+// a literal term, or the pattern itself for content and path rules
+const matchedTerm = (item, rule) => {
+  if (item.importSource) return item.importSource;
+  if (item.callee) return item.callee.replace(/^new /, '');
+  if (item.endpoint?.target) return item.endpoint.target.replace(/^[a-z]+:\/\//i, '').split('/')[0];
+  if (rule?.type === 'content' || rule?.type === 'path') return new RegExp(rule.pattern, (rule.flags || '').replace('g', ''));
+  return null;
+};
+
+// First occurrence of the term in the text, as { index, found }
+const locate = (text, term) => {
+  if (term instanceof RegExp) {
+    const match = term.exec(text);
+    return match?.[0] ? { index: match.index, found: match[0] } : null;
+  }
+  const index = term ? text.indexOf(term) : -1;
+  return index === -1 ? null : { index, found: term };
+};
+
+const highlight = (text, term) => {
+  const match = locate(text, term);
+  if (!match) return text;
+  return (
+    <>
+      {text.slice(0, match.index)}
+      <mark style={{ background: 'rgba(255, 189, 46, 0.35)', color: 'inherit', borderRadius: '2px' }}>{match.found}</mark>
+      {text.slice(match.index + match.found.length)}
+    </>
+  );
+};
+
+/**
+ * Expanded view of one evidence item: repository path (linked to the
+ * scanned commit for online scans), the rule that fired and the source
+ * lines around the match.
+ */
+export const EvidenceDetail = ({ report, item }) => {
+  const link = permalink(report, item);
+  // Services found in a parsed config ("netlify-config/functions") belong to the config rule
+  const rule = item.ruleId ? analyzerService.rules.rules.get(item.ruleId) || analyzerService.rules.rules.get(item.ruleId.split('/')[0]) : null;
+  const fullPath = item.file ? repositoryPath(report.revision, item.file) : null;
+  const term = matchedTerm(item, rule);
+  // Path rules matched the file's own path (relative to the scanned folder)
+  const pathText = fullPath && rule?.type === 'path'
+    ? <>{fullPath.slice(0, fullPath.length - item.file.length)}{highlight(item.file, term)}</>
+    : fullPath;
+
+  return (
+    <div style={{ display: 'grid', gap: '0.5rem', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+      <div style={{ wordBreak: 'break-all' }}>
+        <span style={labelStyle}>FILE</span>
+        {fullPath ? (
+          link
+            ? <a href={link} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--neon-secondary)' }}>{pathText}{Number.isInteger(item.line) && `:${item.line}`}</a>
+            : <span>{pathText}{Number.isInteger(item.line) && `:${item.line}`}</span>
+        ) : <span>{item.source}</span>}
+        {fullPath && !link && report.revision && !report.revision.commitSha && (
+          <span style={{ marginLeft: '0.75rem', color: 'var(--text-muted)' }}>(no permalink: commit not resolved)</span>
+        )}
+      </div>
+
+      <div>
+        <span style={labelStyle}>RULE</span>
+        {item.ruleId ? (
+          <>
+            <span style={{ color: 'var(--text-primary)' }}>{item.ruleId}</span>
+            {rule && <span style={{ color: 'var(--text-muted)' }}> · {rule.type} rule from pack "{rule.pack}"</span>}
+            {item.ruleRisk && <span style={{ color: 'var(--text-muted)' }}> · {item.ruleRisk} before scope discount</span>}
+          </>
+        ) : <span style={{ color: 'var(--text-muted)' }}>none (added by the analyzer)</span>}
+      </div>
+      {item.provider && (
+        <div>
+          <span style={labelStyle}>CLOUD</span>
+          <span style={{ color: 'var(--text-primary)' }}>{item.provider}</span>
+          {item.service && <span style={{ color: 'var(--text-muted)' }}> · {item.service}</span>}
+        </div>
+      )}
+      {rule && MATCHERS[rule.type] && (
+        <div style={{ wordBreak: 'break-all' }}>
+          <span style={labelStyle}>MATCHES</span>
+          <span>{MATCHERS[rule.type](rule)}</span>
+        </div>
+      )}
+      {item.reason && (
+        <div>
+          <span style={labelStyle}>REASON</span>
+          <span>{item.reason}</span>
+        </div>
+      )}
+      {item.fingerprint && (
+        <div>
+          <span style={labelStyle}>ID</span>
+          <span style={{ color: 'var(--text-muted)' }}>{item.fingerprint}</span>
+        </div>
+      )}
+
+      {item.context ? (
+        <pre style={{ margin: '0.25rem 0 0', padding: '0.5rem 0', background: 'rgba(0,0,0,0.35)', borderRadius: '6px', overflowX: 'auto', fontSize: '0.78rem', lineHeight: '1.5' }}>
+          {item.context.lines.map((text, i) => {
+            const line = item.context.start + i;
+            const matched = line === item.line;
+            return (
+              <div key={line} style={{ display: 'flex', background: matched ? 'rgba(255, 189, 46, 0.08)' : 'transparent', borderLeft: `3px solid ${matched ? 'var(--neon-warn)' : 'transparent'}` }}>
+                <span style={{ minWidth: '3.5rem', paddingRight: '1rem', textAlign: 'right', color: 'var(--text-muted)', userSelect: 'none' }}>{line}</span>
+                <span style={{ color: matched ? 'var(--text-primary)' : 'var(--text-muted)', whiteSpace: 'pre' }}>{matched ? highlight(text, term) : text}</span>
+              </div>
+            );
+          })}
+        </pre>
+      ) : item.snippet && (
+        <pre style={{ margin: '0.25rem 0 0', padding: '0.5rem 1rem', background: 'rgba(0,0,0,0.35)', borderRadius: '6px', overflowX: 'auto', fontSize: '0.78rem', color: 'var(--text-primary)' }}>
+          {highlight(item.snippet, term)}
+        </pre>
+      )}
+    </div>
+  );
+};
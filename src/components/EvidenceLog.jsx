@@ -0,0 +1,362 @@
+import { Fragment, useMemo, useRef, useState } from 'react';
+import { Card } from './Card';
+import { Badge } from './Badge';
+import { EvidenceDetail } from './EvidenceDetail';
+import { repositoryPath } from '../services/permalinks';
+import { packageFromImport } from '../services/astScanner';
+
+const RISKS = ['High', 'Medium', 'Low', 'None'];
+const SOURCE_KINDS = ['Dependency', 'Config', 'Infrastructure', 'Code', 'Structure', 'Analyzer'];
+
+const GROUPINGS = {
+  none: 'None',
+  category: 'Category',
+  risk: 'Risk',
+  file: 'File',
+  package: 'Package',
+  provider: 'Cloud provider',
+  workspace: 'Workspace' // Monorepo reports only
+};
+
+const headerCellStyle = { padding: '1rem', color: 'var(--text-muted)', fontWeight: '600', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', letterSpacing: '0.05em' };
+
+const chipStyle = (active) => ({
+  background: 'none',
+  border: `1px solid ${active ? 'var(--neon-primary)' : 'var(--border-glass)'}`,
+  borderRadius: '4px',
+  color: active ? 'var(--text-primary)' : 'var(--text-muted)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: '0.7rem',
+  padding: '0.2rem 0.5rem',
+  cursor: 'pointer'
+});
+
+const getVariant = (riskLabel) => {
+  if (riskLabel === 'High') return 'risk';
+  if (riskLabel === 'Medium') return 'warn';
+  if (riskLabel === 'Human Review Required') return 'review';
+  return 'safe';
+};
+
+const riskRank = (risk) => RISKS.indexOf(risk) === -1 ? RISKS.length : RISKS.indexOf(risk);
+
+// "Code/Import" -> "Code"; reports from before Structure was its own source said "Code/Structure"
+const sourceKindOf = (item) => (item.source || 'Analyzer').split('/')[0];
+
+// The package a finding is about: the dependency itself, or the package an import resolves to
+const packageOf = (item) => {
+  if (item.source === 'Dependency') return item.signal.replace(/^Dep: /, '').replace(/ \(transitive\)$/, '');
+  if (item.importSource) return packageFromImport(item.importSource);
+  return null;
+};
+
+const groupKeyOf = (groupBy, item, revision) => {
+  if (groupBy === 'category') return item.category || 'Uncategorized';
+  if (groupBy === 'risk') return item.risk;
+  if (groupBy === 'file') return item.file ? repositoryPath(revision, item.file) : item.source || 'Unknown';
+  if (groupBy === 'package') return packageOf(item) || 'No package';
+  if (groupBy === 'provider') return item.provider || 'No provider';
+  if (groupBy === 'workspace') return item.workspace == null ? 'Whole project' : item.workspace || '(root)';
+  return null;
+};
+
+const setIn = (set, value, present) => {
+  const next = new Set(set);
+  if (present) next.add(value);
+  else next.delete(value);
+  return next;
+};
+
+const toggleIn = (set, value) => setIn(set, value, !set.has(value));
+
+const FilterChips = ({ label, values, active, onToggle }) => (
+  <div style={{ display: 'flex', gap: '0.35rem', alignItems: 'center', flexWrap: 'wrap' }}>
+    <span style={{ fontFamily: 'var(--font-mono)', fontSize: '0.7rem', color: 'var(--text-muted)', marginRight: '0.25rem' }}>{label}</span>
+    {values.map(({ value, count }) => (
+      <button key={value} onClick={() => onToggle(value)} aria-pressed={active.has(value)} style={chipStyle(active.has(value))}>
+        {value} <span style={{ opacity: 0.6 }}>{count}</span>
+      </button>
+    ))}
+  </div>
+);
+
+const EvidenceRow = ({ report, item, expanded, focused, onToggle, onFocus, rowRef }) => (
+  <>
+    <tr
+      ref={rowRef}
+      tabIndex={focused ? 0 : -1}
+      onClick={onToggle}
+      onFocus={onFocus}
+      aria-expanded={expanded}
+      style={{ borderBottom: expanded ? 'none' : '1px solid var(--border-glass)', cursor: 'pointer', transition: 'background 0.2s', opacity: item.counted === false ? 0.55 : 1, outline: focused ? '1px solid var(--neon-secondary)' : 'none', outlineOffset: '-1px' }}
+      onMouseEnter={(e) => e.currentTarget.style.background = 'var(--bg-glass-hover)'}
+      onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+    >
+       <td style={{ padding: '1rem' }}>
+          <Badge variant={getVariant(item.risk)}>{item.risk}</Badge>
+          {item.scope && item.scope !== 'runtime' && (
+              <div style={{ marginTop: '0.35rem' }} title={item.counted === false ? 'Reported only. Excluded from the verdict.' : item.ruleRisk ? `Discounted from ${item.ruleRisk}` : undefined}>
+                  <Badge variant="neutral">{item.scope}{item.counted === false ? ' · not scored' : ''}</Badge>
+              </div>
+          )}
+          {item.suppressed && (
+              <div style={{ marginTop: '0.35rem' }} title={`Accepted in ${item.suppressed.origin}. Excluded from the verdict.`}>
+                  <Badge variant="info">accepted</Badge>
+              </div>
+          )}
+          {item.scoring?.points > 0 && (
+              <div style={{ marginTop: '0.35rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }} title={Object.entries(item.scoring.dimensions).map(([d, p]) => `${d}: -${p}`).concat(item.scoring.notes).join('\n')}>
+                  -{item.scoring.points} pts
+              </div>
+          )}
+       </td>
+       <td style={{ padding: '1rem', color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: '0.85rem' }}>
+          <span style={{ color: 'var(--neon-primary)', display: 'inline-block', transition: 'transform 0.2s', transform: expanded ? 'rotate(90deg)' : 'none' }}>&gt;</span> {item.signal}
+          {item.endpoint?.target && (
+              <div style={{ marginTop: '0.35rem', fontSize: '0.75rem', color: 'var(--text-muted)', wordBreak: 'break-all' }}>
+                  → {item.endpoint.target} <span style={{ opacity: 0.6 }}>[{item.endpoint.class}]</span>
+              </div>
+          )}
+          {item.chain && (
+              <div style={{ marginTop: '0.35rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  {item.chain.join(' → ')}
+              </div>
+          )}
+       </td>
+       <td style={{ padding: '1rem', color: 'var(--text-secondary)', fontSize: '0.9rem' }} title={item.file ? repositoryPath(report.revision, item.file) : undefined}>
+          {item.file ? item.file.split('/').pop() : item.source}
+          {item.line && <span style={{ opacity: 0.5, fontSize: '0.8rem', marginLeft: '0.5rem' }}>:{item.line}</span>}
+       </td>
+       <td style={{ padding: '1rem', color: 'var(--text-muted)', maxWidth: '300px' }}>
+          {item.failureMode}
+          {item.suppressed && (
+              <div style={{ marginTop: '0.35rem', fontSize: '0.8rem', color: 'var(--neon-secondary)' }}>
+                  ACCEPTED: {item.suppressed.reason}{item.suppressed.expires && ` (until ${item.suppressed.expires})`}
+              </div>
+          )}
+       </td>
+    </tr>
+    {expanded && (
+      <tr style={{ borderBottom: '1px solid var(--border-glass)', background: 'rgba(255,255,255,0.015)' }}>
+        <td colSpan="4" style={{ padding: '0 1rem 1rem 1rem' }}>
+          <EvidenceDetail report={report} item={item} />
+        </td>
+      </tr>
+    )}
+  </>
+);
+
+/**
+ * The evidence table with search, filters (risk, source, scope), grouping
+ * and collapsible groups. Keyboard: ↑/↓ or j/k move between rows and group
+ * headers, Enter or Space expands a row or folds a group, ←/→ fold and
+ * unfold, "/" jumps to the search box and Esc clears it.
+ */
+export const EvidenceLog = ({ report }) => {
+  const { evidence } = report;
+  const items = useMemo(() => evidence.map((item, index) => ({ item, index })), [evidence]);
+
+  const [query, setQuery] = useState('');
+  const [risks, setRisks] = useState(() => new Set(RISKS));
+  const [sources, setSources] = useState(() => new Set(SOURCE_KINDS));
+  const [scopes, setScopes] = useState(() => new Set(evidence.map(item => item.scope || 'runtime')));
+  const [groupBy, setGroupBy] = useState('category');
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [focusKey, setFocusKey] = useState(null);
+  const searchInput = useRef(null);
+  const navRefs = useRef(new Map());
+
+  const counts = (keyOf, values) => values
+    .map(value => ({ value, count: items.filter(({ item }) => keyOf(item) === value).length }))
+    .filter(({ count }) => count > 0);
+  const riskCounts = counts(item => item.risk, RISKS);
+  const sourceCounts = counts(sourceKindOf, SOURCE_KINDS);
+  const scopeCounts = counts(item => item.scope || 'runtime', [...new Set(evidence.map(item => item.scope || 'runtime'))]);
+
+  const needle = query.trim().toLowerCase();
+  const visible = items.filter(({ item }) => {
+    if (!risks.has(item.risk) && RISKS.includes(item.risk)) return false;
+    if (!sources.has(sourceKindOf(item)) && SOURCE_KINDS.includes(sourceKindOf(item))) return false;
+    if (!scopes.has(item.scope || 'runtime')) return false;
+    if (!needle) return true;
+    return [item.signal, item.file && repositoryPath(report.revision, item.file), item.source, item.reason, item.ruleId, item.category, item.endpoint?.target]
+      .some(text => text && text.toLowerCase().includes(needle));
+  });
+
+  // Groups, most severe first; "none" keeps discovery order in one unlabeled group
+  const groups = [];
+  if (groupBy === 'none') {
+    groups.push({ key: null, entries: visible });
+  } else {
+    const byKey = new Map();
+    visible.forEach(entry => {
+      const key = groupKeyOf(groupBy, entry.item, report.revision);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    });
+    const severity = (entries) => Math.min(...entries.map(({ item }) => riskRank(item.risk)));
+    groups.push(...[...byKey.entries()]
+      .map(([key, entries]) => ({ key, entries }))
+      .sort((a, b) => groupBy === 'risk'
+        ? riskRank(a.key) - riskRank(b.key)
+        : severity(a.entries) - severity(b.entries) || b.entries.length - a.entries.length || a.key.localeCompare(b.key)));
+  }
+
+  // Everything the keyboard can land on, in screen order
+  const navKeys = [];
+  groups.forEach(group => {
+    if (group.key !== null) navKeys.push(`g:${group.key}`);
+    if (group.key === null || !collapsed.has(group.key)) group.entries.forEach(({ index }) => navKeys.push(`r:${index}`));
+  });
+  const activeKey = navKeys.includes(focusKey) ? focusKey : navKeys[0];
+
+  const moveFocus = (key) => {
+    setFocusKey(key);
+    navRefs.current.get(key)?.focus();
+  };
+  const refFor = (key) => (el) => {
+    if (el) navRefs.current.set(key, el);
+    else navRefs.current.delete(key);
+  };
+
+  // Toggle a group or row, or force it open / closed
+  const activate = (key, open) => {
+    const id = key.slice(2);
+    if (key.startsWith('g:')) setCollapsed(prev => open === undefined ? toggleIn(prev, id) : setIn(prev, id, !open));
+    else setExpanded(prev => open === undefined ? toggleIn(prev, Number(id)) : setIn(prev, Number(id), open));
+  };
+
+  const onKeyDown = (e) => {
+    if (e.target === searchInput.current) {
+      if (e.key === 'Escape') {
+        setQuery('');
+        e.currentTarget.focus();
+      } else if (e.key === 'ArrowDown' && navKeys.length > 0) {
+        e.preventDefault();
+        moveFocus(activeKey);
+      }
+      return;
+    }
+    if (e.target.tagName === 'BUTTON' || e.target.tagName === 'SELECT' || e.target.tagName === 'A') return;
+
+    const position = navKeys.indexOf(activeKey);
+    if (e.key === '/') {
+      e.preventDefault();
+      searchInput.current?.focus();
+    } else if ((e.key === 'ArrowDown' || e.key === 'j') && position < navKeys.length - 1) {
+      e.preventDefault();
+      moveFocus(navKeys[position + 1]);
+    } else if ((e.key === 'ArrowUp' || e.key === 'k') && position > 0) {
+      e.preventDefault();
+      moveFocus(navKeys[position - 1]);
+    } else if ((e.key === 'Enter' || e.key === ' ') && activeKey) {
+      e.preventDefault();
+      activate(activeKey);
+    } else if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && activeKey) {
+      e.preventDefault();
+      activate(activeKey, e.key === 'ArrowRight');
+    }
+  };
+
+  const filtered = visible.length !== items.length;
+
+  return (
+    <div onKeyDown={onKeyDown} tabIndex={-1} style={{ outline: 'none' }}>
+      <div style={{ display: 'grid', gap: '0.6rem', marginBottom: '1rem' }}>
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          <input
+            ref={searchInput}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search signals and paths  ( / )"
+            spellCheck="false"
+            style={{ flex: '1 1 240px', padding: '0.5rem 0.75rem', borderRadius: '6px', border: '1px solid var(--border-glass)', background: 'rgba(0,0,0,0.3)', color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', outline: 'none' }}
+          />
+          <label style={{ fontFamily: 'var(--font-mono)', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+            GROUP BY{' '}
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} style={{ background: 'rgba(0,0,0,0.3)', color: 'var(--text-primary)', border: '1px solid var(--border-glass)', borderRadius: '4px', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', padding: '0.25rem' }}>
+              {Object.entries(GROUPINGS)
+                .filter(([value]) => value !== 'workspace' || report.workspaces)
+                .map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <span style={{ fontFamily: 'var(--font-mono)', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+            {filtered ? `${visible.length} of ${items.length}` : `${items.length}`} finding(s)
+          </span>
+        </div>
+        <div style={{ display: 'flex', gap: '1.25rem', flexWrap: 'wrap' }}>
+          <FilterChips label="RISK" values={riskCounts} active={risks} onToggle={(v) => setRisks(prev => toggleIn(prev, v))} />
+          <FilterChips label="SOURCE" values={sourceCounts} active={sources} onToggle={(v) => setSources(prev => toggleIn(prev, v))} />
+          {scopeCounts.length > 1 && (
+            <FilterChips label="SCOPE" values={scopeCounts} active={scopes} onToggle={(v) => setScopes(prev => toggleIn(prev, v))} />
+          )}
+        </div>
+      </div>
+
+      <Card style={{ padding: 0, overflow: 'hidden' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+          <thead>
+            <tr style={{ background: 'rgba(255,255,255,0.02)', borderBottom: '1px solid var(--border-glass)', textAlign: 'left' }}>
+              <th style={headerCellStyle}>RISK</th>
+              <th style={headerCellStyle}>SIGNAL</th>
+              <th style={headerCellStyle}>SOURCE</th>
+              <th style={headerCellStyle}>DETAILS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 ? (
+                <tr>
+                    <td colSpan="4" style={{ padding: '3rem', textAlign: 'center', color: 'var(--text-muted)', fontStyle: 'italic' }}>
+                        {items.length === 0 ? 'No centralization vectors detected. System clean.' : 'No findings match the current filters.'}
+                    </td>
+                </tr>
+            ) : groups.map(group => {
+                const groupNavKey = `g:${group.key}`;
+                const isCollapsed = group.key !== null && collapsed.has(group.key);
+                return (
+                  <Fragment key={group.key ?? '_all'}>
+                    {group.key !== null && (
+                      <tr
+                        ref={refFor(groupNavKey)}
+                        tabIndex={activeKey === groupNavKey ? 0 : -1}
+                        onClick={() => activate(groupNavKey)}
+                        onFocus={() => setFocusKey(groupNavKey)}
+                        aria-expanded={!isCollapsed}
+                        style={{ background: 'rgba(255,255,255,0.03)', borderBottom: '1px solid var(--border-glass)', cursor: 'pointer', outline: activeKey === groupNavKey ? '1px solid var(--neon-secondary)' : 'none', outlineOffset: '-1px' }}
+                      >
+                        <td colSpan="4" style={{ padding: '0.6rem 1rem', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                          <span style={{ display: 'inline-block', width: '1rem', color: 'var(--neon-primary)' }}>{isCollapsed ? '+' : '−'}</span>
+                          <span style={{ color: 'var(--text-primary)', wordBreak: 'break-all' }}>{group.key}</span>
+                          <span style={{ marginLeft: '0.75rem', color: 'var(--text-muted)' }}>({group.entries.length})</span>
+                          {RISKS.filter(risk => risk !== 'None').map(risk => {
+                            const n = group.entries.filter(({ item }) => item.risk === risk).length;
+                            return n > 0 && groupBy !== 'risk'
+                              ? <span key={risk} style={{ marginLeft: '0.75rem', color: risk === 'High' ? 'var(--neon-risk)' : risk === 'Medium' ? 'var(--neon-warn)' : 'var(--neon-primary)' }}>{n} {risk}</span>
+                              : null;
+                          })}
+                        </td>
+                      </tr>
+                    )}
+                    {!isCollapsed && group.entries.map(({ item, index }) => (
+                      <EvidenceRow
+                        key={index}
+                        report={report}
+                        item={item}
+                        expanded={expanded.has(index)}
+                        focused={activeKey === `r:${index}`}
+                        onToggle={() => activate(`r:${index}`)}
+                        onFocus={() => setFocusKey(`r:${index}`)}
+                        rowRef={refFor(`r:${index}`)}
+                      />
+                    ))}
+                  </Fragment>
+                );
+            })}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { Input } from './Input';
+import { githubService } from '../services/github';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--text-muted)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: '0.75rem',
+  cursor: 'pointer',
+  textDecoration: 'underline'
+};
+
+/**
+ * Optional GitHub personal access token.
+ * Raises the API quota from 60 to 5000 requests/hour. The token stays in this
+ * browser (session storage unless remembered) and is only sent to api.github.com.
+ */
+export const GitHubAuth = () => {
+  const [open, setOpen] = useState(false);
+  const [hasToken, setHasToken] = useState(Boolean(githubService.token));
+  const [draft, setDraft] = useState('');
+  const [remember, setRemember] = useState(false);
+
+  const save = () => {
+    githubService.setToken(draft, remember);
+    setHasToken(Boolean(githubService.token));
+    setDraft('');
+    setOpen(false);
+  };
+
+  const clear = () => {
+    githubService.setToken(null);
+    setHasToken(false);
+  };
+
+  if (!open) {
+    return (
+      <div style={{ marginTop: '1rem', display: 'flex', justifyContent: 'center', gap: '1rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+        {hasToken ? (
+          <>
+            <span style={{ color: 'var(--neon-primary)' }}>GITHUB_TOKEN: SET</span>
+            <button onClick={clear} style={linkButtonStyle}>clear</button>
+          </>
+        ) : (
+          <button onClick={() => setOpen(true)} style={linkButtonStyle}>+ GitHub token (optional, raises API quota)</button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: '1rem', textAlign: 'left', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+        <Input
+          type="password"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="ghp_... (read-only, public repos scope is enough)"
+          style={{ fontSize: '0.85rem' }}
+        />
+        <button onClick={save} disabled={!draft.trim()} style={{ ...linkButtonStyle, color: 'var(--neon-primary)' }}>save</button>
+        <button onClick={() => setOpen(false)} style={linkButtonStyle}>cancel</button>
+      </div>
+      <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem' }}>
+        <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+        Remember on this device (local storage). Otherwise kept for this tab only. Only ever sent to api.github.com.
+      </label>
+    </div>
+  );
+};
@@ -0,0 +1,127 @@
+import { useEffect, useRef, useState } from 'react';
+import { Card } from './Card';
+import { historyService } from '../services/history';
+import { download } from '../services/exporters';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--text-muted)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: '0.75rem',
+  cursor: 'pointer',
+  textDecoration: 'underline'
+};
+
+/**
+ * Past scans kept in this browser (IndexedDB).
+ * Reopening a scan hands the saved report to onOpen; nothing is refetched.
+ * initialNotice carries a message from outside the panel (a scan that failed to save).
+ */
+export const HistoryPanel = ({ onOpen, initialNotice = null }) => {
+  const [entries, setEntries] = useState([]);
+  const [notice, setNotice] = useState(initialNotice);
+  const importInput = useRef(null);
+
+  const refresh = () => historyService.list().then(setEntries).catch(err => setNotice(err.message));
+
+  useEffect(() => { refresh(); }, []);
+
+  const open = async (id) => {
+    try {
+      const report = await historyService.get(id);
+      if (report) onOpen(report);
+      else refresh();
+    } catch (err) {
+      setNotice(`Could not open the saved scan: ${err.message}`);
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await historyService.delete(id);
+      refresh();
+    } catch (err) {
+      setNotice(`Could not delete the saved scan: ${err.message}`);
+    }
+  };
+
+  const exportAll = async () => {
+    try {
+      const data = await historyService.export();
+      download(JSON.stringify(data), `decentralens-history-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    } catch (err) {
+      setNotice(`Could not export the history: ${err.message}`);
+    }
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const added = await historyService.import(JSON.parse(await file.text()));
+      setNotice(`Imported ${added} scan(s).`);
+      refresh();
+    } catch (err) {
+      setNotice(err instanceof SyntaxError ? `${file.name} is not valid JSON.` : err.message);
+    }
+  };
+
+  if (!historyService.available) return null;
+
+  return (
+    <div style={{ marginTop: '3rem', textAlign: 'left' }}>
+      <div style={{ marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '1rem', fontFamily: 'var(--font-mono)', fontSize: '0.8rem' }}>
+        <span style={{ letterSpacing: '0.05em', color: 'var(--text-secondary)' }}>SCAN HISTORY</span>
+        <div style={{ flex: 1, height: '1px', background: 'var(--border-glass)' }}></div>
+        <button onClick={exportAll} disabled={entries.length === 0} style={linkButtonStyle}>export</button>
+        <button onClick={() => importInput.current?.click()} style={linkButtonStyle}>import</button>
+        <input
+          ref={importInput}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={(e) => { importFile(e.target.files[0]); e.target.value = ''; }}
+        />
+      </div>
+
+      {notice && <div style={{ marginBottom: '0.75rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>{notice}</div>}
+
+      {entries.length === 0 ? (
+        <div style={{ fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)', fontStyle: 'italic' }}>
+          No saved scans yet. Reports are kept in this browser only.
+        </div>
+      ) : (
+        <Card style={{ padding: 0, overflow: 'hidden' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+            <tbody>
+              {entries.map(({ id, summary }) => (
+                <tr key={id} style={{ borderBottom: '1px solid var(--border-glass)' }}>
+                  <td style={{ padding: '0.75rem 1rem' }}>
+                    <button onClick={() => open(id)} style={{ ...linkButtonStyle, color: 'var(--text-primary)', fontSize: '0.85rem', textDecoration: 'none', padding: 0, textAlign: 'left' }}>
+                      {summary.target}
+                    </button>
+                    {summary.ref && (
+                      <span style={{ marginLeft: '0.5rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                        @ {summary.ref}{summary.commitSha && ` (${summary.commitSha.slice(0, 7)})`}{summary.path && ` / ${summary.path}`}
+                      </span>
+                    )}
+                  </td>
+                  <td style={{ padding: '0.75rem 1rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: summary.color || 'var(--text-secondary)', whiteSpace: 'nowrap' }}>
+                    {summary.verdict}
+                  </td>
+                  <td style={{ padding: '0.75rem 1rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)', whiteSpace: 'nowrap' }}>
+                    {new Date(summary.timestamp).toLocaleString()}
+                  </td>
+                  <td style={{ padding: '0.75rem 1rem', whiteSpace: 'nowrap', textAlign: 'right' }}>
+                    <button onClick={() => open(id)} style={{ ...linkButtonStyle, color: 'var(--neon-primary)' }}>open</button>
+                    <button onClick={() => remove(id)} style={{ ...linkButtonStyle, color: 'var(--neon-risk)' }}>delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </div>
+  );
+};
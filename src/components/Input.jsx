@@ -1,7 +1,7 @@
-export const Input = ({ value, onChange, placeholder, style }) => {
+export const Input = ({ value, onChange, placeholder, style, type = 'text' }) => {
   return (
     <input
-      type="text"
+      type={type}
       value={value}
       onChange={onChange}
       placeholder={placeholder}
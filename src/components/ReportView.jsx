@@ -1,16 +1,25 @@
 import { Button } from './Button';
 import { Card } from './Card';
 import { Badge } from './Badge';
+import { toReportJson, toSarif, download } from '../services/exporters';
+import { toHtmlReport } from '../services/htmlReport';
+import { READINESS_LEVELS, PROFILE_STATUSES, MITIGATION_LABELS } from '../data/heuristics';
+import { EvidenceLog } from './EvidenceLog';
+import { repositoryPath } from '../services/permalinks';
+
+const PROFILE_VARIANTS = { DEPENDENT: 'risk', PARTIAL: 'warn', INDEPENDENT: 'safe', NO_SIGNALS: 'neutral' };
+
+// Supporting signals (risk None) count for the dimension, findings against it
+const ProfileSignal = ({ item }) => (
+  <div style={{ color: item.risk === 'None' ? 'var(--neon-primary)' : 'var(--text-secondary)' }} title={item.failureMode}>
+    {item.risk === 'None' ? '+' : '−'} {item.signal}
+  </div>
+);
 
 export const ReportView = ({ report, onReset }) => {
-  const { repoInfo, score, evidence, architecture, offline, limitations } = report;
+  const { repoInfo, score, evidence, architecture, offline, limitations, coverage, readiness, profile, workspaces } = report;
 
-  const getVariant = (riskLabel) => {
-    if (riskLabel === 'High') return 'risk';
-    if (riskLabel === 'Medium') return 'warn';
-    if (riskLabel === 'Human Review Required') return 'review';
-    return 'safe';
-  };
+  const fileBase = `decentralens-${(repoInfo?.full_name || 'report').replace(/^\[\w+\]\s*/, '').replace(/[^\w.-]+/g, '_')}`;
 
   const getOfflineVariant = (status) => {
       if (status === 'Offline-Capable') return 'safe';
@@ -28,9 +37,23 @@ export const ReportView = ({ report, onReset }) => {
             </Button>
             <div style={{ color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: '0.9rem' }}>
                 TARGET: <span style={{ color: 'var(--neon-primary)' }}>{repoInfo?.full_name || 'UNKNOWN_TARGET'}</span>
+                {report.revision && (
+                    <span style={{ color: 'var(--text-muted)', marginLeft: '0.75rem' }} title={report.revision.commitSha || 'Commit not resolved'}>
+                        @ {report.revision.ref}{report.revision.commitSha && ` (${report.revision.commitSha.slice(0, 7)})`}{report.revision.path && ` / ${report.revision.path}`}
+                    </span>
+                )}
             </div>
         </div>
-        <div style={{ fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+            <Button variant="outline" onClick={() => download(JSON.stringify(toReportJson(report), null, 2), `${fileBase}.json`, 'application/json')} style={{ padding: '0.4rem 0.8rem', fontSize: '0.75rem', height: 'auto' }}>
+              EXPORT JSON
+            </Button>
+            <Button variant="outline" onClick={() => download(JSON.stringify(toSarif(report), null, 2), `${fileBase}.sarif`, 'application/json')} style={{ padding: '0.4rem 0.8rem', fontSize: '0.75rem', height: 'auto' }}>
+              EXPORT SARIF
+            </Button>
+            <Button variant="outline" onClick={() => download(toHtmlReport(report), `${fileBase}.html`, 'text/html')} style={{ padding: '0.4rem 0.8rem', fontSize: '0.75rem', height: 'auto' }} title="Standalone document, opens offline and prints to PDF">
+              EXPORT HTML
+            </Button>
             SYS.TIME: {new Date(report.timestamp).toLocaleTimeString()}
         </div>
       </div>
@@ -46,6 +69,12 @@ export const ReportView = ({ report, onReset }) => {
              <div style={{ fontSize: '3rem', fontWeight: '800', color: '#fff', lineHeight: '1', marginBottom: '0.5rem', textShadow: `0 0 30px ${score.color}` }}>
                  {score.label}
              </div>
+
+             {readiness && !score.unscored && (
+                 <div style={{ fontFamily: 'var(--font-mono)', fontSize: '0.9rem', color: 'var(--text-secondary)', marginBottom: '0.5rem' }}>
+                     SCORE: <span style={{ color: score.color, fontWeight: 'bold' }}>{readiness.score}</span>/100
+                 </div>
+             )}
              
              <div style={{ fontSize: '1.1rem', color: score.color, marginBottom: '1.5rem', fontWeight: 'bold' }}>
                  {architecture}
@@ -77,6 +106,115 @@ export const ReportView = ({ report, onReset }) => {
           </Card>
       </div>
 
+      {/* Monorepo Workspaces */}
+      {workspaces && (
+        <Card style={{ marginBottom: '3rem', padding: 0, overflow: 'hidden' }}>
+           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', flexWrap: 'wrap', gap: '0.5rem', padding: '1.5rem 1.5rem 0.5rem', fontFamily: 'var(--font-mono)' }}>
+              <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', letterSpacing: '0.1em' }}>// WORKSPACES ({workspaces.items.length})</span>
+              <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                 {Object.entries(workspaces.rollup.levels).map(([level, n]) => `${n} ${READINESS_LEVELS[level]?.label || level}`).join(' · ')}
+                 {workspaces.rollup.weakest && ` · weakest: ${workspaces.rollup.weakest.path || '(root)'}`}
+              </span>
+           </div>
+           <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+              <tbody>
+                 {workspaces.items.map(item => {
+                    const level = READINESS_LEVELS[item.level] || READINESS_LEVELS.UNKNOWN;
+                    return (
+                       <tr key={item.path} style={{ borderTop: '1px solid var(--border-glass)', verticalAlign: 'top' }}>
+                          <td style={{ padding: '0.75rem 1.5rem', fontFamily: 'var(--font-mono)' }}>
+                             <div style={{ color: 'var(--text-primary)' }}>{item.path || '(root)'}</div>
+                             {item.name !== item.path && <div style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>{item.name}</div>}
+                          </td>
+                          <td style={{ padding: '0.75rem 1rem', color: level.color, fontWeight: 'bold', whiteSpace: 'nowrap' }} title={level.desc}>{level.label}</td>
+                          <td style={{ padding: '0.75rem 1rem', fontFamily: 'var(--font-mono)', whiteSpace: 'nowrap' }}>{level.unscored ? '—' : `${item.score}/100`}</td>
+                          <td style={{ padding: '0.75rem 1rem' }} title={item.offline.reason}>
+                             <Badge variant={getOfflineVariant(item.offline.status)}>{item.offline.status}</Badge>
+                          </td>
+                          <td style={{ padding: '0.75rem 1.5rem 0.75rem 1rem', color: 'var(--text-muted)', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', whiteSpace: 'nowrap' }}>
+                             {item.counted} scored / {item.findings} found
+                          </td>
+                       </tr>
+                    );
+                 })}
+              </tbody>
+           </table>
+        </Card>
+      )}
+
+      {/* Decentralization Profile */}
+      {profile && (
+        <Card style={{ marginBottom: '3rem', padding: 0, overflow: 'hidden' }}>
+           <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', letterSpacing: '0.1em', padding: '1.5rem 1.5rem 0.5rem', fontFamily: 'var(--font-mono)' }}>// DECENTRALIZATION PROFILE</div>
+           <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+              <tbody>
+                 {Object.entries(profile).map(([key, dimension]) => (
+                    <tr key={key} style={{ borderTop: '1px solid var(--border-glass)', verticalAlign: 'top' }}>
+                       <td style={{ padding: '0.75rem 1.5rem', color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', whiteSpace: 'nowrap' }}>{dimension.label}</td>
+                       <td style={{ padding: '0.75rem 1rem' }} title={PROFILE_STATUSES[dimension.status]?.desc}>
+                          <Badge variant={PROFILE_VARIANTS[dimension.status]}>{PROFILE_STATUSES[dimension.status]?.label || dimension.status}</Badge>
+                       </td>
+                       <td style={{ padding: '0.75rem 1rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem' }}>
+                          {dimension.evidence.length === 0 && <span style={{ color: 'var(--text-muted)' }}>—</span>}
+                          {dimension.evidence.slice(0, 3).map((item, i) => <ProfileSignal key={i} item={item} />)}
+                          {dimension.evidence.length > 3 && (
+                             <details>
+                                <summary style={{ cursor: 'pointer', color: 'var(--text-muted)' }}>{dimension.evidence.length - 3} more</summary>
+                                {dimension.evidence.slice(3).map((item, i) => <ProfileSignal key={i} item={item} />)}
+                             </details>
+                          )}
+                       </td>
+                       <td style={{ padding: '0.75rem 1.5rem 0.75rem 1rem', color: 'var(--text-muted)', maxWidth: '320px' }}>
+                          {dimension.failureScenario || ''}
+                       </td>
+                    </tr>
+                 ))}
+              </tbody>
+           </table>
+        </Card>
+      )}
+
+      {/* Score Breakdown */}
+      {readiness && (
+        <Card style={{ marginBottom: '3rem' }}>
+           <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', letterSpacing: '0.1em', marginBottom: '1rem', fontFamily: 'var(--font-mono)' }}>// SCORE BREAKDOWN</div>
+           <div style={{ display: 'grid', gap: '1rem' }}>
+              {Object.entries(readiness.dimensions).map(([key, dimension]) => {
+                  const contributors = evidence.filter(e => e.scoring?.dimensions[key]).sort((a, b) => b.scoring.dimensions[key] - a.scoring.dimensions[key]);
+                  return (
+                      <div key={key}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', marginBottom: '0.35rem' }}>
+                              <span style={{ color: 'var(--text-primary)' }}>{dimension.label.toUpperCase()}</span>
+                              <span style={{ color: 'var(--text-muted)' }}>{dimension.score} / {dimension.weight}</span>
+                          </div>
+                          <div style={{ height: '4px', background: 'rgba(255,255,255,0.08)', borderRadius: '2px', overflow: 'hidden' }}>
+                              <div style={{ width: `${(dimension.score / dimension.weight) * 100}%`, height: '100%', background: dimension.score === dimension.weight ? 'var(--neon-primary)' : dimension.score > dimension.weight / 2 ? 'var(--neon-warn)' : 'var(--neon-risk)' }}></div>
+                          </div>
+                          {contributors.map((item, i) => (
+                              <div key={i} style={{ display: 'flex', gap: '1rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                                  <span style={{ color: 'var(--neon-risk)', minWidth: '3.5rem' }}>-{item.scoring.dimensions[key]}</span>
+                                  <span style={{ color: 'var(--text-secondary)' }}>{item.signal}</span>
+                                  <span>{item.file ? repositoryPath(report.revision, item.file) : item.source}{item.line && `:${item.line}`}</span>
+                                  {item.scoring.notes.length > 0 && <span style={{ marginLeft: 'auto', opacity: 0.7 }}>{item.scoring.notes.join(' · ')}</span>}
+                              </div>
+                          ))}
+                      </div>
+                  );
+              })}
+           </div>
+           {(readiness.caps.some(c => c.applied) || readiness.mitigations.length > 0) && (
+               <div style={{ marginTop: '1rem', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                   {readiness.caps.filter(c => c.applied).map((cap, i) => (
+                       <div key={i}>[CAP] {cap.category} ({cap.signal}) limits the score to {cap.max}</div>
+                   ))}
+                   {readiness.mitigations.map(m => (
+                       <div key={m}>[MITIGATION] {MITIGATION_LABELS[m] || m}</div>
+                   ))}
+               </div>
+           )}
+        </Card>
+      )}
+
       {/* Human Review Alert */}
       {score.label === 'Human Review Required' && (
         <Card style={{ marginBottom: '3rem', border: '1px solid var(--neon-warn)', background: 'rgba(255, 189, 46, 0.05)' }}>
@@ -89,7 +227,7 @@ export const ReportView = ({ report, onReset }) => {
               {evidence.filter(e => e.signal.includes('Generic Network')).map((item, i) => (
                  <div key={i} style={{ fontFamily: 'var(--font-mono)', fontSize: '0.85rem', color: 'var(--text-primary)', display: 'flex', gap: '1rem' }}>
                     <span style={{ color: 'var(--neon-warn)' }}>[Ln {item.line || '?'}]</span>
-                    <span>{item.file ? item.file.split('/').pop() : 'Unknown'}</span>
+                    <span>{item.file ? repositoryPath(report.revision, item.file) : 'Unknown'}</span>
                     <span style={{ color: 'var(--text-muted)', marginLeft: 'auto' }}>{item.reason}</span>
                  </div>
               ))}
@@ -103,48 +241,32 @@ export const ReportView = ({ report, onReset }) => {
           <div style={{ flex: 1, height: '1px', background: 'var(--border-glass)' }}></div>
       </div>
 
-      <Card style={{ padding: 0, overflow: 'hidden' }}>
-        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
-          <thead>
-            <tr style={{ background: 'rgba(255,255,255,0.02)', borderBottom: '1px solid var(--border-glass)', textAlign: 'left' }}>
-              <th style={{ padding: '1rem', color: 'var(--text-muted)', fontWeight: '600', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', letterSpacing: '0.05em' }}>RISK</th>
-              <th style={{ padding: '1rem', color: 'var(--text-muted)', fontWeight: '600', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', letterSpacing: '0.05em' }}>SIGNAL</th>
-              <th style={{ padding: '1rem', color: 'var(--text-muted)', fontWeight: '600', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', letterSpacing: '0.05em' }}>SOURCE</th>
-              <th style={{ padding: '1rem', color: 'var(--text-muted)', fontWeight: '600', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', letterSpacing: '0.05em' }}>DETAILS</th>
-            </tr>
-          </thead>
-          <tbody>
-            {evidence.length === 0 ? (
-                <tr>
-                    <td colSpan="4" style={{ padding: '3rem', textAlign: 'center', color: 'var(--text-muted)', fontStyle: 'italic' }}>
-                        No centralization vectors detected. System clean.
-                    </td>
-                </tr>
-            ) : (
-                evidence.map((item, index) => (
-                  <tr key={index} style={{ borderBottom: '1px solid var(--border-glass)', transition: 'background 0.2s' }} onMouseEnter={(e) => e.currentTarget.style.background = 'var(--bg-glass-hover)'} onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}>
-                     <td style={{ padding: '1rem' }}>
-                        <Badge variant={getVariant(item.risk)}>{item.risk}</Badge>
-                     </td>
-                     <td style={{ padding: '1rem', color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: '0.85rem' }}>
-                        <span style={{ color: 'var(--neon-primary)' }}>&gt;</span> {item.signal}
-                     </td>
-                     <td style={{ padding: '1rem', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
-                        {item.file ? item.file.split('/').pop() : item.source}
-                        {item.line && <span style={{ opacity: 0.5, fontSize: '0.8rem', marginLeft: '0.5rem' }}>:{item.line}</span>}
-                     </td>
-                     <td style={{ padding: '1rem', color: 'var(--text-muted)', maxWidth: '300px' }}>
-                        {item.failureMode}
-                     </td>
-                  </tr>
-                ))
-            )}
-          </tbody>
-        </table>
-      </Card>
+      <EvidenceLog report={report} />
 
       {/* Footer / Limitations */}
       <div style={{ marginTop: '3rem', borderTop: '1px solid var(--border-glass)', paddingTop: '1.5rem', color: 'var(--text-muted)', fontSize: '0.8rem', fontFamily: 'var(--font-mono)' }}>
+          {coverage && (
+              <div style={{ marginBottom: '1rem' }}>
+                  <div>
+                      [COVERAGE] {coverage.filesScanned} file(s) · {(coverage.bytesScanned / 1024).toFixed(1)} KB read · {coverage.filesSkipped} skipped
+                      {Object.keys(coverage.skippedByReason).length > 0 && ` (${Object.entries(coverage.skippedByReason).map(([reason, n]) => `${n} ${reason}`).join(', ')})`}
+                  </div>
+                  <div style={{ opacity: 0.6 }}>
+                      BUDGET: {coverage.budget.maxFiles} files · {(coverage.budget.maxBytes / 1024 / 1024).toFixed(0)} MB · {coverage.budget.maxConcurrency} concurrent
+                  </div>
+                  {coverage.skipped.length > 0 && (
+                      <details style={{ marginTop: '0.5rem' }}>
+                          <summary style={{ cursor: 'pointer' }}>Skipped files</summary>
+                          {coverage.skipped.map((item, i) => (
+                              <div key={i} style={{ paddingLeft: '1rem' }}>{item.path} <span style={{ opacity: 0.5 }}>[{item.reason}]</span></div>
+                          ))}
+                          {coverage.filesSkipped > coverage.skipped.length && (
+                              <div style={{ paddingLeft: '1rem', opacity: 0.5 }}>… {coverage.filesSkipped - coverage.skipped.length} more</div>
+                          )}
+                      </details>
+                  )}
+              </div>
+          )}
           {limitations && limitations.map((lim, i) => (
               <div key={i} style={{ marginBottom: '0.25rem' }}>[DISCLAIMER] {lim}</div>
           ))}
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { getUserSuppressions, setUserSuppressions, parseSuppressions } from '../services/suppressions';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--text-muted)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: '0.75rem',
+  cursor: 'pointer',
+  textDecoration: 'underline'
+};
+
+const EXAMPLE = `suppressions:
+  - rule: docker-compose-config
+    file: "docker-compose.yml"
+    reason: Only used for local development
+    expires: 2026-12-31`;
+
+/**
+ * Suppressions from the user's settings (same format as .decentralens.yml).
+ * Applied to every scan on top of the project's own file; kept in local storage.
+ */
+export const SuppressionSettings = () => {
+  const [open, setOpen] = useState(false);
+  const [saved, setSaved] = useState(getUserSuppressions() || '');
+  const [draft, setDraft] = useState(saved);
+  const [problems, setProblems] = useState([]);
+
+  const count = saved ? parseSuppressions(saved, 'user settings').entries.length : 0;
+
+  const save = () => {
+    const result = parseSuppressions(draft, 'user settings');
+    setProblems(result.problems);
+    if (result.problems.length > 0) return;
+    setUserSuppressions(draft);
+    setSaved(draft.trim() ? draft : '');
+    setOpen(false);
+  };
+
+  if (!open) {
+    return (
+      <div style={{ marginTop: '0.5rem', display: 'flex', justifyContent: 'center', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+        <button onClick={() => { setDraft(saved); setProblems([]); setOpen(true); }} style={linkButtonStyle}>
+          {count > 0 ? `SUPPRESSIONS: ${count} accepted finding rule(s)` : '+ Suppressions (accept known findings)'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: '1rem', textAlign: 'left', fontFamily: 'var(--font-mono)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+      <div style={{ marginBottom: '0.5rem' }}>
+        Same format as a project's <code>.decentralens.yml</code>. Every entry needs a reason; accepted findings stay visible but don't count toward the verdict.
+      </div>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder={EXAMPLE}
+        spellCheck="false"
+        rows={8}
+        style={{ width: '100%', padding: '0.75rem 1rem', borderRadius: '8px', border: '1px solid var(--border-glass)', background: 'rgba(0,0,0,0.3)', color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: '0.8rem', outline: 'none', resize: 'vertical' }}
+      />
+      {problems.map((problem, i) => (
+        <div key={i} style={{ color: 'var(--neon-risk)', marginTop: '0.25rem' }}>[ERROR] {problem}</div>
+      ))}
+      <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end', marginTop: '0.5rem' }}>
+        <button onClick={save} style={{ ...linkButtonStyle, color: 'var(--neon-primary)' }}>save</button>
+        <button onClick={() => setOpen(false)} style={linkButtonStyle}>cancel</button>
+      </div>
+    </div>
+  );
+};
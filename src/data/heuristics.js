@@ -7,165 +7,13 @@
  * - Conservative: Prefer "Unknown" over false assurance.
  * 
  * Rules:
+ * - Detection rules live in declarative rule packs (see src/data/rules/core.json).
  * - Risks are categorized by type (Critical, Hosting, Vendor, etc.)
  * - Each risk has a specific failure mode explanation.
  */
 
-export const OFFLINE_SIGNALS = {
-  PERSISTENCE: ['indexedDB', 'idb', 'localforage', 'dexie', 'rxdb', 'pouchdb', 'watermelondb', 'sqlite-wasm', 'absurd-sql'],
-  CACHING: ['serviceWorker', 'sw-precache', 'workbox', 'vite-plugin-pwa', 'next-pwa', 'caches.open'],
-  INTENT: ['navigator.onLine', 'window.addEventListener("offline")', 'backgroundSync', 'periodicSync'],
-  NATIVE: ['tauri', 'electron-store', 'react-native-fs', 'capacitor', 'cordova']
-};
-
-export const RISKS = {
-  // --- Generic Network Signals ---
-  'GENERIC_NETWORK': {
-    id: 'generic-network',
-    category: 'External Service',
-    riskLevel: 'Medium',
-    reason: 'Generic HTTP Client detected (fetch/axios).',
-    failureMode: 'Project makes network calls. Centralization unknown without runtime verification.'
-  },
-
-  'firebase': { 
-    id: 'firebase',
-    category: 'Critical Infrastructure', 
-    riskLevel: 'High', 
-    reason: 'Relies on Google-hosted proprietary backend services (Auth/DB/Hosting).',
-    failureMode: 'If Google limits the project or the service goes down, the application completely stops working.' 
-  },
-  // ... (previous deps mostly same, saving space if possible, but replace tool needs full logic if overwriting block) ...
-  // actually I should only overwrite the specific blocks or the whole file. I will overwrite the config section particularly.
-
-  '@firebase/app': { 
-    id: 'firebase',
-    category: 'Critical Infrastructure', 
-    riskLevel: 'High', 
-    reason: 'Core Firebase SDK Detected.',
-    failureMode: 'Centralized backend dependency. Single point of failure.' 
-  },
-  'firebase-tools': {
-    id: 'firebase-tools',
-    category: 'Critical Infrastructure', 
-    riskLevel: 'High', 
-    reason: 'Firebase CLI indicates deployment/management via Firebase.',
-    failureMode: 'infra-as-code binding to Firebase.'
-  },
-  'aws-sdk': { 
-    id: 'aws-sdk',
-    category: 'Critical Infrastructure', 
-    riskLevel: 'High', 
-    reason: 'Hard dependency on Amazon Web Services.',
-    failureMode: 'Vendor lock-in. Migration requires rewriting core logic.' 
-  },
-  'contentful': { 
-    id: 'contentful',
-    category: 'Critical Infrastructure', 
-    riskLevel: 'High', 
-    reason: 'Headless CMS hosted by Contentful.',
-    failureMode: 'Content vanishes if API fails or payment stops.' 
-  },
-  'sanity': { 
-    id: 'sanity',
-    category: 'Critical Infrastructure', 
-    riskLevel: 'High', 
-    reason: 'Headless CMS hosted by Sanity.',
-    failureMode: 'Content dependency. App is a shell without the remote API.' 
-  },
-
-  // --- Traditional Server Architecture (Low Readiness) ---
-  'wordpress-core': { 
-    id: 'wordpress',
-    category: 'Traditional Server', 
-    riskLevel: 'High', 
-    reason: 'Monolithic PHP Server Architecture.',
-    failureMode: 'Single Server (SPoF). If the server crashes, the site is gone.' 
-  },
-  'laravel/framework': { 
-    id: 'laravel',
-    category: 'Traditional Server', 
-    riskLevel: 'High', 
-    reason: 'PHP Backend Framework.',
-    failureMode: 'Requires always-on trusted server.' 
-  },
-  'django': { 
-    id: 'django',
-    category: 'Traditional Server', 
-    riskLevel: 'High', 
-    reason: 'Python Backend Framework.',
-    failureMode: 'Centralized logic/database. Not distributed.' 
-  },
-  'express': {
-    id: 'express',
-    category: 'Traditional Server',
-    riskLevel: 'High',
-    reason: 'Node.js Backend Framework.',
-    failureMode: 'Implies a centralized server API.'
-  },
-
-  // --- Hosting Dependency (Medium/High) - MITIGATED ---
-  'vercel.json': {
-    id: 'vercel',
-    category: 'Hosting Dependency',
-    riskLevel: 'Medium',
-    reason: 'Optimized for Vercel Cloud Platform.',
-    failureMode: 'Project likely relies on Vercel-specific serverless functions. (Check if Dev-Only)'
-  },
-  'netlify.toml': {
-    id: 'netlify',
-    category: 'Hosting Dependency',
-    riskLevel: 'Medium',
-    reason: 'Optimized for Netlify Cloud Platform.',
-    failureMode: 'Project likely relies on Netlify-specific redirects/forms. (Check if Dev-Only)'
-  },
-  'docker-compose.yml': {
-    id: 'docker',
-    category: 'Infrastructure Config',
-    riskLevel: 'Medium',
-    reason: 'Docker Orchestration Config.',
-    failureMode: 'Implies complex server requirements. May be Dev-Only, but verification required.'
-  },
-    
-  // --- Vendor Lock-in (Medium/High Risk) ---
-  '@auth0/auth0-react': { 
-    id: 'auth0',
-    category: 'Identity Dependency', 
-    riskLevel: 'High', 
-    reason: 'Identity as a Service (Auth0).',
-    failureMode: 'Users cannot log in if Auth0 is down. Identity data is not owned by the user.' 
-  },
-  '@clerk/clerk-react': { 
-    id: 'clerk',
-    category: 'Identity Dependency', 
-    riskLevel: 'High', 
-    reason: 'Proprietary Auth Provider.',
-    failureMode: 'User identity siloed in Clerk servers.' 
-  },
-  '@supabase/supabase-js': { 
-    id: 'supabase',
-    category: 'Data Dependency', 
-    riskLevel: 'Medium', 
-    reason: 'Supabase (Managed Postgres/Auth).',
-    failureMode: 'While open-source compatible, usually deployed as a hosted monolith. Migration is easier than Firebase but still non-trivial.' 
-  },
-
-  // --- Operational Dependency (Medium Risk) ---
-  'react-ga': { 
-    id: 'analytics',
-    category: 'Operational', 
-    riskLevel: 'Medium', 
-    reason: 'Google Analytics.',
-    failureMode: 'Privacy leak. Does not usually break core app functionality if blocked.' 
-  },
-  'mixpanel-browser': { 
-    id: 'analytics',
-    category: 'Operational', 
-    riskLevel: 'Medium', 
-    reason: 'Mixpanel Tracking.',
-    failureMode: 'User surveillance. Non-critical for uptime.' 
-  },
-};
+// Stamped on every report and export, so results can be traced to the engine that produced them
+export const ENGINE = { name: 'DecentraLens', version: '2.1.0' };
 
 export const READINESS_LEVELS = {
   HIGH: { 
@@ -190,6 +38,326 @@ export const READINESS_LEVELS = {
     label: 'MANUAL REVIEW REQUIRED',
     color: 'var(--text-secondary)',
     desc: 'No strong signals found. Does not use standard recognized decentralized or centralized patterns.',
-    verdict: 'Unknown'
+    verdict: 'Unknown',
+    unscored: true // A 100 with nothing to score would read as a clean bill of health
+  },
+  HUMAN_REVIEW: {
+    label: 'Human Review Required',
+    color: 'var(--accent-warn)',
+    desc: 'The project makes network calls to endpoints static analysis could not identify. Check where they go before trusting a verdict.',
+    verdict: 'Ambiguous',
+    unscored: true
+  }
+};
+
+/**
+ * Readiness Scoring
+ * Every project starts at 100 points, split across dimensions by weight.
+ * Each counted finding deducts points from the dimensions its category
+ * touches (a rule's own `dimension` wins); a dimension can't drop below 0.
+ * - risk:        points one finding deducts, before shares and mitigations
+ * - categories:  share of those points per dimension; a category's shares add up
+ *                to 1, so a finding never deducts more than its risk's points (none
+ *                for categories with no shares)
+ * - repeat:      further findings of the same rule deduct this fraction each,
+ *                at most `ruleCap` times the base in total
+ * - mitigations: multipliers for data when local persistence is proven, and
+ *                for services the project can run itself (`selfHostable` rules)
+ * - caps:        an unmitigated High finding in these categories caps the total
+ * - levels:      minimum score per readiness level
+ * - ceilings:    the best level a project with a counted finding of this risk can reach,
+ *                whatever its score (one Medium dependency is not "High Readiness")
+ */
+export const SCORING_MODEL = {
+  dimensions: {
+    data: { label: 'Data', weight: 30 },
+    identity: { label: 'Identity', weight: 20 },
+    hosting: { label: 'Hosting', weight: 15 },
+    compute: { label: 'Compute', weight: 20 },
+    telemetry: { label: 'Telemetry', weight: 15 }
+  },
+  risk: { High: 25, Medium: 12, Low: 3, None: 0 },
+  categories: {
+    'Critical Infrastructure': { data: 0.5, hosting: 0.25, compute: 0.25 },
+    'Data Dependency': { data: 1 },
+    'Identity Dependency': { identity: 1 },
+    'Hosting': { hosting: 1 },
+    'Hosting Dependency': { hosting: 1 },
+    'Infrastructure Config': { hosting: 1 },
+    'Traditional Server': { compute: 0.75, hosting: 0.25 },
+    'Serverless Compute': { compute: 0.75, hosting: 0.25 },
+    'Structure': { compute: 1 },
+    'External Service': { compute: 1 },
+    'Hardcoded API': { compute: 1 },
+    // Calls any host of the app (or the user's machine, or any gateway) can answer: evidence only
+    'Same-Origin API': {},
+    'Local Service': {},
+    'Decentralized Gateway': {},
+    'Operational': { telemetry: 1 }
+  },
+  defaultShares: { compute: 1 },
+  repeat: 0.25,
+  ruleCap: 2,
+  mitigations: { persistence: 0.5, selfHostable: 0.5 },
+  caps: { 'Critical Infrastructure': 45, 'Traditional Server': 50, 'Identity Dependency': 50 },
+  levels: { HIGH: 90, MEDIUM: 55, LOW: 0 },
+  ceilings: { High: 'MEDIUM', Medium: 'MEDIUM' }
+};
+
+// How each applied mitigation (readiness.mitigations) reads in reports
+export const MITIGATION_LABELS = {
+  persistence: 'Local persistence halves data deductions',
+  selfHostable: 'Self-hostable services deduct half'
+};
+
+/**
+ * Dependency Scopes
+ * A finding only weighs on the verdict as much as its scope ships with the app:
+ * - count:    full weight (code users actually run)
+ * - discount: risk drops one level (High -> Medium, Medium -> Low)
+ * - report:   listed as evidence, excluded from the verdict
+ */
+export const SCOPE_POLICY = {
+  runtime: 'count',
+  peer: 'count',
+  optional: 'discount',
+  build: 'discount',
+  dev: 'report',
+  test: 'report'
+};
+
+// When one package is declared in several scopes, the one that ships wins.
+export const SCOPE_PRECEDENCE = ['runtime', 'peer', 'optional', 'build', 'test', 'dev'];
+
+// Source files that only exist to test the project
+export const TEST_PATH_PATTERN = /(^|\/)(__tests__|__mocks__|__fixtures__|tests?|spec|fixtures|e2e|cypress)\/|\.(test|spec)\.[cm]?[jt]sx?$/i;
+
+// Sample projects shipped alongside the real one
+export const EXAMPLE_PATH_PATTERN = /(^|\/)examples?\//i;
+
+// Installed packages and build output, not the project's own sources.
+// Whole folder names only: "packages/contest-ui" or "src/builders" are real code.
+export const VENDORED_PATH_PATTERN = /(^|\/)node_modules\//;
+export const BUILD_OUTPUT_PATTERN = /(^|\/)(dist|build)\//;
+
+/**
+ * Scan Budgets
+ * How much of a project one run may read. Online scans pay for every file
+ * with a network round-trip, local scans only with disk reads.
+ * - maxFiles:       files fetched (manifests, configs, lockfiles and sources)
+ * - maxBytes:       total bytes read
+ * - maxConcurrency: fetches in flight at once
+ * Manifests and configs are read first; source files fill what is left.
+ */
+export const SCAN_BUDGETS = {
+  ONLINE: { maxFiles: 80, maxBytes: 4 * 1024 * 1024, maxConcurrency: 6 },
+  OFFLINE: { maxFiles: 1000, maxBytes: 32 * 1024 * 1024, maxConcurrency: 16 }
+};
+
+/**
+ * Endpoint Classes
+ * Where a statically resolved network call goes. Known vendor hosts come
+ * from `endpoint` rules in the rule packs; these cover everything else.
+ */
+export const ENDPOINT_CLASSES = {
+  'same-origin': {
+    id: 'endpoint-same-origin',
+    signal: 'Network Call (Same-Origin)',
+    category: 'Same-Origin API',
+    riskLevel: 'Low',
+    failureMode: 'Relative URL served by the app\'s own origin. Only as centralized as wherever the app itself is hosted.'
+  },
+  'localhost': {
+    id: 'endpoint-localhost',
+    signal: 'Network Call (Localhost)',
+    category: 'Local Service',
+    riskLevel: 'Low',
+    failureMode: 'Targets a service on the user\'s own machine or private network.'
+  },
+  'gateway': {
+    id: 'endpoint-gateway',
+    signal: 'Network Call (IPFS/ENS Gateway)',
+    category: 'Decentralized Gateway',
+    riskLevel: 'Low',
+    failureMode: 'Content-addressed data. Any gateway or local node can serve it.'
+  },
+  'third-party': {
+    id: 'endpoint-third-party',
+    signal: 'Third-Party Endpoint',
+    category: 'External Service',
+    riskLevel: 'Medium',
+    failureMode: 'Depends on a third-party server the project does not control.'
+  }
+};
+
+// Hosts that only resolve to the user's machine or private network
+export const LOCAL_HOST_PATTERN = /^(localhost|.*\.localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|::1|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|host\.docker\.internal)$/i;
+
+// Content-addressed gateways (suffix match) and ENS names
+export const DECENTRALIZED_GATEWAYS = ['ipfs.io', 'dweb.link', 'cf-ipfs.com', 'cloudflare-ipfs.com', 'w3s.link', 'nftstorage.link', '4everland.io', 'eth.limo', 'eth.link', 'arweave.net'];
+
+// Hosted database services, by host suffix of a connection URL
+export const MANAGED_DATABASES = {
+  'rds.amazonaws.com': 'Amazon RDS',
+  'cache.amazonaws.com': 'Amazon ElastiCache',
+  'mongodb.net': 'MongoDB Atlas',
+  'neon.tech': 'Neon',
+  'supabase.co': 'Supabase',
+  'supabase.com': 'Supabase',
+  'psdb.cloud': 'PlanetScale',
+  'upstash.io': 'Upstash',
+  'cockroachlabs.cloud': 'CockroachDB Cloud',
+  'database.azure.com': 'Azure Database',
+  'database.windows.net': 'Azure SQL',
+  'redis.cache.windows.net': 'Azure Cache for Redis',
+  'aivencloud.com': 'Aiven',
+  'turso.io': 'Turso',
+  'firebaseio.com': 'Firebase Realtime Database'
+};
+
+// Private image registries of cloud providers ("<registry>/<image>")
+export const CLOUD_REGISTRY_PATTERN = /^([^/]+\.dkr\.ecr\.[^/]+\.amazonaws\.com|([^/]+\.)?gcr\.io|[^/]+-docker\.pkg\.dev|[^/]+\.azurecr\.io|registry\.heroku\.com)\//i;
+
+/**
+ * Cloud Services
+ * Managed services named in infrastructure code, matched on a resource
+ * identifier: a Terraform resource type ("aws_dynamodb_table"), a
+ * CloudFormation type ("AWS::DynamoDB::Table"), or the same shape derived
+ * from serverless.yml events, CDK imports and wrangler.toml bindings.
+ * The first matching entry wins.
+ */
+export const CLOUD_SERVICES = [
+  // AWS
+  { match: /^(aws_lambda|AWS::Lambda::|AWS::Serverless::Function)/, provider: 'AWS', service: 'AWS Lambda', category: 'Serverless Compute', risk: 'Medium' },
+  { match: /^(aws_api_?gateway|AWS::ApiGateway|AWS::Serverless::(Http)?Api)/, provider: 'AWS', service: 'Amazon API Gateway', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^(aws_dynamodb|AWS::DynamoDB::|AWS::Serverless::SimpleTable)/, provider: 'AWS', service: 'Amazon DynamoDB', category: 'Data Dependency', risk: 'High' },
+  { match: /^(aws_(db_instance|rds)|AWS::RDS::)/, provider: 'AWS', service: 'Amazon RDS', category: 'Data Dependency', risk: 'High' },
+  { match: /^(aws_elasticache|AWS::ElastiCache::)/, provider: 'AWS', service: 'Amazon ElastiCache', category: 'Data Dependency', risk: 'Medium' },
+  { match: /^(aws_s3(_bucket)?$|AWS::S3::Bucket)/, provider: 'AWS', service: 'Amazon S3', category: 'Data Dependency', risk: 'Medium' },
+  { match: /^(aws_cognito|AWS::Cognito::)/, provider: 'AWS', service: 'Amazon Cognito', category: 'Identity Dependency', risk: 'High' },
+  { match: /^(aws_sqs|AWS::SQS::)/, provider: 'AWS', service: 'Amazon SQS', category: 'External Service', risk: 'Medium' },
+  { match: /^(aws_sns|AWS::SNS::)/, provider: 'AWS', service: 'Amazon SNS', category: 'External Service', risk: 'Medium' },
+  { match: /^(aws_(cloudwatch_event|events|scheduler)|AWS::(Events|Scheduler)::)/, provider: 'AWS', service: 'Amazon EventBridge', category: 'Serverless Compute', risk: 'Medium' },
+  { match: /^(aws_ecs|AWS::ECS::)/, provider: 'AWS', service: 'Amazon ECS', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^(aws_eks|AWS::EKS::)/, provider: 'AWS', service: 'Amazon EKS', category: 'Hosting Dependency', risk: 'Low' },
+  { match: /^(aws_(instance$|ec2|launch_template)|AWS::EC2::Instance)/, provider: 'AWS', service: 'Amazon EC2', category: 'Hosting Dependency', risk: 'Low' },
+  { match: /^(aws_cloudfront|AWS::CloudFront::)/, provider: 'AWS', service: 'Amazon CloudFront', category: 'Hosting Dependency', risk: 'Low' },
+  { match: /^(aws_amplify|AWS::Amplify::)/, provider: 'AWS', service: 'AWS Amplify', category: 'Hosting Dependency', risk: 'Medium' },
+  // Google Cloud
+  { match: /^google_cloudfunctions/, provider: 'Google Cloud', service: 'Cloud Functions', category: 'Serverless Compute', risk: 'Medium' },
+  { match: /^google_(cloud_?)?run/, provider: 'Google Cloud', service: 'Cloud Run', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^google_sql/, provider: 'Google Cloud', service: 'Cloud SQL', category: 'Data Dependency', risk: 'High' },
+  { match: /^google_(firestore|firebase)/, provider: 'Google Cloud', service: 'Firebase / Firestore', category: 'Data Dependency', risk: 'High' },
+  { match: /^google_bigquery/, provider: 'Google Cloud', service: 'BigQuery', category: 'Data Dependency', risk: 'High' },
+  { match: /^google_storage/, provider: 'Google Cloud', service: 'Cloud Storage', category: 'Data Dependency', risk: 'Medium' },
+  { match: /^google_pubsub/, provider: 'Google Cloud', service: 'Pub/Sub', category: 'External Service', risk: 'Medium' },
+  { match: /^google_identity_?platform/, provider: 'Google Cloud', service: 'Identity Platform', category: 'Identity Dependency', risk: 'High' },
+  { match: /^google_container/, provider: 'Google Cloud', service: 'Google Kubernetes Engine', category: 'Hosting Dependency', risk: 'Low' },
+  { match: /^google_compute_instance/, provider: 'Google Cloud', service: 'Compute Engine', category: 'Hosting Dependency', risk: 'Low' },
+  // Azure
+  { match: /^azurerm_(linux_|windows_)?function_app/, provider: 'Azure', service: 'Azure Functions', category: 'Serverless Compute', risk: 'Medium' },
+  { match: /^azurerm_((linux_|windows_)?web_app|app_service)/, provider: 'Azure', service: 'Azure App Service', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^azurerm_static_(site|web_app)/, provider: 'Azure', service: 'Azure Static Web Apps', category: 'Hosting Dependency', risk: 'Low' },
+  { match: /^azurerm_cosmosdb/, provider: 'Azure', service: 'Azure Cosmos DB', category: 'Data Dependency', risk: 'High' },
+  { match: /^azurerm_(mssql|sql|postgresql|mysql)/, provider: 'Azure', service: 'Azure Database', category: 'Data Dependency', risk: 'High' },
+  { match: /^azurerm_storage/, provider: 'Azure', service: 'Azure Storage', category: 'Data Dependency', risk: 'Medium' },
+  { match: /^azurerm_kubernetes_cluster/, provider: 'Azure', service: 'Azure Kubernetes Service', category: 'Hosting Dependency', risk: 'Low' },
+  { match: /^azuread_/, provider: 'Azure', service: 'Microsoft Entra ID', category: 'Identity Dependency', risk: 'High' },
+  // Cloudflare
+  { match: /^cloudflare_workers?_kv/, provider: 'Cloudflare', service: 'Workers KV', category: 'Data Dependency', risk: 'Medium' },
+  { match: /^cloudflare_workers?_(script|route)/, provider: 'Cloudflare', service: 'Cloudflare Workers', category: 'Serverless Compute', risk: 'Medium' },
+  { match: /^cloudflare_d1/, provider: 'Cloudflare', service: 'Cloudflare D1', category: 'Data Dependency', risk: 'High' },
+  { match: /^cloudflare_durable_object/, provider: 'Cloudflare', service: 'Durable Objects', category: 'Data Dependency', risk: 'High' },
+  { match: /^cloudflare_r2/, provider: 'Cloudflare', service: 'Cloudflare R2', category: 'Data Dependency', risk: 'Medium' },
+  { match: /^cloudflare_queue/, provider: 'Cloudflare', service: 'Cloudflare Queues', category: 'External Service', risk: 'Medium' },
+  { match: /^cloudflare_hyperdrive/, provider: 'Cloudflare', service: 'Hyperdrive', category: 'External Service', risk: 'Medium' },
+  { match: /^cloudflare_workers_ai/, provider: 'Cloudflare', service: 'Workers AI', category: 'External Service', risk: 'Medium' },
+  { match: /^cloudflare_pages/, provider: 'Cloudflare', service: 'Cloudflare Pages', category: 'Hosting Dependency', risk: 'Low' },
+  // Platforms
+  { match: /^digitalocean_database/, provider: 'DigitalOcean', service: 'DigitalOcean Managed Databases', category: 'Data Dependency', risk: 'High' },
+  { match: /^digitalocean_app/, provider: 'DigitalOcean', service: 'DigitalOcean App Platform', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^heroku_app/, provider: 'Heroku', service: 'Heroku', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^heroku_addon/, provider: 'Heroku', service: 'Heroku add-on', category: 'External Service', risk: 'Medium' },
+  { match: /^vercel_project/, provider: 'Vercel', service: 'Vercel', category: 'Hosting Dependency', risk: 'Medium' },
+  { match: /^netlify_site/, provider: 'Netlify', service: 'Netlify', category: 'Hosting Dependency', risk: 'Medium' }
+];
+
+// Terraform provider names -> cloud; utility providers (random, null, local, tls, ...) name none
+export const CLOUD_PROVIDERS = {
+  aws: 'AWS',
+  google: 'Google Cloud',
+  'google-beta': 'Google Cloud',
+  azurerm: 'Azure',
+  azuread: 'Azure',
+  cloudflare: 'Cloudflare',
+  digitalocean: 'DigitalOcean',
+  heroku: 'Heroku',
+  vercel: 'Vercel',
+  netlify: 'Netlify',
+  kubernetes: 'Kubernetes',
+  helm: 'Kubernetes'
+};
+
+// Container images of databases and object stores a project runs itself (name without registry or tag)
+export const SELF_HOSTED_IMAGES = ['postgres', 'postgis', 'mysql', 'mariadb', 'mongo', 'redis', 'valkey', 'memcached', 'couchdb', 'cassandra', 'neo4j', 'clickhouse-server', 'minio', 'ipfs', 'kubo', 'surrealdb'];
+export const DECENTRALIZED_SCHEMES = ['ipfs', 'ipns', 'ar', 'ens'];
+
+/**
+ * Decentralization Profile
+ * Each concern is assessed on its own, so a project can be strong on data
+ * and still hang on a single identity provider. A finding lands in the
+ * dimensions SCORING_MODEL gives it, plus any in its rule's `profile` list,
+ * plus any whose `categories` / `scopes` match it here.
+ * - support: offline categories (or SELF_HOSTED services) showing the project
+ *            handles the concern itself, and finding categories that back the
+ *            dimension rather than weaken it (a content-addressed gateway)
+ * - failure: what users lose when a dependency in this dimension fails
+ */
+export const PROFILE_DIMENSIONS = {
+  data: {
+    label: 'Data Custody',
+    support: ['PERSISTENCE', 'SELF_HOSTED'],
+    failure: 'Users lose access to their data, and the provider decides what is kept or deleted.'
+  },
+  identity: {
+    label: 'Identity / Auth',
+    support: [],
+    failure: 'Nobody can sign in; accounts exist only at the provider.'
+  },
+  hosting: {
+    label: 'Hosting / Deploy',
+    support: [],
+    failure: 'The app can no longer be deployed or reached at its address.'
+  },
+  compute: {
+    label: 'Compute / Backend',
+    support: [],
+    failure: 'Features that run on a server stop working.'
+  },
+  delivery: {
+    label: 'Content Delivery',
+    support: ['CACHING', 'NATIVE', 'Decentralized Gateway'],
+    failure: 'Pages, assets or content stop loading.'
+  },
+  telemetry: {
+    label: 'Telemetry / Privacy',
+    support: [],
+    failure: 'Usage data leaves the device and is kept by a third party.'
+  },
+  governance: {
+    label: 'Governance / Build',
+    scopes: ['build'],
+    support: [],
+    failure: 'The project cannot be rebuilt the same way without the vendor or the exact dependency versions.'
   }
 };
+
+/**
+ * Profile status per dimension, most severe first.
+ */
+export const PROFILE_STATUSES = {
+  DEPENDENT: { label: 'Dependent', desc: 'A High risk finding: the dimension relies on a third party.' },
+  PARTIAL: { label: 'Partial', desc: 'Medium or Low risk findings: some reliance on third parties.' },
+  INDEPENDENT: { label: 'Independent', desc: 'No counted findings, and evidence the project handles this itself.' },
+  NO_SIGNALS: { label: 'No Signals', desc: 'Nothing found either way. Not proof of independence.' }
+};
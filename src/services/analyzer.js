@@ -3,47 +3,183 @@
  * Uses recursive tree mapping to eliminate blind 404s and ensure 100% discovery.
  */
 
-import { githubService } from './github.js';
+import { resolveProvider } from './providers.js';
 import { FileSystemService } from './fileSystem.js';
-import { RISKS, READINESS_LEVELS, OFFLINE_SIGNALS } from '../data/heuristics.js';
+import { ArchiveService } from './archive.js';
+import { READINESS_LEVELS, SCOPE_POLICY, SCOPE_PRECEDENCE, TEST_PATH_PATTERN, EXAMPLE_PATH_PATTERN, VENDORED_PATH_PATTERN, BUILD_OUTPUT_PATTERN, SCAN_BUDGETS, ENGINE } from '../data/heuristics.js';
+import { RuleSet } from './rules.js';
+import { isManifest } from './manifests.js';
+import { LOCKFILES, resolveChains } from './lockfiles.js';
+import { runWithConcurrency } from './concurrency.js';
+import { createFileAnalyzer } from './workerPool.js';
+import { fingerprintOf } from './reportDiff.js';
+import { SUPPRESSION_FILES, parseSuppressions, SuppressionSet } from './suppressions.js';
+import { scoreReadiness } from './scoring.js';
+import { buildProfile } from './profile.js';
+import { WORKSPACE_FILES, resolveWorkspaces, workspaceOf, rollupWorkspaces } from './workspaces.js';
+import { infrastructureFiles } from './infrastructure.js';
+import corePack from '../data/rules/core.json' with { type: 'json' };
+
+// Coverage lists at most this many skipped paths; the per-reason counts stay exact.
+const SKIPPED_LIST_LIMIT = 200;
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// Offline traits from code signals and the offline categories of dependencies
+const offlineTraits = (signals, offlineDeps) => ({
+    persistence: signals.some(s => s.category === 'PERSISTENCE') || offlineDeps.has('PERSISTENCE'),
+    caching: signals.some(s => s.category === 'CACHING') || offlineDeps.has('CACHING'),
+    native: signals.some(s => s.category === 'NATIVE') || offlineDeps.has('NATIVE'),
+});
+
+/**
+ * Evidence from a config rule's file. Parsed configs (see hostingConfigs.js)
+ * can restate the rule's own risk and add one finding per platform service;
+ * anything else fires on presence alone. A static-site restatement only holds
+ * while none of the config's `staticUnless` rules fired elsewhere (`fired`).
+ */
+const configEvidence = (rule, file, config, fired = new Set()) => {
+    const presence = { ruleId: rule.id, file, signal: rule.signal || `Config: ${file}`, risk: rule.riskLevel, category: rule.category, reason: rule.failureMode };
+    if (!config) return [presence];
+    const deploy = (config.staticUnless || []).some(id => fired.has(id)) ? null : config.deploy;
+    return [
+        deploy ? { ...presence, risk: deploy.risk, reason: deploy.failureMode } : presence,
+        ...config.features.map(feature => ({
+            ruleId: `${rule.id}/${feature.id}`,
+            file,
+            line: feature.line,
+            signal: feature.signal,
+            risk: feature.risk,
+            category: feature.category,
+            reason: `Declared in ${file}`,
+            failureMode: feature.failureMode
+        }))
+    ];
+};
+
+/**
+ * Evidence from infrastructure code (see infrastructure.js): one finding per
+ * cloud or managed service the file provisions, naming its provider.
+ */
+const infrastructureEvidence = (file, infra) => infra.services.map(item => ({
+    ruleId: `${infra.format}/${item.id}`,
+    source: 'Infrastructure',
+    file,
+    line: item.line,
+    signal: item.signal,
+    risk: item.risk,
+    category: item.category,
+    provider: item.provider,
+    service: item.service,
+    reason: `Declared in ${file}`,
+    failureMode: item.failureMode
+}));
+
+/**
+ * Offline Capability (Strict Hierarchy)
+ * A. OFFLINE-CAPABLE (Strong): persistence IS detected AND critical cloud blockers are NOT.
+ * Network calls (fetch/axios) do NOT disqualify this status, as offline-first apps sync.
+ */
+const offlineCapability = (findings, traits) => {
+    const hasCloudBlocker = findings.some(f => f.counted && (f.category === 'Critical Infrastructure' || f.risk === 'High'));
+    if (hasCloudBlocker) {
+        return { status: 'Online-Only', reason: 'Critical Cloud Dependencies prevent offline use.' };
+    }
+    if (traits.persistence) {
+        // Strongest signal: Data is stored locally.
+        // Even if network exists, the app HAS local state.
+        return { status: 'Offline-Capable', reason: 'Strong Local Persistence detected (Offline First).' };
+    }
+    if (traits.caching || traits.native) {
+        return { status: 'Partially Offline', reason: 'Caching or Native Shell detected, but no deep data persistence.' };
+    }
+    return { status: 'Online-Only', reason: 'No persistence or caching strategy found.' };
+};
 
 export class AnalyzerService {
+  constructor(packs = [corePack]) {
+    // Rule packs are validated up front so a broken pack fails fast, not mid-scan.
+    this.rules = new RuleSet(packs);
+  }
+
+  /**
+   * Register an additional rule pack (object, JSON or YAML text).
+   * Rules with an existing id replace the earlier definition.
+   */
+  loadRulePack(source) {
+    return this.rules.addPack(source);
+  }
 
-  async analyzeRepo(repoUrl) {
-    const repoPath = githubService.parseUrl(repoUrl);
-    if (!repoPath) throw new Error('Invalid GitHub URL');
+  /**
+   * Options (both modes):
+   * - budget: { maxFiles, maxBytes, maxConcurrency } overrides for this run (see SCAN_BUDGETS)
+   * - onProgress(event): called as the scan advances, with
+   *     { phase: 'tree', message, total, evidence }   tree mapped, files planned
+   *     { phase: 'files', done, total, file, evidence } one file read and analyzed
+   *     { phase: 'rules', message }                   evaluating the verdict
+   *   `evidence` holds findings as they are found (before scope policy and scoring).
+   * - signal: AbortSignal; aborting rejects the scan with an AbortError
+   * - provider (online only): { kind: 'gitlab' | 'gitea', baseUrl } for self-hosted instances
+   * - ref (online only): branch, tag or commit to scan; replaces the ref (and subfolder) from the URL
+   * - suppressions: YAML text in the .decentralens.yml format from the user's settings,
+   *   applied on top of the project's own file (see suppressions.js)
+   */
+  async analyzeRepo(repoUrl, options = {}) {
+    // GitHub, GitLab or Gitea/Forgejo, from the URL (see providers.js)
+    const { provider, repoPath } = await resolveProvider(repoUrl, options.provider, { signal: options.signal });
 
     const context = {
         type: 'ONLINE',
         owner: repoPath.owner,
         repo: repoPath.repo,
-        defaultBranch: 'main' 
+        defaultBranch: 'main',
+        refPath: options.ref || repoPath.refPath, // "<ref>/<subdirectory>" from the URL, resolved below
+        blob: !options.ref && repoPath.blob
     };
 
-    return this._runAnalysis(githubService, context);
+    return this._runAnalysis(provider, context, options);
   }
 
-  async analyzeLocal(dirHandle) {
+  async analyzeLocal(dirHandle, options = {}) {
      const provider = new FileSystemService(dirHandle);
      const context = { type: 'OFFLINE' };
-     return this._runAnalysis(provider, context);
+     return this._runAnalysis(provider, context, options);
+  }
+
+  /**
+   * Analyze an uploaded .zip / .tar.gz / .tar (a File or Blob with a name).
+   */
+  async analyzeArchive(file, options = {}) {
+     // Inflates no more than the scan could read
+     const provider = new ArchiveService(file, { maxBytes: options.budget?.maxBytes ?? undefined });
+     const context = { type: 'OFFLINE' };
+     return this._runAnalysis(provider, context, options);
   }
 
   /**
    * Core Analysis Logic (Tree-Based)
    */
-  async _runAnalysis(provider, context) {
+  async _runAnalysis(provider, context, options = {}) {
+
+      // Per-mode budget defaults, overridden field by field
+      const budget = { ...SCAN_BUDGETS[context.type] };
+      Object.entries(options.budget || {}).forEach(([key, value]) => {
+          if (value != null) budget[key] = value;
+      });
+      const { signal } = options;
+      const progress = (event) => options.onProgress?.(event);
       
       // 1. Metadata & Branch Detection
       let projectInfo = null;
       let rateLimited = false;
 
       const getDetails = async () => {
-         if (context.type === 'ONLINE') return provider.getRepoDetails(context.owner, context.repo);
+         if (context.type === 'ONLINE') return provider.getRepoDetails(context.owner, context.repo, { signal });
          return provider.getProjectDetails();
       };
 
       projectInfo = await getDetails();
+      signal?.throwIfAborted();
       if (!projectInfo) throw new Error('Project access failed.');
 
       if (projectInfo.rateLimited) {
@@ -53,29 +189,58 @@ export class AnalyzerService {
           context.defaultBranch = projectInfo.default_branch || 'main'; 
       }
 
+      // 1b. Revision: pin the requested ref (or the default branch) to a commit SHA,
+      // so every file comes from the same commit and the audit can be reproduced.
+      if (context.type === 'ONLINE') {
+          const refPath = context.refPath || context.defaultBranch;
+          const revision = rateLimited
+              ? { ref: refPath.split('/')[0], sha: null, path: refPath.split('/').slice(1).join('/') }
+              : await provider.resolveRef(context.owner, context.repo, refPath, { signal });
+          signal?.throwIfAborted();
+          if (!revision) throw new Error(`Branch, tag or commit not found: ${refPath}`);
+
+          let path = revision.path;
+          if (context.blob) path = path.split('/').slice(0, -1).join('/'); // A file link scopes to its folder
+          Object.assign(context, { ref: revision.ref, commitSha: revision.sha, path });
+      }
+      const revisionRef = context.commitSha || context.ref;
+
       // 2. TREE SCAN (The "Map")
       let tree = [];
       if (context.type === 'ONLINE') {
-          tree = await provider.getTree(context.owner, context.repo, context.defaultBranch);
+          tree = await provider.getTree(context.owner, context.repo, revisionRef, { signal });
       } else {
           tree = await provider.getTree();
       }
+      signal?.throwIfAborted();
 
       if (!tree || (tree.rateLimited && context.type === 'ONLINE')) {
           rateLimited = true;
           tree = []; // Fallback to empty tree, will trigger blind/limited scan if needed
       }
 
+      // Scoped to a subdirectory: it becomes the project root
+      const basePath = context.path ? `${context.path}/` : '';
+      if (basePath && tree.length > 0) {
+          const scoped = tree
+              .filter(f => f.path.startsWith(basePath))
+              .map(f => ({ ...f, path: f.path.slice(basePath.length) }));
+          scoped.truncated = tree.truncated;
+          if (scoped.length === 0) throw new Error(`Path not found at ${context.ref}: ${context.path}`);
+          tree = scoped;
+      }
+
       // --- Smart Unwrapping (Tree Based) ---
       // If all files in the tree start with the same directory prefix, unwrap it.
       // e.g. "repo-main/package.json", "repo-main/src/..."
       let pathPrefix = '';
       if (tree.length > 0) {
-          const firstPath = tree[0].path;
+          const firstPath = (tree.find(f => f.path.includes('/')) || tree[0]).path;
           const slashIndex = firstPath.indexOf('/');
           if (slashIndex !== -1) {
               const possiblePrefix = firstPath.substring(0, slashIndex + 1); // "repo-main/"
-              const allMatch = tree.every(f => f.path.startsWith(possiblePrefix));
+              // The wrapper folder's own entry ("repo-main") may be listed too
+              const allMatch = tree.every(f => f.path.startsWith(possiblePrefix) || f.path === possiblePrefix.slice(0, -1));
               if (allMatch) {
                   pathPrefix = possiblePrefix;
               }
@@ -110,7 +275,7 @@ export class AnalyzerService {
           const exists = tree.some(f => f.path === targetPath);
           if (!exists && !rateLimited) return null; // Skip fetch if we know it's missing!
 
-          if (context.type === 'ONLINE') return provider.getRawFile(context.owner, context.repo, targetPath, context.defaultBranch);
+          if (context.type === 'ONLINE') return provider.getRawFile(context.owner, context.repo, basePath + targetPath, revisionRef, { signal });
           return provider.getFileContent(targetPath);
       };
 
@@ -122,6 +287,13 @@ export class AnalyzerService {
         score: READINESS_LEVELS.UNKNOWN,
         offline: { status: 'Online-Only', reason: 'Default assumption.' },
         timestamp: new Date().toISOString(),
+        engine: { name: ENGINE.name, version: ENGINE.version },
+        rulePacks: this.rules.packs.map(p => ({ ...p })),
+        // Exactly what was scanned (online only): ref as requested, the commit it resolved to, subdirectory.
+        // An unwrapped folder is part of the path, so evidence files resolve to repository paths.
+        revision: context.type === 'ONLINE'
+            ? { provider: provider.kind, baseUrl: provider.baseUrl, ref: context.ref, commitSha: context.commitSha, path: [context.path, pathPrefix.slice(0, -1)].filter(Boolean).join('/') || null }
+            : null,
         limitations: [
            context.type === 'ONLINE' ? 'Tree-Based Network analysis.' : 'Recursive Local analysis.'
         ] // Cleared blind scan warning unless rate limited
@@ -132,240 +304,465 @@ export class AnalyzerService {
       } else if (pathPrefix) {
           report.limitations.push(`Auto-unwrapped folder: ${pathPrefix}`);
       }
+      if (context.type === 'ONLINE' && !context.commitSha) {
+          report.limitations.push(`Commit not resolved; files were read from "${context.ref}" and may change between runs.`);
+      }
+      if (context.path) {
+          report.limitations.push(`Scoped to subdirectory: ${context.path}`);
+      }
+
+      // Accepted findings: the project's .decentralens.yml, then the user's settings
+      const suppressionEntries = [];
+      const suppressionFile = SUPPRESSION_FILES.find(fileExists);
+      const suppressionSources = [
+          suppressionFile && { source: await getFile(suppressionFile), origin: suppressionFile },
+          options.suppressions && { source: options.suppressions, origin: 'user settings' }
+      ];
+      signal?.throwIfAborted();
+      suppressionSources.filter(s => s?.source).forEach(({ source, origin }) => {
+          const { entries, problems } = parseSuppressions(source, origin);
+          suppressionEntries.push(...entries);
+          problems.forEach(problem => report.limitations.push(`Suppression ignored: ${problem}.`));
+      });
+      const suppressions = new SuppressionSet(suppressionEntries, new Date(report.timestamp));
+      suppressions.expired.forEach(entry => {
+          report.limitations.push(`Suppression expired on ${entry.expires} and no longer applies: ${entry.reason}`);
+      });
+
+      // Monorepo workspaces (see workspaces.js), resolved before planning so nested manifests
+      // and findings can be attributed. The configs read here are not fetched twice.
+      const prefetched = new Map();
+      const workspaceConfigs = {};
+      for (const f of WORKSPACE_FILES.filter(fileExists)) {
+          const content = await getFile(f);
+          if (content == null) continue;
+          workspaceConfigs[f] = content;
+          prefetched.set(f, content);
+      }
+      signal?.throwIfAborted();
+      const projectFiles = tree.filter(f => f.type === 'file').map(f => f.path.replace(pathPrefix, ''));
+      const { sources: workspaceSources, workspaces, problems: workspaceProblems } = resolveWorkspaces(workspaceConfigs, projectFiles);
+      workspaceProblems.forEach(problem => report.limitations.push(`Workspace config ignored: ${problem}.`));
+      const ownerOf = (file) => workspaceOf(workspaces, file);
 
       // --- Analysis Strategy ---
       // Instead of "checking files", we can now "query the tree".
 
-      let allDeps = new Set();
+      // Dependency name -> scope (runtime | dev | build | test | peer | optional) and the manifest
+      // that declares it in the winning scope: for the whole project, and per workspace ('' is the root)
+      const newDeps = () => ({ names: new Set(), scopes: new Map(), files: new Map() });
+      const projectDeps = newDeps();
+      const workspaceDeps = new Map(['', ...workspaces.map(w => w.path)].map(path => [path, newDeps()]));
+      const { names: allDeps, files: depFiles } = projectDeps;
       let fileSignals = [];
       let offlineSignals = [];
-      let configSignals = [];
-      const fetchPromises = [];
+      const configFiles = [];
+      let rootManifest = null;
+      const manifestNames = new Map(); // workspace path -> package name from its own manifest
+      let lockfiles = [];
+      const scanQueue = []; // files to read, in priority order: { path, type, rule? }
+      const skipped = []; // { path, reason }
+      const enqueue = (path, type, extra = {}) => scanQueue.push({ path, type, ...extra });
+
+      const rules = this.rules;
+      const depsFor = (file) => [projectDeps, workspaceDeps.get(ownerOf(file))];
+      const addImplied = (names, file) => depsFor(file).forEach(deps => names.forEach(d => deps.names.add(d)));
+      const addDependency = ({ name, scope }, file) => depsFor(file).forEach(deps => {
+          deps.names.add(name);
+          if (!deps.files.has(name)) deps.files.set(name, file);
+          if (!scope) return;
+          const current = deps.scopes.get(name);
+          if (!current || SCOPE_PRECEDENCE.indexOf(scope) < SCOPE_PRECEDENCE.indexOf(current)) {
+              deps.scopes.set(name, scope);
+              deps.files.set(name, file);
+          }
+      });
+      const scopeOf = (name, deps = projectDeps) => deps.scopes.get(name) || 'runtime';
 
       // A. Config & Dependency Files (Exact Match)
-      const criticalFiles = [
-        'package.json', 'requirements.txt', 'composer.json', 
-        'firebase.json', 'vercel.json', 'netlify.toml', 'docker-compose.yml', 'fly.toml', '.env.example'
-      ];
-
-      criticalFiles.forEach(f => {
-          if (fileExists(f) || rateLimited) { // If rate limited, we blindly try
-               // FIX: package.json/composer.json are dependency manifests (neutral), not hosting configs (medium risk).
-               // We only mark specific hosting files (vercel.json, netlify.toml) as 'config'.
-               const isHostingConfig = ['firebase.json', 'vercel.json', 'netlify.toml', 'fly.toml', 'docker-compose.yml'].includes(f);
-               const type = isHostingConfig ? 'config' : 'dep';
-               
-               fetchPromises.push(getFile(f).then(c => c ? { name: f, type: type, content: c } : null));
-          }
+      // Dependency manifests (package.json, requirements.txt, go.mod...) are neutral on their own.
+      // Hosting configs come from the rule packs' `config` rules.
+      const manifestFiles = rateLimited
+          ? ['package.json', 'requirements.txt', 'pyproject.toml', 'go.mod', 'Cargo.toml', 'Gemfile', 'composer.json'] // Blind guesses
+          : tree
+              .filter(f => f.type === 'file')
+              .map(f => f.path.replace(pathPrefix, ''))
+              .filter(path => !path.includes('/') && isManifest(path));
+
+      manifestFiles.forEach(f => enqueue(f, 'dep'));
+
+      rules.configs.forEach((rule, f) => {
+          if (fileExists(f) || rateLimited) enqueue(f, 'config', { rule });
       });
 
       // B. Structure Hints (Pattern Match on Tree)
       // No fetch needed! Just check the paths.
-      const structureChecks = [
-          { pattern: /manage\.py$/, signal: 'Django Backend', id: 'django' },
-          { pattern: /wp-admin/, signal: 'WordPress', id: 'wordpress' },
-          { pattern: /Gemfile/, signal: 'Ruby/Rails', id: 'ruby' },
-          { pattern: /\.sol$/, signal: 'Smart Contracts (Solidity)', id: 'solidity' },
-          { pattern: /Cargo\.toml$/, signal: 'Rust/Cargo', id: 'rust' }
-      ];
-
+      const firedPathRules = new Set();
       tree.forEach(node => {
-          structureChecks.forEach(check => {
-               if (check.pattern.test(node.path)) {
-                   // We found a file matching the hint
-                   if (!allDeps.has(check.id)) {
-                        allDeps.add(check.id);
-                        fileSignals.push({ signal: check.signal, risk: 'Medium', category: 'Structure', reason: `Found ${node.path}`, file: node.path });
-                   }
-               }
+          rules.paths.forEach(({ rule, regex }) => {
+               if (firedPathRules.has(rule.id) || !regex.test(node.path)) return;
+               // We found a file matching the hint
+               const path = node.path.replace(pathPrefix, '');
+               firedPathRules.add(rule.id);
+               addImplied(rule.implies || [], path);
+               fileSignals.push({ ruleId: rule.id, source: 'Structure', signal: rule.signal || rule.id, risk: rule.riskLevel, category: rule.category, reason: `Found ${path}`, failureMode: rule.failureMode, file: path });
           });
       });
 
+      // A2. Lockfiles (Full dependency graph, root only)
+      LOCKFILES.forEach(f => {
+          if (fileExists(f)) enqueue(f, 'lockfile');
+      });
+
       // C. Monorepo Deep Scan (Targeted)
-      // We look for ANY package.json in the tree, not just in strict 'packages/' dirs
-      const pkgJsonPaths = tree
-          .filter(f => f.path.endsWith('package.json') && f.path !== (pathPrefix + 'package.json')) // Skip root
-          .filter(f => !f.path.includes('node_modules') && !f.path.includes('test') && !f.path.includes('example')) // Noise filter
+      // We look for ANY nested manifest in the tree, not just in strict 'packages/' dirs.
+      // Each is attributed to its workspace; outside declared workspaces, to the root.
+      const workspaceFolders = new Set(workspaces.map(w => w.path));
+      tree
+          .filter(f => f.type === 'file' && isManifest(f.path) && f.path.replace(pathPrefix, '').includes('/')) // Skip root
           .map(f => f.path.replace(pathPrefix, '')) // Remove prefix for fetcher
-          .slice(0, 15); // Usage limit
+          .forEach(path => {
+              const reason = VENDORED_PATH_PATTERN.test(path) ? 'vendored'
+                  : TEST_PATH_PATTERN.test(path) ? 'test/fixture'
+                  // A sample folder the workspace config lists is part of the monorepo
+                  : EXAMPLE_PATH_PATTERN.test(path) && !workspaceFolders.has(path.slice(0, path.lastIndexOf('/'))) ? 'example' : null;
+              if (reason) skipped.push({ path, reason }); // Noise filter
+              else enqueue(path, 'monorepo-dep');
+          });
 
-      pkgJsonPaths.forEach(path => {
-          fetchPromises.push(getFile(path).then(c => c ? { name: path, type: 'monorepo-dep', content: c } : null));
+      // C2. Infrastructure as Code
+      // Terraform, Kubernetes and Helm, serverless.yml, SAM/CloudFormation, CDK and wrangler.toml, at any depth.
+      infrastructureFiles(projectFiles).forEach(path => {
+          const reason = VENDORED_PATH_PATTERN.test(path) ? 'vendored'
+              : TEST_PATH_PATTERN.test(path) ? 'test/fixture'
+              : EXAMPLE_PATH_PATTERN.test(path) ? 'example' : null;
+          if (reason) skipped.push({ path, reason });
+          else enqueue(path, 'iac');
       });
 
       // D. Source Code Sampling
-      // Find top 20 JS/TS files in 'src/' or root
-      const sourceFiles = tree
-          .filter(f => f.path.match(/\.(js|ts|jsx|tsx)$/i))
-          .filter(f => !f.path.includes('node_modules') && !f.path.includes('dist') && !f.path.includes('build'))
-          .sort((a,b) => a.path.length - b.path.length) // Prefer shorter paths (closer to root)
-          .slice(0, 20)
-          .map(f => f.path.replace(pathPrefix, ''));
-
-      sourceFiles.forEach(path => {
-           fetchPromises.push(getFile(path).then(c => c ? { name: path, type: 'code-scan', content: c } : null));
+      // JS/TS files and HTML pages, closest to the root first. Tests and fixtures are not shipped code.
+      tree
+          .filter(f => f.type !== 'dir' && f.path.match(/\.([cm]?(js|ts|jsx|tsx)|html?)$/i))
+          .map(f => f.path.replace(pathPrefix, ''))
+          .sort((a,b) => a.length - b.length) // Prefer shorter paths (closer to root)
+          .forEach(path => {
+              const reason = VENDORED_PATH_PATTERN.test(path) ? 'vendored'
+                  : BUILD_OUTPUT_PATTERN.test(path) ? 'build output'
+                  : TEST_PATH_PATTERN.test(path) ? 'test/fixture' : null;
+              if (reason) skipped.push({ path, reason });
+              else enqueue(path, 'code-scan');
+          });
+
+      // E. Scan Budget
+      // The queue is in priority order, so sources only get what manifests and configs leave.
+      // Sizes come from the tree when the provider knows them, otherwise they're checked on read.
+      const sizes = new Map(tree.map(f => [f.path, f.size]));
+      const planned = [];
+      let reservedBytes = 0;
+      scanQueue.forEach(job => {
+          const size = sizes.get(pathPrefix + job.path);
+          if (planned.length >= budget.maxFiles) return skipped.push({ path: job.path, reason: 'file budget' });
+          if (size != null && reservedBytes + size > budget.maxBytes) return skipped.push({ path: job.path, reason: 'byte budget' });
+          reservedBytes += size || 0;
+          planned.push(job);
       });
 
+      progress({ phase: 'tree', message: `${tree.length} tree entries, ${planned.length} files to read`, total: planned.length, evidence: fileSignals.slice() });
 
       // --- Execution ---
-      const results = await Promise.allSettled(fetchPromises);
-      
-      const getLineNumber = (fullText, index) => {
-         return fullText.substring(0, index).split('\n').length;
+      // Fetches run with bounded concurrency; parsing and code scanning go to the
+      // file analyzer (a Web Worker pool in the browser). Results keep queue order,
+      // so the report doesn't depend on which file finished first.
+      let bytesScanned = 0;
+      let filesScanned = 0;
+      let filesDone = 0;
+      const fileAnalyzer = createFileAnalyzer(rules);
+      const stopWorkers = () => fileAnalyzer.close();
+      signal?.addEventListener('abort', stopWorkers);
+
+      const readFile = async (job) => {
+          signal?.throwIfAborted();
+          const content = prefetched.has(job.path) ? prefetched.get(job.path) : await getFile(job.path);
+          if (content == null) {
+              // Missing blind guesses are expected; files the tree listed are not
+              if (sizes.has(pathPrefix + job.path)) skipped.push({ path: job.path, reason: 'unreadable' });
+              return null;
+          }
+          const bytes = byteLength(content);
+          if (sizes.get(pathPrefix + job.path) == null) {
+              if (reservedBytes + bytes > budget.maxBytes) {
+                  skipped.push({ path: job.path, reason: 'byte budget' });
+                  return null;
+              }
+              reservedBytes += bytes;
+          }
+          // Config rules fire on presence; known hosting configs are parsed for what they set up
+          const { rule } = job;
+          const analysis = await fileAnalyzer.analyze({ name: job.path, type: job.type, content });
+          bytesScanned += bytes;
+          filesScanned++;
+          if (job.type === 'config') analysis.signals = configEvidence(rule, job.path, analysis.config);
+          if (job.type === 'iac' && analysis.infra) analysis.signals = infrastructureEvidence(job.path, analysis.infra);
+          return { name: job.path, type: job.type, rule: job.rule, ...analysis };
       };
 
+      const failedFiles = [];
+      let results;
+      try {
+          results = await runWithConcurrency(planned.map(job => async () => {
+              let result = null;
+              try {
+                  result = await readFile(job);
+              } catch (e) {
+                  if (e.name === 'AbortError') throw e;
+                  // A job that fails outright is reported, never dropped silently
+                  skipped.push({ path: job.path, reason: 'analysis failed' });
+                  failedFiles.push(`${job.path} (${e.message})`);
+              }
+              filesDone++;
+              progress({ phase: 'files', done: filesDone, total: planned.length, file: job.path, evidence: result ? (result.signals || result.scan?.signals || []) : [] });
+              return result;
+          }), budget.maxConcurrency);
+      } finally {
+          fileAnalyzer.close();
+          signal?.removeEventListener('abort', stopWorkers);
+      }
+      signal?.throwIfAborted();
+
+      const skippedByReason = {};
+      skipped.forEach(({ reason }) => { skippedByReason[reason] = (skippedByReason[reason] || 0) + 1; });
+      report.coverage = {
+          budget,
+          filesScanned,
+          bytesScanned,
+          filesSkipped: skipped.length,
+          skippedByReason,
+          skipped: skipped.slice(0, SKIPPED_LIST_LIMIT),
+          treeTruncated: Boolean(tree.truncated)
+      };
+
+      const overBudget = (skippedByReason['file budget'] || 0) + (skippedByReason['byte budget'] || 0);
+      if (overBudget > 0) {
+          report.limitations.push(`Scan budget reached: ${overBudget} file(s) not read. Raise the budget for a complete scan.`);
+      }
+      if (failedFiles.length > 0) {
+          report.limitations.push(`${failedFiles.length} file(s) could not be analyzed; their evidence is missing from the report: ${failedFiles.join(', ')}`);
+      }
+      if (tree.truncated) {
+          report.limitations.push('File tree truncated by the provider; some files were never listed.');
+      }
+      
+      const unparsedFiles = [];
+      const unparsedConfigs = [];
+      const unparsedInfrastructure = [];
+      const unparsedDependencyFiles = [];
+      const configSupport = []; // services the project runs itself, from parsed configs and infrastructure code
+
       results.forEach(res => {
           if (res.status === 'fulfilled' && res.value) {
-              const { name, content, type } = res.value;
+              const { name, type, rule, manifest, lock, scan, config, configError, infra, infraError, parseError } = res.value;
 
               // 1. Dependency Parsing
-              if ((type === 'dep' || type === 'monorepo-dep') && name.endsWith('json')) {
-                   try {
-                       const pkg = JSON.parse(content);
-                       const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-                       Object.keys(deps).forEach(d => allDeps.add(d));
-                       // Scripts check for offline intent
-                       if (pkg.scripts) {
-                           const scriptStr = JSON.stringify(pkg.scripts).toLowerCase();
-                           if (scriptStr.includes('tauri') || scriptStr.includes('electron')) allDeps.add('OFFLINE_NATIVE');
-                       }
-                   } catch (e) {}
+              if (type === 'dep' || type === 'monorepo-dep') {
+                   if (manifest) {
+                       manifest.dependencies.forEach(dep => addDependency(dep, name));
+                       addImplied(manifest.implies, name);
+                       if (name === 'package.json') rootManifest = manifest;
+                       const folder = name.slice(0, Math.max(name.lastIndexOf('/'), 0));
+                       if (manifest.name && workspaceFolders.has(folder) && !manifestNames.has(folder)) manifestNames.set(folder, manifest.name);
+                   }
+              }
+
+              if (type === 'lockfile' && lock) {
+                  lockfiles.push({ name, lock });
               }
+              if (parseError) unparsedDependencyFiles.push(`${name} (${parseError})`);
 
               // 2. Config Analysis
               if (type === 'config') {
-                  configSignals.push({ file: name, signal: `Config: ${name}`, risk: 'Medium', category: 'Hosting', reason: 'Platform Specific' });
-                  if (name.includes('firebase')) allDeps.add('firebase-tools');
-                  if (name.includes('vercel')) allDeps.add('vercel.json');
+                  configFiles.push({ rule, name, config });
+                  if (config) configSupport.push(...config.support.map(item => ({ ...item, file: name })));
+                  // A parsed config says what it uses; the rule's guesses only stand in for one that wasn't
+                  else addImplied(rule.implies || [], name);
+                  if (configError) unparsedConfigs.push(`${name} (${configError})`);
               }
 
-              // 3. Code Scanning
+              // 3. Code Scanning (AST-based, see codeScanner.js)
               if (type === 'code-scan') {
-                     // Generic Network
-                     const genericPattern = /fetch\s*\(|axios(\.|@|\s*\()/gi;
-                     let match;
-                     while ((match = genericPattern.exec(content)) !== null) {
-                        fileSignals.push({
-                            signal: 'Generic Network Call',
-                            risk: 'Medium',
-                            category: 'External Service',
-                            reason: `Usage in ${name}`, 
-                            file: name,
-                            line: getLineNumber(content, match.index)
-                        });
-                        allDeps.add('GENERIC_NETWORK');
-                     }
-
-                     // Offline Signals
-                     // Reusing regex from original logic
-                     const offlinePatterns = [
-                       { cat: 'PERSISTENCE', regex: /indexedDB|localforage|dexie|rxdb|pouchdb|watermelondb/gi },
-                       { cat: 'CACHING', regex: /navigator\.serviceWorker|caches\.open|workbox|sw-precache/gi },
-                       { cat: 'INTENT', regex: /navigator\.onLine|addEventListener\(['"]offline['"]\)|backgroundSync/gi },
-                       { cat: 'NATIVE', regex: /tauri|electron-store|react-native-fs|capacitor/gi }
-                     ];
-
-                     offlinePatterns.forEach(op => {
-                        let offMatch;
-                        while ((offMatch = op.regex.exec(content)) !== null) {
-                            allDeps.add(`OFFLINE_${op.cat}`);
-                            offlineSignals.push({
-                                file: name,
-                                category: op.cat,
-                                signal: `Detected ${offMatch[0]}`,
-                                line: getLineNumber(content, offMatch.index)
-                            });
-                        }
-                     });
-                     
-                     // Risks
-                     const codeRisks = [
-                         { id: 'firebase', pattern: /firebaseio\.com/gi, label: 'Firebase API' },
-                         { id: 'google', pattern: /googleapis\.com/gi, label: 'Google API' },
-                         { id: 'supabase', pattern: /supabase\.co/gi, label: 'Supabase API' },
-                     ];
-                     codeRisks.forEach(cr => {
-                         let riskMatch;
-                         while ((riskMatch = cr.pattern.exec(content)) !== null) {
-                             fileSignals.push({
-                                 signal: cr.label,
-                                 risk: 'Medium',
-                                 category: 'Hardcoded API',
-                                 reason: `Found in ${name}`,
-                                 file: name,
-                                 line: getLineNumber(content, riskMatch.index)
-                             });
-                         }
-                     });
+                  fileSignals.push(...scan.signals);
+                  offlineSignals.push(...scan.offline);
+                  addImplied(scan.implies, name);
+                  if (!scan.parsed) unparsedFiles.push(name);
               }
+
+              // 4. Infrastructure as Code (and CDK stacks among the sources)
+              if (infra) {
+                  fileSignals.push(...infrastructureEvidence(name, infra));
+                  configSupport.push(...infra.support.map(item => ({ ...item, file: name })));
+              }
+              if (infraError) unparsedInfrastructure.push(`${name} (${infraError})`);
           }
       });
 
+      if (unparsedConfigs.length > 0) {
+          report.limitations.push(`${unparsedConfigs.length} config file(s) could not be parsed and were flagged on presence alone: ${unparsedConfigs.join(', ')}`);
+      }
+      if (unparsedDependencyFiles.length > 0) {
+          report.limitations.push(`${unparsedDependencyFiles.length} manifest/lockfile(s) could not be parsed; their dependencies are missing from the report: ${unparsedDependencyFiles.join(', ')}`);
+      }
+      if (unparsedInfrastructure.length > 0) {
+          report.limitations.push(`${unparsedInfrastructure.length} infrastructure file(s) could not be parsed: ${unparsedInfrastructure.join(', ')}`);
+      }
+      if (unparsedFiles.length > 0) {
+          report.limitations.push(`${unparsedFiles.length} source file(s) could not be parsed; regex fallback used: ${unparsedFiles.join(', ')}`);
+      }
 
       // --- Verdict Logic (Strict Audit Mode) ---
+      progress({ phase: 'rules', message: `Evaluating ${rules.rules.size} rules against ${allDeps.size} dependencies` });
       const findings = [];
       let highRiskCount = 0;
       let mediumRiskCount = 0;
+      let uncountedCount = 0;
+      let suppressedCount = 0;
+
+      // Applies the scope policy and suppressions, then tallies what still counts toward the verdict.
+      // `countMedium: false` keeps a finding out of the Medium tally (handled elsewhere).
+      // In monorepos, findings also name their workspace (by file unless given).
+      const record = (found, { countMedium = true } = {}) => {
+          const { workspace = ownerOf(found.file), ...item } = found;
+          const finding = { ...item, ...(workspaces.length > 0 && { workspace }) };
+          const scope = finding.scope || 'runtime';
+          const policy = SCOPE_POLICY[scope] || 'count';
+          let risk = finding.risk;
+          if (policy === 'discount') risk = risk === 'High' ? 'Medium' : risk === 'Medium' ? 'Low' : risk;
+
+          const fingerprint = fingerprintOf(finding);
+          const accepted = suppressions.match({ ...finding, fingerprint });
+          const counted = policy !== 'report' && !accepted;
+          findings.push({
+              ...finding, scope, risk, ...(risk !== finding.risk && { ruleRisk: finding.risk }), counted, fingerprint,
+              ...(accepted && { suppressed: { reason: accepted.reason, expires: accepted.expires, origin: accepted.origin } })
+          });
+
+          if (accepted) {
+              suppressedCount++;
+              return;
+          }
+          if (!counted) {
+              uncountedCount++;
+              return;
+          }
+          if (risk === 'High') highRiskCount++;
+          if (risk === 'Medium' && countMedium) mediumRiskCount++;
+      };
 
       fileSignals.forEach(s => {
-          findings.push({ source: 'Code/Structure', failureMode: s.reason, ...s });
-          if(s.risk === 'High') highRiskCount++;
           // Fix: Logic was missing counting of Medium risks from structure/code checks (e.g. Django, Rails)
           // We Exclude 'Generic Network Call' because we handle that in a specific 'Ambiguity' block later.
-          if(s.risk === 'Medium' && s.signal !== 'Generic Network Call') mediumRiskCount++;
+          // Imports take the scope their package is declared with in the file's workspace.
+          const deps = s.package && workspaceDeps.get(ownerOf(s.file));
+          const scope = deps?.names.has(s.package) ? scopeOf(s.package, deps) : s.scope;
+          record({ source: 'Code', ...s, ...(scope && { scope }) }, { countMedium: s.ruleId !== 'generic-network-call' });
       });
-      configSignals.forEach(s => {
-          findings.push({ source: 'Config', failureMode: s.reason, ...s });
-          if(s.risk === 'High') highRiskCount++;
-          if(s.risk === 'Medium') mediumRiskCount++;
+      // Unidentified network calls only weigh on the verdict (through GENERIC_NETWORK) while
+      // some are left; once suppressions accept all of a workspace's calls, they are settled
+      const networkCalls = findings.filter(f => f.ruleId === 'generic-network-call');
+      const openNetwork = new Set(networkCalls.filter(f => !f.suppressed).map(f => ownerOf(f.file)));
+      const acceptedNetwork = new Set(networkCalls.filter(f => f.suppressed).map(f => ownerOf(f.file)));
+      if (openNetwork.size === 0) allDeps.delete('GENERIC_NETWORK');
+      workspaceDeps.forEach((deps, path) => {
+          if (!openNetwork.has(path)) deps.names.delete('GENERIC_NETWORK');
       });
-      allDeps.forEach(dep => {
-          const rule = RISKS[dep];
-          if(rule) {
-              findings.push({ source: 'Dependency', signal: `Dep: ${dep}`, risk: rule.riskLevel, category: rule.category, failureMode: rule.failureMode });
-              if(rule.riskLevel === 'High') highRiskCount++;
-              if(rule.riskLevel === 'Medium') mediumRiskCount++;
-          }
+      // Configs are settled last: a static-site verdict depends on what fired elsewhere
+      const firedRules = new Set([...findings.map(f => f.ruleId), ...[...allDeps].map(dep => rules.matchDependency(dep)?.id)]);
+      configFiles.flatMap(({ rule, name, config }) => configEvidence(rule, name, config, firedRules)).forEach(s => {
+          record({ source: 'Config', failureMode: s.reason, ...s });
       });
+      // Once per workspace that declares the dependency, with that workspace's scope
+      workspaceDeps.forEach((deps, workspace) => deps.names.forEach(dep => {
+          const rule = rules.matchDependency(dep);
+          if(rule && !rule.offline) {
+              record({ ruleId: rule.id, source: 'Dependency', package: dep, signal: `Dep: ${dep}`, risk: rule.riskLevel, category: rule.category, failureMode: rule.failureMode, scope: scopeOf(dep, deps), file: deps.files.get(dep), workspace });
+          }
+      }));
+
+      // Transitive dependencies: centralized packages pulled in through other libraries.
+      // Walked from the lockfile's root and, for pnpm, from every resolved workspace's own importer.
+      const reportedTransitive = new Set(); // "<workspace>:<package>"
+      lockfiles.forEach(({ name: lockName, lock }) => {
+          const lockDir = lockName.includes('/') ? lockName.slice(0, lockName.lastIndexOf('/')) : '';
+          const roots = [{ workspace: ownerOf(lockName), directDeps: lock.direct || (rootManifest?.dependencies || []).map(d => d.name) }];
+          (lock.importers || new Map()).forEach((directDeps, importer) => {
+              const workspace = [lockDir, importer].filter(Boolean).join('/');
+              if (importer !== '.' && workspaces.some(w => w.path === workspace)) roots.push({ workspace, directDeps });
+          });
 
-      report.evidence = findings;
-
-      // 1. Calculate Offline Capability (Strict Hierarchy)
-      // A. OFFLINE-CAPABLE (Strong)
-      // Requirement: Persistence IS detected AND Critical Cloud Blockers are NOT detected.
-      // Note: Network calls (fetch/axios) do NOT disqualify this status, as offline-first apps sync.
-      
-      const offStats = {
-          persistence: offlineSignals.some(s => s.category === 'PERSISTENCE') || Array.from(allDeps).some(d => OFFLINE_SIGNALS.PERSISTENCE.includes(d)),
-          caching: offlineSignals.some(s => s.category === 'CACHING') || Array.from(allDeps).some(d => OFFLINE_SIGNALS.CACHING.includes(d)),
-          native: offlineSignals.some(s => s.category === 'NATIVE') || Array.from(allDeps).some(d => OFFLINE_SIGNALS.NATIVE.includes(d)),
-      };
+          roots.forEach(({ workspace, directDeps }) => {
+              const deps = workspaceDeps.get(workspace);
+              const rootName = (workspace ? manifestNames.get(workspace) || workspace : rootManifest?.name) || projectInfo.full_name || 'project';
+
+              resolveChains(lock, rootName, directDeps).forEach((chain, dep) => {
+                  const key = `${workspace}:${dep}`;
+                  if (chain.length <= 2 || deps.names.has(dep) || reportedTransitive.has(key)) return;
+                  const rule = rules.matchDependency(dep);
+                  if (!rule || rule.offline) return;
+                  // Already reported through a flagged package higher up the chain
+                  if (chain.slice(1, -1).some(p => rules.matchDependency(p) && !rules.matchDependency(p).offline)) return;
+
+                  reportedTransitive.add(key);
+                  record({
+                      ruleId: rule.id,
+                      source: 'Dependency',
+                      package: dep,
+                      signal: `Dep: ${dep} (transitive)`,
+                      risk: rule.riskLevel,
+                      category: rule.category,
+                      failureMode: rule.failureMode,
+                      reason: chain.join(' → '),
+                      chain,
+                      file: lockName,
+                      workspace,
+                      // Inherits the scope of the direct dependency that pulls it in
+                      scope: scopeOf(chain[1], deps)
+                  });
+              });
+          });
+      });
 
-      const hasCloudBlocker = findings.some(f => f.category === 'Critical Infrastructure' || f.risk === 'High');
-      let offStatus = 'Online-Only';
-      let offReason = 'No verifiable offline capability.';
-
-      if (hasCloudBlocker) {
-           offStatus = 'Online-Only';
-           offReason = 'Critical Cloud Dependencies prevent offline use.';
-      } else if (offStats.persistence) {
-           // Strongest signal: Data is stored locally.
-           // Even if network exists, the app HAS local state.
-           offStatus = 'Offline-Capable';
-           offReason = 'Strong Local Persistence detected (Offline First).';
-      } else if (offStats.caching || offStats.native) {
-           offStatus = 'Partially Offline';
-           offReason = 'Caching or Native Shell detected, but no deep data persistence.';
-      } else {
-           // Default
-           offStatus = 'Online-Only';
-           offReason = 'No persistence or caching strategy found.';
+      if (uncountedCount > 0) {
+          report.limitations.push(`${uncountedCount} dev/test-scope finding(s) reported but excluded from the verdict.`);
       }
+      if (suppressedCount > 0) {
+          report.limitations.push(`${suppressedCount} finding(s) accepted by suppressions and excluded from the verdict.`);
+      }
+      report.suppressions = suppressions.toReport();
 
-      report.offline = { status: offStatus, reason: offReason, evidence: offlineSignals };
+      report.evidence = findings;
 
+      // 1. Calculate Offline Capability (see offlineCapability)
+      const offStats = offlineTraits(offlineSignals, rules.offlineCategoriesFor(allDeps));
+      const offline = offlineCapability(findings, offStats);
+      report.offline = { ...offline, evidence: offlineSignals };
+
+      // 2. Readiness score (see scoring.js). Generic network calls are already scored through GENERIC_NETWORK.
+      const scoring = scoreReadiness(findings, { rules, persistence: offStats.persistence, ignore: ['generic-network-call'] });
+      report.evidence = scoring.findings;
+      report.readiness = scoring.readiness;
+
+      // Per-dimension profile (see profile.js); offline dependencies count as support
+      const offlineDepSignals = [...allDeps]
+          .map(dep => ({ dep, rule: rules.matchDependency(dep) }))
+          .filter(({ rule }) => rule?.offline)
+          .map(({ dep, rule }) => ({ signal: `Dep: ${dep}`, category: rule.offline, file: depFiles.get(dep) }));
+      report.profile = buildProfile(report.evidence, {
+          rules,
+          support: [...offlineSignals, ...offlineDepSignals, ...configSupport],
+          lockfiles: lockfiles.map(l => l.name),
+          manifests: depFiles.size > 0
+      });
 
-      // 2. Calculate Decentralization Readiness (Strict Caps)
+      // 3. Architecture (Strict Caps)
       const hasGenericNetwork = allDeps.has('GENERIC_NETWORK');
       const hasOfflineLib = offStats.persistence; // Re-use strong signal
 
@@ -409,9 +806,9 @@ export class AnalyzerService {
                    line: 'N/A'
                });
           }
-      } else if (allDeps.size > 0 || offStats.persistence) {
+      } else if (allDeps.size > 0 || offStats.persistence || acceptedNetwork.size > 0) {
           // No High risks, No Medium risks, No Generic Network.
-          // Has some dependencies or offline traits.
+          // Has some dependencies, offline traits or network calls a suppression vouched for.
           report.score = READINESS_LEVELS.HIGH;
           report.architecture = 'Decentralized / Client-Side';
       } else {
@@ -420,7 +817,43 @@ export class AnalyzerService {
           report.architecture = 'Unknown / Static';
       }
 
-      report.offline = { status: offStatus, reason: offReason, evidence: offlineSignals };
+      // The label follows the score, unless there was nothing to score or the network usage needs review
+      if (report.score !== READINESS_LEVELS.UNKNOWN && report.score !== READINESS_LEVELS.HUMAN_REVIEW) {
+          report.score = READINESS_LEVELS[report.readiness.level];
+      }
+
+      report.offline = { ...offline, evidence: offlineSignals };
+
+      // 4. Per-workspace verdicts (monorepos only): the same scoring, verdict caps and
+      // offline hierarchy, over each workspace's own findings, dependencies and signals
+      if (workspaces.length > 0) {
+          const items = ['', ...workspaces.map(w => w.path)].map(path => {
+              const deps = workspaceDeps.get(path);
+              const own = findings.filter(f => f.workspace === path);
+              const traits = offlineTraits(offlineSignals.filter(s => ownerOf(s.file) === path), rules.offlineCategoriesFor(deps.names));
+              const { readiness } = scoreReadiness(own, { rules, persistence: traits.persistence, ignore: ['generic-network-call'] });
+
+              // Mirrors the project cascade: counted High/Medium risks decide, then unidentified network calls, then nothing at all
+              const decided = own.some(f => f.counted && (f.risk === 'High' || (f.risk === 'Medium' && f.ruleId !== 'generic-network-call')));
+              let level = readiness.level;
+              if (!decided && deps.names.has('GENERIC_NETWORK') && !traits.persistence) level = 'HUMAN_REVIEW';
+              else if (!decided && deps.names.size === 0 && !traits.persistence && !acceptedNetwork.has(path)) level = 'UNKNOWN';
+
+              return {
+                  name: (path ? manifestNames.get(path) : rootManifest?.name) || path || '(root)',
+                  path,
+                  level,
+                  score: readiness.score,
+                  offline: offlineCapability(own, traits),
+                  findings: own.length,
+                  counted: own.filter(f => f.counted).length
+              };
+          });
+          report.workspaces = { sources: workspaceSources, items, rollup: rollupWorkspaces(items) };
+      }
+
+      // Stable identity for comparing scans (see reportDiff.js)
+      report.evidence = report.evidence.map(item => item.fingerprint ? item : { ...item, fingerprint: fingerprintOf(item) });
 
       return report;
   }
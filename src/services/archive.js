@@ -0,0 +1,264 @@
+/**
+ * Archive Service (Offline Provider)
+ * Implements the FileSystemService interface over an uploaded .zip, .tar.gz
+ * or .tar file, decompressed in the browser. No more than the scan's byte
+ * budget is ever inflated, so a zip bomb can't exhaust the tab. GitHub zipballs and
+ * tarballs wrap everything in a "repo-main/" folder; the analyzer's smart
+ * unwrapping removes it like for any other single-folder tree.
+ */
+
+import { unzipSync, Gunzip } from 'fflate';
+import { SCAN_BUDGETS } from '../data/heuristics.js';
+
+// Same noise folders the folder providers skip
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build'];
+
+const isIgnored = (path) => path.split('/').slice(0, -1).some(dir => IGNORED_DIRS.includes(dir));
+
+const latin1 = (bytes) => String.fromCharCode(...bytes);
+const field = (header, start, length) => latin1(header.subarray(start, start + length)).replace(/\0.*$/s, '');
+const utf8 = new TextDecoder();
+
+// PAX extended header: "<length> <key>=<value>\n" records, length in bytes
+const parsePax = (data) => {
+    const records = {};
+    let offset = 0;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        if (space === -1) break;
+        const length = parseInt(latin1(data.subarray(offset, space)), 10);
+        if (!length) break;
+        const record = utf8.decode(data.subarray(space + 1, offset + length - 1));
+        const eq = record.indexOf('=');
+        records[record.slice(0, eq)] = record.slice(eq + 1);
+        offset += length;
+    }
+    return records;
+};
+
+// PAX / GNU long-name records bigger than this are ignored rather than buffered
+const MAX_META_BYTES = 1024 * 1024;
+// Compressed bytes fed to the gunzip stream at a time; bounds each inflated chunk
+const INPUT_CHUNK = 16 * 1024;
+
+const concat = (a, b) => {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+};
+
+/**
+ * Incremental (ustar / pax / GNU) tar reader: bytes can be pushed as they are
+ * inflated. Regular files are kept in `files` until they would pass `maxBytes`;
+ * the first one that doesn't fit is only listed in `sizes`, and reading stops
+ * there (`truncated`).
+ */
+class TarReader {
+    constructor(maxBytes = Infinity) {
+        this.maxBytes = maxBytes;
+        this.files = new Map(); // path -> bytes
+        this.sizes = new Map(); // path -> size, every regular file seen
+        this.kept = 0;
+        this.truncated = false;
+        this.done = false;
+        this.header = new Uint8Array(0); // Partial header, completed by the next push
+        this.entry = null; // Entry whose data is being read
+        this.nextPath = null; // From a PAX 'x' or GNU 'L' header, applies to the next entry
+    }
+
+    push(chunk) {
+        let offset = 0;
+        while (!this.done && offset < chunk.length) {
+            if (this.entry) {
+                offset = this._readData(chunk, offset);
+                continue;
+            }
+            const part = chunk.subarray(offset, offset + 512 - this.header.length);
+            offset += part.length;
+            this.header = this.header.length ? concat(this.header, part) : part;
+            if (this.header.length < 512) break;
+            const header = this.header;
+            this.header = new Uint8Array(0);
+            this._startEntry(header);
+        }
+    }
+
+    _startEntry(header) {
+        if (header.every(b => b === 0)) { this.done = true; return; } // End-of-archive marker
+
+        const size = parseInt(field(header, 124, 12).trim() || '0', 8);
+        const type = field(header, 156, 1) || '0';
+        const entry = { type, size, padded: Math.ceil(size / 512) * 512, read: 0, data: null, keep: false };
+
+        if (type === 'x' || type === 'L') {
+            entry.keep = size <= MAX_META_BYTES;
+        } else if (type !== 'g') { // Global header (GitHub puts the commit SHA here)
+            const prefix = field(header, 257, 6).startsWith('ustar') ? field(header, 345, 155) : '';
+            const name = field(header, 0, 100);
+            entry.path = this.nextPath || (prefix ? `${prefix}/${name}` : name);
+            this.nextPath = null;
+            entry.keep = (type === '0' || type === '7') && !isIgnored(entry.path);
+            if (entry.keep) {
+                this.sizes.set(entry.path, size);
+                if (this.kept + size > this.maxBytes) {
+                    this.truncated = true;
+                    this.done = true;
+                    return;
+                }
+                this.kept += size;
+            }
+        }
+
+        this.entry = entry;
+        if (entry.padded === 0) this._endEntry();
+    }
+
+    _readData(chunk, offset) {
+        const entry = this.entry;
+        const take = Math.min(entry.padded - entry.read, chunk.length - offset);
+        if (entry.keep && entry.read < entry.size) {
+            const part = chunk.subarray(offset, offset + Math.min(take, entry.size - entry.read));
+            // Whole entry in one chunk (always, for an uncompressed tar): no copy
+            if (!entry.data && part.length === entry.size) entry.data = part;
+            else {
+                entry.data ||= new Uint8Array(entry.size);
+                entry.data.set(part, entry.read);
+            }
+        }
+        entry.read += take;
+        if (entry.read === entry.padded) this._endEntry();
+        return offset + take;
+    }
+
+    _endEntry() {
+        const { type, path, keep, data } = this.entry;
+        const bytes = data || new Uint8Array(0);
+        this.entry = null;
+        if (type === 'x') this.nextPath = keep ? parsePax(bytes).path || null : null;
+        else if (type === 'L') this.nextPath = keep ? utf8.decode(bytes).replace(/\0.*$/s, '') : null;
+        else if (keep) this.files.set(path, bytes);
+    }
+}
+
+/**
+ * Read a (ustar / pax / GNU) tar archive into Map<path, bytes>, regular files only.
+ */
+export function readTar(bytes) {
+    const reader = new TarReader();
+    reader.push(bytes);
+    return reader.files;
+}
+
+// Path depth, to inflate the files closest to the root first
+const depthOf = (path) => path.split('/').length;
+
+export class ArchiveService {
+  constructor(file, { maxBytes = SCAN_BUDGETS.OFFLINE.maxBytes } = {}) {
+    this.file = file;
+    this.name = file.name.replace(/\.(zip|tar\.gz|tgz|tar)$/i, '');
+    this.maxBytes = maxBytes; // Inflated bytes the archive may take in memory
+    this.files = null; // Map<path, Uint8Array>, filled on first use
+    this.sizes = null; // Map<path, size>, also files left compressed
+    this.truncated = false; // A tarball stopped at the budget: later entries were never listed
+  }
+
+  async _load() {
+      if (this.files) return this.files;
+      const bytes = new Uint8Array(await this.file.arrayBuffer());
+
+      if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+          // "PK": zip. List the entries without inflating them (the filter sees the
+          // declared sizes), then inflate what fits the budget, closest to the root first.
+          const listed = [];
+          unzipSync(bytes, {
+              filter: entry => {
+                  if (!entry.name.endsWith('/') && !isIgnored(entry.name)) listed.push(entry);
+                  return false;
+              }
+          });
+          const chosen = new Set();
+          let kept = 0;
+          [...listed].sort((a, b) => depthOf(a.name) - depthOf(b.name)).forEach(entry => {
+              if (kept + entry.originalSize > this.maxBytes) return;
+              kept += entry.originalSize;
+              chosen.add(entry.name);
+          });
+          this.files = new Map(Object.entries(unzipSync(bytes, { filter: entry => chosen.has(entry.name) })));
+          this.sizes = new Map(listed.map(entry => [entry.name, entry.originalSize]));
+      } else if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+          // gzip: a compressed tarball, inflated as a stream that stops at the budget
+          const reader = new TarReader(this.maxBytes);
+          const gunzip = new Gunzip(chunk => reader.push(chunk));
+          for (let offset = 0; offset < bytes.length && !reader.done; offset += INPUT_CHUNK) {
+              gunzip.push(bytes.subarray(offset, offset + INPUT_CHUNK), offset + INPUT_CHUNK >= bytes.length);
+          }
+          this.files = reader.files;
+          this.sizes = reader.sizes;
+          this.truncated = reader.truncated;
+      } else if (field(bytes.subarray(0, 512), 257, 6).startsWith('ustar')) {
+          // Plain tar: already in memory, entries are views into it
+          const reader = new TarReader();
+          reader.push(bytes);
+          this.files = reader.files;
+          this.sizes = reader.sizes;
+      } else {
+          throw new Error('Unsupported archive. Upload a .zip, .tar.gz or .tar file.');
+      }
+
+      return this.files;
+  }
+
+  /**
+   * Returns project metadata (similar to repo details)
+   */
+  async getProjectDetails() {
+    await this._load();
+    return {
+      full_name: `[ARCHIVE] ${this.name}`,
+      default_branch: 'archive',
+      isLocal: true
+    };
+  }
+
+  /**
+   * Get raw content of a file given a relative path.
+   * Path format: "repo-main/src/components/App.jsx"
+   */
+  async getFileContent(path) {
+    const files = await this._load();
+    const data = files.get(path);
+    return data ? utf8.decode(data) : null;
+  }
+
+  /**
+   * Build the full file tree from the archive entries.
+   * Matches GitHub Tree API format; folders are derived from file paths.
+   */
+  async getTree() {
+      await this._load();
+      const tree = [];
+      const dirs = new Set();
+
+      // Files left compressed are listed too, so the scan reports them as over budget
+      this.sizes.forEach((size, path) => {
+          const parts = path.split('/');
+          for (let i = 1; i < parts.length; i++) {
+              const dir = parts.slice(0, i).join('/');
+              if (dirs.has(dir)) continue;
+              dirs.add(dir);
+              tree.push({ path: dir, type: 'dir' });
+          }
+          tree.push({ path, type: 'file', size });
+      });
+      tree.truncated = this.truncated;
+      return tree;
+  }
+
+  /**
+   * No-op for absolute URLs in offline mode (safety)
+   */
+  async getAbsoluteRaw() {
+    return null;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * AST Scanner
+ * Parses JS/TS/JSX/TSX with @babel/parser and extracts the syntax facts the
+ * rule engine needs: module imports, network call sites and comment ranges.
+ *
+ * Working on the AST (instead of regex over raw text) means comments and
+ * string contents never look like calls, and aliased imports resolve to the
+ * module they came from (`import http from 'axios'; http.get()` -> axios.get).
+ */
+
+import { parse } from '@babel/parser';
+
+// Keys that hold metadata rather than child nodes
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments', 'tokens']);
+
+// Globals reachable as `window.fetch`, `globalThis.WebSocket`, ...
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self']);
+
+const pluginsFor = (path) => {
+    if (/\.[cm]?tsx$/i.test(path)) return ['typescript', 'jsx', 'decorators-legacy'];
+    if (/\.[cm]?ts$/i.test(path)) return ['typescript', 'decorators-legacy'];
+    return ['jsx', 'decorators-legacy'];
+};
+
+/**
+ * Parse source into a Babel AST. Returns null if the file can't be parsed at all.
+ */
+export function parseSource(content, path) {
+    try {
+        return parse(content, {
+            sourceType: 'unambiguous',
+            errorRecovery: true,
+            allowReturnOutsideFunction: true,
+            allowImportExportEverywhere: true,
+            plugins: pluginsFor(path)
+        });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Depth-first walk over every node in the tree.
+ */
+export function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    Object.keys(node).forEach(key => {
+        if (SKIP_KEYS.has(key)) return;
+        const child = node[key];
+        if (Array.isArray(child)) child.forEach(c => walk(c, visit));
+        else if (child && typeof child === 'object') walk(child, visit);
+    });
+}
+
+const isRequireCall = (node) => node?.type === 'CallExpression'
+    && node.callee.type === 'Identifier' && node.callee.name === 'require'
+    && node.arguments[0]?.type === 'StringLiteral';
+
+const propertyName = (member) => {
+    if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+    if (member.property.type === 'StringLiteral') return member.property.value;
+    return '*';
+};
+
+const UNRESOLVED = { kind: 'unresolved' };
+
+// `import.meta.env.VITE_API` / `process.env.API_URL` -> env variable name
+const envName = (node) => {
+    if (node.type !== 'MemberExpression' || node.object.type !== 'MemberExpression') return null;
+    const holder = node.object;
+    if (propertyName(holder) !== 'env') return null;
+    const isImportMeta = holder.object.type === 'MetaProperty';
+    const isProcess = holder.object.type === 'Identifier' && holder.object.name === 'process';
+    return isImportMeta || isProcess ? propertyName(node) : null;
+};
+
+const objectProperty = (node, key) => node?.type === 'ObjectExpression'
+    ? node.properties.find(p => p.type === 'ObjectProperty' && !p.computed && (p.key.name === key || p.key.value === key))?.value
+    : null;
+
+/**
+ * Statically resolve a URL expression as far as possible:
+ * - { kind: 'literal', value }  fully known string
+ * - { kind: 'prefix', value }   known leading part (template literal / concatenation)
+ * - { kind: 'env', name }       configured through an environment variable
+ * - { kind: 'unresolved' }      anything else
+ */
+const createResolver = (constants) => {
+    const resolve = (node, depth = 0) => {
+        if (!node || depth > 8) return UNRESOLVED;
+        switch (node.type) {
+            case 'StringLiteral':
+                return { kind: 'literal', value: node.value };
+            case 'TemplateLiteral': {
+                const head = node.quasis[0].value.cooked ?? '';
+                if (node.expressions.length === 0) return { kind: 'literal', value: head };
+                if (head) return { kind: 'prefix', value: head };
+                const first = resolve(node.expressions[0], depth + 1);
+                if (first.kind === 'literal' || first.kind === 'prefix') {
+                    return { kind: 'prefix', value: first.value + (first.kind === 'literal' ? (node.quasis[1]?.value.cooked ?? '') : '') };
+                }
+                return first;
+            }
+            case 'BinaryExpression': {
+                if (node.operator !== '+') return UNRESOLVED;
+                const left = resolve(node.left, depth + 1);
+                if (left.kind !== 'literal') return left.kind === 'prefix' || left.kind === 'env' ? left : UNRESOLVED;
+                const right = resolve(node.right, depth + 1);
+                return right.kind === 'literal'
+                    ? { kind: 'literal', value: left.value + right.value }
+                    : { kind: 'prefix', value: left.value };
+            }
+            case 'LogicalExpression':
+                // `import.meta.env.VITE_API || 'http://localhost:3000'`: the configured value wins
+                return resolve(node.left, depth + 1);
+            case 'Identifier':
+                return constants.has(node.name) ? resolve(constants.get(node.name), depth + 1) : UNRESOLVED;
+            case 'MemberExpression': {
+                const env = envName(node);
+                return env ? { kind: 'env', name: env } : UNRESOLVED;
+            }
+            case 'TSAsExpression':
+            case 'TSNonNullExpression':
+            case 'TSSatisfiesExpression':
+            case 'ParenthesizedExpression':
+                return resolve(node.expression, depth + 1);
+            default:
+                return UNRESOLVED;
+        }
+    };
+    return resolve;
+};
+
+// Join an instance base URL with a call path, when both are known
+const joinTarget = (base, path) => {
+    if (!base || base.kind === 'unresolved') return path;
+    if (base.kind === 'env') return base;
+    if (path.kind === 'literal' && /^[a-z][a-z0-9+.-]*:\/\//i.test(path.value)) return path;
+    if (base.kind === 'prefix') return base;
+    if (path.kind === 'literal' || path.kind === 'prefix') {
+        return { kind: path.kind, value: base.value.replace(/\/$/, '') + '/' + path.value.replace(/^\//, '') };
+    }
+    return { kind: 'prefix', value: base.value };
+};
+
+/**
+ * Extract imports, call sites and comment ranges from a source file.
+ * Returns null if the file can't be parsed.
+ *
+ * calls[].callee is a normalized descriptor: "fetch", "axios.get",
+ * "new WebSocket", "navigator.sendBeacon". Calls through imported bindings
+ * are renamed to the module they come from. calls[].target is the
+ * statically resolved URL argument (see createResolver).
+ */
+export function scanSource(content, path) {
+    const ast = parseSource(content, path);
+    if (!ast) return null;
+
+    const imports = [];
+    const bindings = new Map(); // local identifier -> module source
+
+    // Pass 1: imports and module bindings
+    walk(ast.program, node => {
+        if (node.type === 'ImportDeclaration') {
+            imports.push({ source: node.source.value, line: node.loc.start.line });
+            node.specifiers.forEach(spec => bindings.set(spec.local.name, node.source.value));
+        } else if (node.type === 'ImportExpression' && node.source.type === 'StringLiteral') {
+            imports.push({ source: node.source.value, line: node.loc.start.line });
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Import' && node.arguments[0]?.type === 'StringLiteral') {
+            imports.push({ source: node.arguments[0].value, line: node.loc.start.line });
+        } else if (isRequireCall(node)) {
+            imports.push({ source: node.arguments[0].value, line: node.loc.start.line });
+        } else if (node.type === 'VariableDeclarator' && node.init) {
+            let init = node.init;
+            if (init.type === 'MemberExpression' && isRequireCall(init.object)) init = init.object;
+            if (isRequireCall(init)) {
+                const source = init.arguments[0].value;
+                if (node.id.type === 'Identifier') bindings.set(node.id.name, source);
+                if (node.id.type === 'ObjectPattern') {
+                    node.id.properties.forEach(p => p.value?.type === 'Identifier' && bindings.set(p.value.name, source));
+                }
+            }
+        }
+    });
+
+    // Module-level constants (`const API_URL = 'https://...'`) for URL resolution
+    const constants = new Map();
+    ast.program.body.forEach(stmt => {
+        const decl = stmt.type === 'ExportNamedDeclaration' ? stmt.declaration : stmt;
+        if (decl?.type !== 'VariableDeclaration' || decl.kind !== 'const') return;
+        decl.declarations.forEach(d => d.id.type === 'Identifier' && d.init && constants.set(d.id.name, d.init));
+    });
+    const resolve = createResolver(constants);
+
+    // Instances created from an imported client (`const api = axios.create()`) behave like the client
+    const instanceBase = new Map();
+    walk(ast.program, node => {
+        if (node.type !== 'VariableDeclarator' || node.id.type !== 'Identifier') return;
+        const init = node.init;
+        if (init?.type === 'CallExpression' && init.callee.type === 'MemberExpression'
+            && init.callee.object.type === 'Identifier' && bindings.has(init.callee.object.name)
+            && ['create', 'extend'].includes(propertyName(init.callee))) {
+            bindings.set(node.id.name, bindings.get(init.callee.object.name));
+            const base = objectProperty(init.arguments[0], 'baseURL') || objectProperty(init.arguments[0], 'prefixUrl');
+            if (base) instanceBase.set(node.id.name, resolve(base));
+        }
+    });
+
+    // The URL is the first argument, or the `url` of a config object (`axios({ url })`)
+    const targetOf = (node) => {
+        const first = node.arguments[0];
+        if (!first) return UNRESOLVED;
+        const target = first.type === 'ObjectExpression' ? resolve(objectProperty(first, 'url')) : resolve(first);
+        const owner = node.callee.type === 'MemberExpression' ? node.callee.object : node.callee;
+        return owner.type === 'Identifier' && instanceBase.has(owner.name)
+            ? joinTarget(instanceBase.get(owner.name), target)
+            : target;
+    };
+
+    const describe = (callee) => {
+        if (callee.type === 'Identifier') {
+            return bindings.has(callee.name) ? bindings.get(callee.name) : callee.name;
+        }
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+            const object = callee.object.name;
+            const prop = propertyName(callee);
+            if (GLOBAL_OBJECTS.has(object)) return prop;
+            return `${bindings.has(object) ? bindings.get(object) : object}.${prop}`;
+        }
+        return null;
+    };
+
+    // Pass 2: call sites
+    const calls = [];
+    walk(ast.program, node => {
+        if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return;
+        const name = describe(node.callee);
+        if (!name) return;
+        calls.push({
+            callee: node.type === 'NewExpression' ? `new ${name}` : name,
+            line: node.loc.start.line,
+            target: targetOf(node)
+        });
+    });
+
+    // Every string that embeds an absolute URL, for hardcoded endpoint rules
+    const urls = [];
+    walk(ast.program, node => {
+        const value = node.type === 'StringLiteral' ? node.value
+            : node.type === 'TemplateElement' ? node.value.cooked : null;
+        if (value && value.includes('//')) urls.push({ value, line: node.loc.start.line });
+    });
+
+    const comments = (ast.comments || []).map(c => [c.start, c.end]);
+
+    return { ast, imports, calls, urls, comments };
+}
+
+/**
+ * Replace comment ranges with spaces (keeping newlines) so regex rules
+ * run over code only and line numbers stay correct.
+ */
+export function stripComments(content, comments) {
+    if (!comments || comments.length === 0) return content;
+    let out = '';
+    let cursor = 0;
+    comments.forEach(([start, end]) => {
+        out += content.slice(cursor, start) + content.slice(start, end).replace(/[^\n]/g, ' ');
+        cursor = end;
+    });
+    return out + content.slice(cursor);
+}
+
+/**
+ * npm package name from an import specifier ("firebase/app" -> "firebase",
+ * "@firebase/app/dist" -> "@firebase/app"). Relative and node: imports return null.
+ */
+export function packageFromImport(source) {
+    if (!source || source.startsWith('.') || source.startsWith('/') || /^[a-z]+:/.test(source)) return null;
+    const parts = source.split('/');
+    return source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
@@ -0,0 +1,158 @@
+/**
+ * Code Scanner
+ * Applies the rule set to a single source file. Pure function of
+ * (path, content, rules) so it can run anywhere the analyzer runs.
+ *
+ * - call rules match real call sites from the AST; their URL argument is
+ *   resolved and classified (same-origin, localhost, gateway, vendor, third party)
+ * - imports resolve to packages and are matched against dependency rules
+ * - endpoint rules match vendor hosts in URL strings
+ * - content rules run over the source with comments blanked out
+ * Files that fail to parse fall back to regex over the raw text. HTML pages
+ * only get the content rules (e.g. `data-netlify` forms), with `<!-- -->` blanked.
+ */
+
+import { scanSource, stripComments, packageFromImport } from './astScanner.js';
+import { classifyEndpoint, extractHost } from './endpoints.js';
+import { ENDPOINT_CLASSES } from '../data/heuristics.js';
+
+const getLineNumber = (fullText, index) => {
+    return fullText.substring(0, index).split('\n').length;
+};
+
+// Longest source line kept as an evidence snippet
+const SNIPPET_MAX = 160;
+
+// Lines kept on each side of a match for the evidence viewer
+const CONTEXT_LINES = 3;
+
+const MARKUP_PATTERN = /\.html?$/i;
+
+// Comments blanked to spaces, newlines kept, so line numbers still match the file
+const stripMarkupComments = (content) => content.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+
+/**
+ * Scan one source file.
+ * Returns { signals, offline, implies, parsed } where signals are risk
+ * evidence (with the matched source line as `snippet` and the lines around
+ * it as `context: { start, lines }`), offline are
+ * offline-capability evidence and implies are pseudo-dependencies
+ * (e.g. GENERIC_NETWORK) for the verdict.
+ */
+export function scanCode(name, content, rules) {
+    const signals = [];
+    const offline = [];
+    const implies = new Set();
+    const addImplied = (rule) => (rule.implies || []).forEach(d => implies.add(d));
+    const lines = content.split('\n');
+    const clip = (text) => text.length > SNIPPET_MAX ? `${text.slice(0, SNIPPET_MAX)}…` : text;
+    const snippetAt = (line) => clip((lines[line - 1] || '').trim());
+    // Surrounding lines as written (indentation kept), so the viewer can show the match in place
+    const contextAt = (line) => {
+        const start = Math.max(1, line - CONTEXT_LINES);
+        return { start, lines: lines.slice(start - 1, line + CONTEXT_LINES).map(text => clip(text.replace(/\s+$/, ''))) };
+    };
+
+    const emit = (rule, line, detail, extra = {}) => {
+        addImplied(rule);
+        if (rule.offline) {
+            implies.add(`OFFLINE_${rule.offline}`);
+            offline.push({ ruleId: rule.id, file: name, category: rule.offline, signal: `Detected ${detail}`, line });
+            return;
+        }
+        signals.push({
+            ruleId: rule.id,
+            signal: rule.signal || rule.id,
+            risk: rule.riskLevel,
+            category: rule.category,
+            reason: `Found in ${name}`,
+            failureMode: rule.failureMode,
+            file: name,
+            line,
+            snippet: snippetAt(line),
+            context: contextAt(line),
+            ...extra
+        });
+    };
+
+    const markup = MARKUP_PATTERN.test(name);
+    const parsed = markup ? null : scanSource(content, name);
+
+    if (markup) {
+        // Pages: content rules only (below)
+    } else if (parsed) {
+        // 1. Call sites, classified by where they go
+        const reportedHosts = new Set(); // "line:host" already covered by a call
+        parsed.calls.forEach(call => {
+            const rule = rules.matchCall(call.callee);
+            if (!rule) return;
+
+            const endpoint = classifyEndpoint(call.target, rules);
+            const target = endpoint.url || endpoint.host || (endpoint.env && `env:${endpoint.env}`);
+            const extra = { callee: call.callee, endpoint: { class: endpoint.class, target } };
+
+            if (endpoint.class === 'unresolved' || endpoint.class === 'env') {
+                // Can't tell where it goes: stays ambiguous
+                const reason = endpoint.env ? `Endpoint configured by ${endpoint.env} in ${name}` : `Usage in ${name}`;
+                emit(rule, call.line, call.callee, { ...extra, reason });
+                return;
+            }
+
+            if (endpoint.host) reportedHosts.add(`${call.line}:${endpoint.host}`);
+            // Vendor hosts use their endpoint rule; everything else its endpoint class
+            const classRule = endpoint.class === 'vendor' ? endpoint.rule : ENDPOINT_CLASSES[endpoint.class];
+            emit(classRule, call.line, target, {
+                ...extra,
+                signal: endpoint.class === 'third-party' ? `${classRule.signal}: ${endpoint.host}` : (classRule.signal || classRule.id),
+                reason: `${call.callee}(${target}) in ${name}`
+            });
+        });
+
+        // 1b. Hardcoded vendor URLs outside of call sites (config objects, constants)
+        parsed.urls.forEach(({ value, line }) => {
+            const parsedHost = extractHost(value.slice(value.search(/([a-z][a-z0-9+.-]*:)?\/\//i)));
+            if (!parsedHost?.host || reportedHosts.has(`${line}:${parsedHost.host}`)) return;
+            const rule = rules.matchEndpoint(parsedHost.host);
+            if (rule) emit(rule, line, parsedHost.host, { endpoint: { class: 'vendor', target: parsedHost.host } });
+        });
+
+        // 2. Imports resolved to packages
+        parsed.imports.forEach(imp => {
+            const pkg = packageFromImport(imp.source);
+            const rule = pkg && rules.matchDependency(pkg);
+            if (!rule) return;
+            emit(rule, imp.line, imp.source, { signal: `Import: ${imp.source}`, source: 'Code/Import', importSource: imp.source, package: pkg });
+        });
+    } else {
+        // Unparseable file: approximate call rules with their regex fallback
+        rules.calls.forEach(({ rule, fallback }) => {
+            if (!fallback) return;
+            fallback.lastIndex = 0;
+            let match;
+            while ((match = fallback.exec(content)) !== null) {
+                if (match[0].length === 0) { fallback.lastIndex++; continue; }
+                emit(rule, getLineNumber(content, match.index), match[0], { reason: `Usage in ${name}` });
+            }
+        });
+        rules.endpoints.forEach(({ rule, regex }) => {
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(content)) !== null) {
+                emit(rule, getLineNumber(content, match.index), match[0]);
+            }
+        });
+    }
+
+    // 3. Content patterns (code only, never comments)
+    const text = markup ? stripMarkupComments(content) : parsed ? stripComments(content, parsed.comments) : content;
+    rules.contents.forEach(({ rule, regex }) => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) { regex.lastIndex++; continue; }
+            emit(rule, getLineNumber(text, match.index), match[0]);
+        }
+    });
+
+    return { signals, offline, implies: [...implies], parsed: markup || Boolean(parsed) };
+}
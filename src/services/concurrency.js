@@ -0,0 +1,29 @@
+/**
+ * Bounded Concurrency
+ * Runs async tasks with at most `limit` in flight, so a large scan budget
+ * doesn't open hundreds of requests (or file handles) at once.
+ */
+
+/**
+ * Run task functions with at most `limit` running at a time.
+ * Resolves like Promise.allSettled: one { status, value | reason } per task, in task order.
+ */
+export async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await tasks[index]() };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const workers = Math.max(1, Math.min(limit || 1, tasks.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+}
@@ -0,0 +1,59 @@
+/**
+ * Endpoint Classification
+ * Decides where a statically resolved network call goes:
+ * same-origin, localhost, decentralized gateway, known vendor or unknown third party.
+ * Anything that can't be pinned down stays "env" or "unresolved" and is
+ * left to human review.
+ */
+
+import { LOCAL_HOST_PATTERN, DECENTRALIZED_GATEWAYS, DECENTRALIZED_SCHEMES } from '../data/heuristics.js';
+
+const SCHEME_PATTERN = /^([a-z][a-z0-9+.-]*):/i;
+const ABSOLUTE_PATTERN = /^(?:[a-z][a-z0-9+.-]*:)?\/\/([^/?#]*)(.?)/i;
+
+const isGatewayHost = (host) => host.endsWith('.eth')
+    || DECENTRALIZED_GATEWAYS.some(g => host === g || host.endsWith(`.${g}`));
+
+/**
+ * Host part of an absolute URL ("https://user@api.example.com:8080/x" -> "api.example.com").
+ * `complete` is false when the URL is a prefix that ends inside the host.
+ */
+export function extractHost(url, isPrefix = false) {
+    const match = ABSOLUTE_PATTERN.exec(url.trim());
+    if (!match) return null;
+    const host = match[1].replace(/^.*@/, '').replace(/:\d*$/, '').replace(/^\[|\]$/g, '').toLowerCase();
+    return { host, complete: Boolean(host) && (!isPrefix || match[2] !== '') };
+}
+
+/**
+ * Classify a resolved call target (see astScanner createResolver).
+ * Returns { class, host?, url?, env?, rule? } where class is one of:
+ * same-origin | localhost | gateway | vendor | third-party | env | unresolved
+ */
+export function classifyEndpoint(target, rules) {
+    if (!target || target.kind === 'unresolved') return { class: 'unresolved' };
+    if (target.kind === 'env') return { class: 'env', env: target.name };
+
+    const url = target.value.trim();
+    const scheme = SCHEME_PATTERN.exec(url)?.[1]?.toLowerCase();
+
+    if (scheme && DECENTRALIZED_SCHEMES.includes(scheme)) return { class: 'gateway', url };
+
+    const parsed = extractHost(url, target.kind === 'prefix');
+    if (!parsed) {
+        // data:, blob: never leave the device; other schemes are unknown
+        if (scheme === 'data' || scheme === 'blob') return { class: 'localhost', url };
+        if (scheme) return { class: 'unresolved', url };
+        return { class: 'same-origin', url };
+    }
+    if (!parsed.complete) return { class: 'unresolved', url };
+
+    const { host } = parsed;
+    if (LOCAL_HOST_PATTERN.test(host)) return { class: 'localhost', host, url };
+    if (isGatewayHost(host)) return { class: 'gateway', host, url };
+
+    const rule = rules.matchEndpoint(host);
+    if (rule) return { class: 'vendor', host, url, rule };
+
+    return { class: 'third-party', host, url };
+}
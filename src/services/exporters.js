@@ -0,0 +1,150 @@
+/**
+ * Report Exporters
+ * Turns an analyzer report into files that outlive the browser tab:
+ * - toReportJson: versioned JSON, validated by public/schema/report-1.0.0.json
+ * - toSarif:      SARIF 2.1.0 for code-scanning dashboards
+ * Both are pure functions of the report; nothing is fetched or uploaded.
+ * download() saves any of them from the browser.
+ */
+
+import { ENGINE, READINESS_LEVELS } from '../data/heuristics.js';
+import { repositoryPath } from './permalinks.js';
+
+export const REPORT_SCHEMA = 'decentralens-report';
+export const REPORT_SCHEMA_VERSION = '1.0.0';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Risk -> SARIF result level
+const SARIF_LEVELS = { High: 'error', Medium: 'warning', Low: 'note', None: 'none' };
+
+const levelKey = (score) => Object.keys(READINESS_LEVELS).find(key => READINESS_LEVELS[key] === score || READINESS_LEVELS[key].label === score?.label) || null;
+
+// No number for verdicts that had nothing to score (UNKNOWN, HUMAN_REVIEW)
+const scoreOf = (report) => READINESS_LEVELS[levelKey(report.score)]?.unscored ? null : report.readiness?.score ?? null;
+
+// Evidence from the analyzer itself (e.g. Ambiguity) has no rule id
+const ruleIdOf = (item) => item.ruleId || `analyzer/${item.signal.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+/**
+ * Versioned, self-describing JSON export.
+ */
+export function toReportJson(report) {
+    const { score, revision } = report;
+    return {
+        schema: REPORT_SCHEMA,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        engine: report.engine || { name: ENGINE.name, version: ENGINE.version },
+        rulePacks: report.rulePacks || [],
+        timestamp: report.timestamp,
+        target: {
+            name: report.repoInfo?.full_name || null,
+            provider: revision?.provider || 'local',
+            baseUrl: revision?.baseUrl || null,
+            ref: revision?.ref || null,
+            commitSha: revision?.commitSha || null,
+            path: revision?.path || null
+        },
+        verdict: {
+            level: levelKey(score),
+            label: score?.label || null,
+            score: scoreOf(report),
+            description: score?.desc || null,
+            architecture: report.architecture
+        },
+        readiness: report.readiness || null,
+        profile: report.profile || null,
+        offline: report.offline,
+        workspaces: report.workspaces || null,
+        evidence: report.evidence,
+        limitations: report.limitations || [],
+        coverage: report.coverage || null,
+        suppressions: report.suppressions || []
+    };
+}
+
+/**
+ * SARIF 2.1.0 log with one result per evidence item.
+ */
+export function toSarif(report) {
+    const rules = new Map();
+    report.evidence.forEach(item => {
+        const id = ruleIdOf(item);
+        if (rules.has(id)) return;
+        rules.set(id, {
+            id,
+            name: item.category ? `${item.category}: ${id}` : id,
+            shortDescription: { text: item.category || item.signal },
+            fullDescription: { text: item.failureMode || item.signal },
+            defaultConfiguration: { level: SARIF_LEVELS[item.ruleRisk || item.risk] || 'warning' },
+            properties: { category: item.category || null }
+        });
+    });
+
+    const results = report.evidence.map(item => {
+        const result = {
+            ruleId: ruleIdOf(item),
+            level: SARIF_LEVELS[item.risk] || 'warning',
+            message: { text: item.failureMode ? `${item.signal}: ${item.failureMode}` : item.signal },
+            ...(item.fingerprint && { partialFingerprints: { 'decentralens/v1': item.fingerprint } }),
+            ...(item.suppressed && { suppressions: [{ kind: 'external', status: 'accepted', justification: item.suppressed.reason }] }),
+            properties: {
+                risk: item.risk,
+                category: item.category || null,
+                source: item.source || null,
+                scope: item.scope || null,
+                provider: item.provider || null,
+                counted: item.counted !== false,
+                points: item.scoring?.points ?? 0
+            }
+        };
+        // Findings without a real file (e.g. "Multiple") stay location-less
+        if (item.file && item.file !== 'Multiple') {
+            const region = Number.isInteger(item.line) ? { region: { startLine: item.line } } : {};
+            result.locations = [{ physicalLocation: { artifactLocation: { uri: repositoryPath(report.revision, item.file) }, ...region } }];
+        }
+        return result;
+    });
+
+    const run = {
+        tool: {
+            driver: {
+                name: report.engine?.name || ENGINE.name,
+                version: report.engine?.version || ENGINE.version,
+                rules: [...rules.values()],
+                properties: { rulePacks: report.rulePacks || [] }
+            }
+        },
+        invocations: [{ executionSuccessful: true, endTimeUtc: report.timestamp }],
+        results,
+        properties: {
+            verdict: report.score?.label || null,
+            score: scoreOf(report),
+            architecture: report.architecture,
+            offline: report.offline.status
+        }
+    };
+
+    const { revision } = report;
+    if (revision?.baseUrl) {
+        run.versionControlProvenance = [{
+            repositoryUri: `${revision.baseUrl}/${report.repoInfo?.full_name}`,
+            ...(revision.commitSha && { revisionId: revision.commitSha }),
+            ...(revision.ref && { branch: revision.ref })
+        }];
+    }
+
+    return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
+
+/**
+ * Save a document in the browser through a temporary object URL.
+ */
+export function download(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,63 @@
+/**
+ * File Analysis
+ * The per-file work of a scan: parsing manifests, lockfiles, hosting configs
+ * and infrastructure code, and running the code scanner over sources. Results are plain data (structured-cloneable),
+ * so the same function runs inline or inside a scan worker.
+ */
+
+import { parseManifest } from './manifests.js';
+import { parseLockfile } from './lockfiles.js';
+import { parseHostingConfig } from './hostingConfigs.js';
+import { parseInfrastructure } from './infrastructure.js';
+import { scanCode } from './codeScanner.js';
+
+// Parser errors (YAML especially) can quote the offending lines; the first line says what's wrong
+const errorOf = (e) => e.message.split('\n')[0].trim();
+
+/**
+ * Analyze one fetched file according to its scan type.
+ * Returns { manifest, parseError? } | { lock, parseError? } | { config, configError? } | { infra, infraError? }
+ * | { scan, infra, infraError? } | {} for types handled elsewhere. `infra` is null when a file declares no
+ * infrastructure (sources only do when they define AWS CDK stacks).
+ * Malformed files return their error instead of throwing, so one broken file never aborts a scan
+ * (and a config that fails to parse still fired its rule).
+ */
+export function analyzeFile({ name, type, content }, rules) {
+    if (type === 'dep' || type === 'monorepo-dep') {
+        try {
+            return { manifest: parseManifest(name, content) };
+        } catch (e) {
+            return { manifest: null, parseError: errorOf(e) };
+        }
+    }
+    if (type === 'lockfile') {
+        try {
+            return { lock: parseLockfile(name, content) };
+        } catch (e) {
+            return { lock: null, parseError: errorOf(e) };
+        }
+    }
+    if (type === 'config') {
+        try {
+            return { config: parseHostingConfig(name, content) };
+        } catch (e) {
+            return { config: null, configError: errorOf(e) };
+        }
+    }
+    if (type === 'iac') {
+        try {
+            return { infra: parseInfrastructure(name, content) };
+        } catch (e) {
+            return { infra: null, infraError: errorOf(e) };
+        }
+    }
+    if (type === 'code-scan') {
+        const scan = scanCode(name, content, rules);
+        try {
+            return { scan, infra: parseInfrastructure(name, content) };
+        } catch (e) {
+            return { scan, infra: null, infraError: errorOf(e) };
+        }
+    }
+    return {};
+}
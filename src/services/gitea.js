@@ -0,0 +1,116 @@
+/**
+ * Gitea / Forgejo Service (Online Provider)
+ * Same provider interface as GitHubService, backed by the Gitea API v1.
+ * Forgejo (and Codeberg, which runs it) speaks the same API.
+ */
+
+// Tree pages fetched at most (the API caps page size, so large repos paginate)
+const MAX_TREE_PAGES = 50;
+const TREE_PAGE_SIZE = 1000;
+
+export class GiteaService {
+  constructor(baseUrl) {
+    this.kind = 'gitea';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/api/v1/repos`;
+  }
+
+  // Parse "owner/repo" (plus an optional ref and subdirectory) from instance URLs:
+  //   <base>/owner/repo(.git)
+  //   <base>/owner/repo/src/branch|tag|commit/<ref>/<path>
+  //   <base>/owner/repo/commit/<sha>
+  //   <base>/owner/repo/releases/tag/<tag>
+  parseUrl(url) {
+    try {
+      const clean = url.trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+      const base = this.baseUrl.replace(/^https?:\/\//, '');
+      const rest = clean.replace(/^https?:\/\//, '');
+      if (!rest.startsWith(`${base}/`)) return null;
+
+      const [owner, repo, ...parts] = rest.slice(base.length + 1).split('/').map(decodeURIComponent);
+      if (!owner || !repo) return null;
+      const result = { owner, repo: repo.replace(/\.git$/, '') };
+
+      if (parts[0] === 'src' && parts.length > 2) {
+          result.refPath = parts.slice(2).join('/');
+      } else if (parts[0] === 'commit' && parts[1]) {
+          result.refPath = parts[1];
+      } else if (parts[0] === 'releases' && parts[1] === 'tag' && parts[2]) {
+          result.refPath = parts.slice(2).join('/');
+      }
+      return result;
+    } catch {
+      return null;
+    }
+  }
+
+  async _api(path, { signal } = {}) {
+      return fetch(`${this.apiUrl}/${path}`, { headers: { 'Accept': 'application/json' }, signal });
+  }
+
+  async getRepoDetails(owner, repo, { signal } = {}) {
+    try {
+      const response = await this._api(`${owner}/${repo}`, { signal });
+      if (!response.ok) return null;
+      const data = await response.json();
+      return { ...data, full_name: data.full_name || `${owner}/${repo}` };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Resolve "<ref>/<path>" to { ref, sha, path }, trying ref prefixes
+   * shortest first (refs may contain slashes). Returns null if nothing matches.
+   */
+  async resolveRef(owner, repo, refPath, { signal } = {}) {
+      const segments = refPath.split('/').filter(Boolean);
+      for (let i = 1; i <= segments.length; i++) {
+          const ref = segments.slice(0, i).join('/');
+          const res = await this._api(`${owner}/${repo}/commits?sha=${encodeURIComponent(ref)}&limit=1&stat=false&verification=false&files=false`, { signal });
+          if (!res.ok) continue;
+          const [commit] = await res.json();
+          if (commit?.sha) return { ref, sha: commit.sha, path: segments.slice(i).join('/') };
+      }
+      return null;
+  }
+
+  async getTree(owner, repo, ref, { signal } = {}) {
+      try {
+          const items = [];
+          let truncated = true;
+          for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+              const res = await this._api(`${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`, { signal });
+              if (!res.ok) return page === 1 ? null : Object.assign(items, { truncated: true });
+              const data = await res.json();
+              (data.tree || []).forEach(item => items.push({
+                  path: item.path,
+                  type: item.type === 'blob' ? 'file' : 'dir',
+                  size: item.size
+              }));
+              if (!data.truncated || (data.tree || []).length === 0) {
+                  truncated = false;
+                  break;
+              }
+          }
+          items.truncated = truncated; // Reported in scan coverage
+          return items;
+      } catch (e) {
+          if (e.name === 'AbortError') throw e;
+          console.error('Tree Fetch Failed:', e);
+          return null;
+      }
+  }
+
+  async getRawFile(owner, repo, path, ref, { signal } = {}) {
+    try {
+        const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+        const res = await this._api(`${owner}/${repo}/raw/${encodedPath}?ref=${encodeURIComponent(ref)}`, { signal });
+        return res.ok ? await res.text() : null;
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        return null;
+    }
+  }
+}
@@ -1,25 +1,148 @@
-const BASE_API_URL = 'https://api.github.com/repos';
+const API_ORIGIN = 'https://api.github.com';
+const BASE_API_URL = `${API_ORIGIN}/repos`;
 const RAW_BASE_URL = 'https://raw.githubusercontent.com';
 
+// Storage key for the optional personal access token
+const TOKEN_KEY = 'decentralens.githubToken';
+// Retries of one request after waiting out a rate limit
+const RATE_LIMIT_RETRIES = 3;
+
+// Session storage first (cleared with the tab), local storage when the user asked to remember
+const tokenStores = () => typeof window === 'undefined' ? [] : [window.sessionStorage, window.localStorage];
+
+// Resolves after `ms`, or rejects with an AbortError when the scan is cancelled
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
 class GitHubService {
   constructor() {
+    this.kind = 'github';
+    this.baseUrl = 'https://github.com';
     this.headers = {
       'Accept': 'application/vnd.github.v3+json',
     };
+    this.token = tokenStores().map(store => store.getItem(TOKEN_KEY)).find(Boolean) || null;
+    // { limit, remaining, reset (ms epoch), waitingUntil (ms epoch) | null }, from the last API response
+    this.rateLimit = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Set (or clear, with a falsy token) the personal access token.
+   * Kept in sessionStorage, or localStorage when `remember` is true.
+   * The token is only ever sent to api.github.com.
+   */
+  setToken(token, remember = false) {
+      this.token = token ? token.trim() : null;
+      tokenStores().forEach(store => store.removeItem(TOKEN_KEY));
+      if (this.token) tokenStores()[remember ? 1 : 0]?.setItem(TOKEN_KEY, this.token);
+      // Quotas differ per token: forget the old one
+      this._setRateLimit(null);
+  }
+
+  /**
+   * Subscribe to rate-limit updates. Returns an unsubscribe function.
+   */
+  onRateLimitChange(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+  }
+
+  _setRateLimit(rateLimit) {
+      this.rateLimit = rateLimit;
+      this.listeners.forEach(listener => listener(rateLimit));
+  }
+
+  _readRateLimit(response) {
+      const remaining = response.headers.get('X-RateLimit-Remaining');
+      const reset = response.headers.get('X-RateLimit-Reset');
+      if (remaining === null || reset === null) return;
+      this._setRateLimit({
+          limit: Number(response.headers.get('X-RateLimit-Limit')) || null,
+          remaining: Number(remaining),
+          reset: Number(reset) * 1000,
+          waitingUntil: null
+      });
+  }
+
+  async _waitUntil(time, signal) {
+      this._setRateLimit({ ...this.rateLimit, waitingUntil: time });
+      try {
+          await sleep(Math.max(0, time - Date.now()), signal);
+      } finally {
+          this._setRateLimit({ ...this.rateLimit, waitingUntil: null });
+      }
+  }
+
+  /**
+   * Authenticated request to the GitHub API.
+   * Requests queue until the quota resets instead of failing when it is used up,
+   * and are retried after a rate-limit response. Cancellable through `signal`.
+   */
+  async _api(url, { signal, accept } = {}, attempt = 0) {
+      if (new URL(url).origin !== API_ORIGIN) throw new Error(`Refusing to send GitHub credentials to ${url}`);
+
+      // Out of quota: wait for the reset rather than spend a request on a 403
+      if (this.rateLimit && this.rateLimit.remaining <= 0 && this.rateLimit.reset > Date.now()) {
+          await this._waitUntil(this.rateLimit.reset, signal);
+      }
+      // Count in-flight requests so concurrent callers queue too
+      if (this.rateLimit) this.rateLimit.remaining--;
+
+      const headers = {
+          ...this.headers,
+          ...(accept && { 'Accept': accept }),
+          ...(this.token && { 'Authorization': `Bearer ${this.token}` })
+      };
+      const response = await fetch(url, { headers, signal });
+      this._readRateLimit(response);
+
+      const retryAfter = response.headers.get('Retry-After');
+      const exhausted = response.headers.get('X-RateLimit-Remaining') === '0' || retryAfter !== null;
+      if ((response.status === 403 || response.status === 429) && exhausted && attempt < RATE_LIMIT_RETRIES) {
+          const resumeAt = retryAfter !== null ? Date.now() + Number(retryAfter) * 1000 : (this.rateLimit?.reset ?? Date.now() + 60 * 1000);
+          await this._waitUntil(resumeAt, signal);
+          return this._api(url, { signal, accept }, attempt + 1);
+      }
+      return response;
   }
 
-  // Parse "user/repo" from various URL formats
+  // Parse "user/repo" (plus an optional ref and subdirectory) from various URL formats:
+  //   github.com/owner/repo(.git)
+  //   github.com/owner/repo/tree/<ref>/<path>     branch, tag or SHA, optionally scoped to a folder
+  //   github.com/owner/repo/blob/<ref>/<file>     scoped to the file's folder
+  //   github.com/owner/repo/commit/<sha>
+  //   github.com/owner/repo/releases/tag/<tag>
+  //   owner/repo
+  // `refPath` is "<ref>/<path>" as found in the URL: refs may contain slashes,
+  // so it is split by resolveRef() against the repository.
   parseUrl(url) {
     try {
       if (!url) return null;
-      const cleanUrl = url.trim();
-      // Handle "https://github.com/owner/repo"
-      const match = cleanUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-      if (match) return { owner: match[1], repo: match[2].replace('.git', '') };
+      const cleanUrl = url.trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+      // Handle "https://github.com/owner/repo/..."
+      const match = cleanUrl.match(/github\.com\/([^\/]+)\/([^\/]+)(?:\/(.*))?$/);
+      if (match) {
+          const result = { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+          const rest = match[3] ? match[3].split('/').map(decodeURIComponent) : [];
+          if ((rest[0] === 'tree' || rest[0] === 'blob') && rest.length > 1) {
+              result.refPath = rest.slice(1).join('/');
+              result.blob = rest[0] === 'blob';
+          } else if (rest[0] === 'commit' && rest[1]) {
+              result.refPath = rest[1];
+          } else if (rest[0] === 'releases' && rest[1] === 'tag' && rest[2]) {
+              result.refPath = rest.slice(2).join('/');
+          }
+          return result;
+      }
       
       // Handle "owner/repo"
       const parts = cleanUrl.split('/');
-      if (parts.length === 2) return { owner: parts[0], repo: parts[1] };
+      if (parts.length === 2) return { owner: parts[0], repo: parts[1].replace(/\.git$/, '') };
       
       return null;
     } catch (e) {
@@ -27,13 +150,44 @@ class GitHubService {
     }
   }
 
+  /**
+   * Resolve "<ref>/<path>" to { ref, sha, path }.
+   * Refs may contain slashes ("feature/login"), so prefixes are tried
+   * shortest first until one names a commit. Returns null if nothing matches,
+   * and { ref, sha: null } (first segment as ref) when rate limited.
+   */
+  async resolveRef(owner, repo, refPath, { signal } = {}) {
+      const segments = refPath.split('/').filter(Boolean);
+      for (let i = 1; i <= segments.length; i++) {
+          const ref = segments.slice(0, i).join('/');
+          const res = await this._api(`${BASE_API_URL}/${owner}/${repo}/commits/${segments.slice(0, i).map(encodeURIComponent).join('/')}`, {
+              signal,
+              accept: 'application/vnd.github.sha'
+          });
+          if (res.ok) return { ref, sha: (await res.text()).trim(), path: segments.slice(i).join('/') };
+          if (res.status === 403 || res.status === 429) {
+              return { ref: segments[0], sha: null, path: segments.slice(1).join('/') };
+          }
+      }
+      return null;
+  }
+
   // 1. Metadata Fetch (Uses API Quota)
-  async getRepoDetails(owner, repo) {
+  async getRepoDetails(owner, repo, { signal } = {}) {
+    let response;
     try {
-      const response = await fetch(`${BASE_API_URL}/${owner}/${repo}`, {
-        headers: this.headers
-      });
+      response = await this._api(`${BASE_API_URL}/${owner}/${repo}`, { signal });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return null;
+    }
+
+    // A bad token must reach the user instead of reading as "repo not found"
+    if (response.status === 401 && this.token) {
+      throw new Error('GitHub rejected the access token. Update or clear it and retry.');
+    }
 
+    try {
       if (response.status === 403 || response.status === 429) {
          // Return a special flag for rate limiting
          console.warn('GitHub API Rate Limit Hit. Proceeding with limited analysis.');
@@ -51,9 +205,7 @@ class GitHubService {
   // Returns null if rate limited or empty
   async getDirContents(owner, repo) {
     try {
-      const response = await fetch(`${BASE_API_URL}/${owner}/${repo}/contents`, {
-        headers: this.headers
-      });
+      const response = await this._api(`${BASE_API_URL}/${owner}/${repo}/contents`);
       
       if (response.status === 403 || response.status === 429) {
           return null; // Signal to use blind scan
@@ -68,13 +220,13 @@ class GitHubService {
   }
 
   // 3. Raw File Fetch (Zero API Quota)
-  // Fetches directly from raw.githubusercontent.com
-  async getRawFile(owner, repo, path, branch = 'HEAD') {
+  // Fetches directly from raw.githubusercontent.com. Cancellable through `signal`.
+  async getRawFile(owner, repo, path, branch = 'HEAD', { signal } = {}) {
     try {
         // Optimization: If a specific branch is provided (not HEAD), try ONLY that branch first.
         // This prevents 404 console spam from checking 'main'/'master' blindly when we already know the correct branch.
         if (branch && branch !== 'HEAD') {
-             const res = await fetch(`${RAW_BASE_URL}/${owner}/${repo}/${branch}/${path}`);
+             const res = await fetch(`${RAW_BASE_URL}/${owner}/${repo}/${branch}/${path}`, { signal });
              if (res.ok) {
                  return await res.text();
              }
@@ -86,13 +238,14 @@ class GitHubService {
         // Fallback Strategy (only for HEAD or undefined)
         const branches = ['main', 'master'];
         for (const b of branches) {
-            const res = await fetch(`${RAW_BASE_URL}/${owner}/${repo}/${b}/${path}`);
+            const res = await fetch(`${RAW_BASE_URL}/${owner}/${repo}/${b}/${path}`, { signal });
             if (res.ok) {
                 return await res.text();
             }
         }
         return null;
     } catch (error) {
+        if (error.name === 'AbortError') throw error;
         // Suppress console error for 404s to keep logs clean
         // console.error(`Error fetching raw ${path}:`, error);
         return null;
@@ -123,20 +276,20 @@ class GitHubService {
       return this.getRepoDetails(owner, repo);
   }
 
-  async getFileContent(path, owner, repo, branch) {
+  async getFileContent(path, owner, repo, branch, options) {
       // Wrapper for getRawFile
-      return this.getRawFile(owner, repo, path, branch);
+      return this.getRawFile(owner, repo, path, branch, options);
   }
 
   /**
    * HUGE OPTIMIZATION: Get the entire file tree in 1 API call.
    * Eliminates 404s and drastically reduces rate limit usage.
    */
-  async getTree(owner, repo, branch = 'main') {
+  async getTree(owner, repo, branch = 'main', { signal } = {}) {
       try {
           // Get the SHA of the branch first, or just try fetching tree/main?
           // Using trees/{branch}?recursive=1 works if branch name is valid ref.
-          const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`);
+          const res = await this._api(`${BASE_API_URL}/${owner}/${repo}/git/trees/${branch}?recursive=1`, { signal });
           
            if (!res.ok) {
                if (res.status === 403 || res.status === 429) {
@@ -153,13 +306,16 @@ class GitHubService {
            }
            
            // Convert to standardized format
-           return data.tree.map(item => ({
+           const items = data.tree.map(item => ({
                path: item.path, // Full path e.g. "src/components/Button.jsx"
                type: item.type === 'blob' ? 'file' : 'dir',
                size: item.size
            }));
+           items.truncated = Boolean(data.truncated); // Reported in scan coverage
+           return items;
 
       } catch (e) {
+          if (e.name === 'AbortError') throw e;
           console.error('Tree Fetch Failed:', e);
           return null;
       }
@@ -0,0 +1,117 @@
+/**
+ * GitLab Service (Online Provider)
+ * Same provider interface as GitHubService, backed by the GitLab API v4.
+ * GitLab projects can sit in nested groups, so `owner` is the full
+ * namespace ("group/subgroup") and `repo` the project path.
+ */
+
+// Tree pages fetched at most (100 entries per page)
+const MAX_TREE_PAGES = 100;
+const TREE_PAGE_SIZE = 100;
+
+export class GitLabService {
+  constructor(baseUrl = 'https://gitlab.com') {
+    this.kind = 'gitlab';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/api/v4/projects`;
+  }
+
+  // Parse "namespace/project" (plus an optional ref and subdirectory) from instance URLs:
+  //   <base>/group/subgroup/project(.git)
+  //   <base>/group/project/-/tree|blob/<ref>/<path>
+  //   <base>/group/project/-/commit/<sha>
+  //   <base>/group/project/-/tags/<tag>
+  parseUrl(url) {
+    try {
+      const clean = url.trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+      const base = this.baseUrl.replace(/^https?:\/\//, '');
+      const rest = clean.replace(/^https?:\/\//, '');
+      if (!rest.startsWith(`${base}/`)) return null;
+
+      const [projectPath, route = ''] = rest.slice(base.length + 1).split('/-/');
+      const segments = projectPath.split('/').map(decodeURIComponent);
+      if (segments.length < 2) return null;
+      const result = { owner: segments.slice(0, -1).join('/'), repo: segments[segments.length - 1].replace(/\.git$/, '') };
+
+      const parts = route.split('/').filter(Boolean).map(decodeURIComponent);
+      if ((parts[0] === 'tree' || parts[0] === 'blob') && parts.length > 1) {
+          result.refPath = parts.slice(1).join('/');
+          result.blob = parts[0] === 'blob';
+      } else if ((parts[0] === 'commit' || parts[0] === 'tags') && parts[1]) {
+          result.refPath = parts.slice(1).join('/');
+      }
+      return result;
+    } catch {
+      return null;
+    }
+  }
+
+  async _api(owner, repo, path, { signal } = {}) {
+      const id = encodeURIComponent(`${owner}/${repo}`);
+      return fetch(`${this.apiUrl}/${id}${path}`, { headers: { 'Accept': 'application/json' }, signal });
+  }
+
+  async getRepoDetails(owner, repo, { signal } = {}) {
+    try {
+      const response = await this._api(owner, repo, '', { signal });
+      if (!response.ok) return null;
+      const data = await response.json();
+      // Normalize to the GitHub shape the analyzer reads
+      return { ...data, full_name: data.path_with_namespace || `${owner}/${repo}`, default_branch: data.default_branch };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Resolve "<ref>/<path>" to { ref, sha, path }, trying ref prefixes
+   * shortest first (refs may contain slashes). Returns null if nothing matches.
+   */
+  async resolveRef(owner, repo, refPath, { signal } = {}) {
+      const segments = refPath.split('/').filter(Boolean);
+      for (let i = 1; i <= segments.length; i++) {
+          const ref = segments.slice(0, i).join('/');
+          const res = await this._api(owner, repo, `/repository/commits/${encodeURIComponent(ref)}`, { signal });
+          if (!res.ok) continue;
+          const commit = await res.json();
+          if (commit?.id) return { ref, sha: commit.id, path: segments.slice(i).join('/') };
+      }
+      return null;
+  }
+
+  async getTree(owner, repo, ref, { signal } = {}) {
+      try {
+          const items = [];
+          let truncated = true;
+          for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+              const res = await this._api(owner, repo, `/repository/tree?ref=${encodeURIComponent(ref)}&recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`, { signal });
+              if (!res.ok) return page === 1 ? null : Object.assign(items, { truncated: true });
+              const data = await res.json();
+              // GitLab doesn't report blob sizes here; the scan budget checks them on read
+              data.forEach(item => items.push({ path: item.path, type: item.type === 'blob' ? 'file' : 'dir' }));
+              // X-Next-Page is empty on the last page (and missing if CORS hides it)
+              if (data.length < TREE_PAGE_SIZE || res.headers.get('X-Next-Page') === '') {
+                  truncated = false;
+                  break;
+              }
+          }
+          items.truncated = truncated; // Reported in scan coverage
+          return items;
+      } catch (e) {
+          if (e.name === 'AbortError') throw e;
+          console.error('Tree Fetch Failed:', e);
+          return null;
+      }
+  }
+
+  async getRawFile(owner, repo, path, ref, { signal } = {}) {
+    try {
+        const res = await this._api(owner, repo, `/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`, { signal });
+        return res.ok ? await res.text() : null;
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        return null;
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Path Globs
+ * The small glob dialect used by suppressions and workspace patterns:
+ * `*` within a folder, `**` across folders, `?` one character.
+ */
+
+/**
+ * Glob -> RegExp over repository-relative paths.
+ * With `basename` (the default), globs without a slash match the file name
+ * in any folder; otherwise every glob is anchored at the root.
+ */
+export function globToRegex(glob, { basename = true } = {}) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(basename && !glob.includes('/') ? `(^|/)${source}$` : `^${source}$`);
+}
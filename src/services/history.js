@@ -0,0 +1,118 @@
+/**
+ * Scan History
+ * Keeps past reports in IndexedDB so they survive the tab, and reopens them
+ * without refetching anything. Browser only; every method is a no-op (or
+ * rejects, for writes) where IndexedDB is unavailable, e.g. in the CLI.
+ */
+
+const DB_NAME = 'decentralens';
+const DB_VERSION = 1;
+const STORE = 'reports';
+
+export const HISTORY_SCHEMA = 'decentralens-history';
+
+// IDBRequest / IDBTransaction -> Promise
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+// What the history list shows, so it can render without reading every report
+const summarize = (report) => ({
+    target: report.repoInfo?.full_name || 'UNKNOWN_TARGET',
+    ref: report.revision?.ref || null,
+    commitSha: report.revision?.commitSha || null,
+    path: report.revision?.path || null,
+    verdict: report.score?.label || null,
+    color: report.score?.color || null,
+    architecture: report.architecture,
+    findings: report.evidence?.length || 0,
+    timestamp: report.timestamp
+});
+
+export class HistoryService {
+  constructor() {
+    this.db = null;
+  }
+
+  get available() {
+      return typeof indexedDB !== 'undefined';
+  }
+
+  async _open() {
+      if (!this.available) throw new Error('Scan history needs IndexedDB, which this browser does not provide.');
+      if (this.db) return this.db;
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'summary.timestamp');
+      };
+      this.db = await request(req);
+      return this.db;
+  }
+
+  async _store(mode) {
+      const db = await this._open();
+      return db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  /**
+   * Saved scans, newest first: [{ id, summary }]
+   */
+  async list() {
+      if (!this.available) return [];
+      // ISO timestamps sort chronologically; the index returns oldest first
+      const records = await request((await this._store('readonly')).index('timestamp').getAll());
+      return records.reverse().map(({ id, summary }) => ({ id, summary }));
+  }
+
+  /**
+   * The full report of a saved scan, or null if it was deleted.
+   */
+  async get(id) {
+      const record = await request((await this._store('readonly')).get(id));
+      return record?.report || null;
+  }
+
+  /**
+   * Save a report; returns its id.
+   */
+  async save(report) {
+      return request((await this._store('readwrite')).add({ summary: summarize(report), report }));
+  }
+
+  async delete(id) {
+      await request((await this._store('readwrite')).delete(id));
+  }
+
+  /**
+   * Every saved report as one portable document.
+   */
+  async export() {
+      const records = await request((await this._store('readonly')).getAll());
+      return { schema: HISTORY_SCHEMA, version: 1, reports: records.map(r => r.report) };
+  }
+
+  /**
+   * Import a document from export(); reports already in the history
+   * (same target and timestamp) are skipped. Returns how many were added.
+   */
+  async import(data) {
+      if (data?.schema !== HISTORY_SCHEMA || !Array.isArray(data.reports)) {
+          throw new Error('Not a DecentraLens history export.');
+      }
+      const known = new Set((await this.list()).map(({ summary }) => `${summary.target}|${summary.timestamp}`));
+      let added = 0;
+      for (const report of data.reports) {
+          if (!report?.timestamp || !Array.isArray(report.evidence) || !report.score) continue;
+          const summary = summarize(report);
+          if (known.has(`${summary.target}|${summary.timestamp}`)) continue;
+          await this.save(report);
+          known.add(`${summary.target}|${summary.timestamp}`);
+          added++;
+      }
+      return added;
+  }
+}
+
+export const historyService = new HistoryService();
@@ -0,0 +1,237 @@
+/**
+ * Hosting Config Parsers
+ * Reads what a hosting or container config actually sets up, instead of
+ * flagging the file on presence alone:
+ *
+ *   firebase.json        Hosting (static, or rewritten to Functions / Cloud Run), Firestore,
+ *                        Realtime Database, Storage, Auth, Functions, Data Connect
+ *   vercel.json          functions, crons, serverless builds, rewrites to /api or other origins
+ *   netlify.toml         functions, edge functions, build plugins, proxy redirects
+ *   fly.toml             volumes, managed database URLs
+ *   docker-compose.yml   images: self-hosted databases vs. managed ones (connection URLs,
+ *                        Cloud SQL proxies) and images from cloud registries
+ *
+ * parseHostingConfig returns null for files without a parser, otherwise
+ * { deploy, features, support }:
+ * - deploy:   { risk, failureMode } replacing the config rule's own, or null to keep them
+ *             (e.g. a static-only site is Low: any static host can serve it)
+ * - features: platform services used, { id, signal, risk, category, failureMode, line }
+ * - support:  services the project runs itself, { signal, category: 'SELF_HOSTED', line }
+ * - staticUnless: (static sites only) rule ids that, fired anywhere else in the project,
+ *             mean the platform serves more than files after all
+ */
+
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+import { extractHost } from './endpoints.js';
+import { MANAGED_DATABASES, SELF_HOSTED_IMAGES, CLOUD_REGISTRY_PATTERN } from '../data/heuristics.js';
+
+// What each platform service costs the project, by feature id
+const FEATURES = {
+    'firebase-rewrites': { signal: 'Firebase Hosting rewrites', risk: 'Medium', category: 'Serverless Compute', failureMode: 'Routes are served by Cloud Functions or Cloud Run behind Firebase Hosting.' },
+    'firebase-functions': { signal: 'Cloud Functions for Firebase', risk: 'Medium', category: 'Serverless Compute', failureMode: 'Backend code is deployed to Google Cloud Functions and triggered by Firebase events.' },
+    'firebase-firestore': { signal: 'Cloud Firestore', risk: 'High', category: 'Data Dependency', failureMode: 'App data lives in Cloud Firestore, which has no self-hosted equivalent.' },
+    'firebase-database': { signal: 'Firebase Realtime Database', risk: 'High', category: 'Data Dependency', failureMode: 'App data lives in the Firebase Realtime Database.' },
+    'firebase-storage': { signal: 'Cloud Storage for Firebase', risk: 'Medium', category: 'Data Dependency', failureMode: 'User files are kept in Google Cloud Storage buckets.' },
+    'firebase-auth': { signal: 'Firebase Authentication', risk: 'High', category: 'Identity Dependency', failureMode: 'Users can only sign in while Firebase Authentication serves the project.' },
+    'firebase-dataconnect': { signal: 'Firebase Data Connect', risk: 'High', category: 'Data Dependency', failureMode: 'Data is served through a Google-managed Cloud SQL instance.' },
+    'vercel-functions': { signal: 'Vercel Functions', risk: 'Medium', category: 'Serverless Compute', failureMode: 'API routes run as Vercel serverless functions.' },
+    'vercel-crons': { signal: 'Vercel Cron Jobs', risk: 'Medium', category: 'Serverless Compute', failureMode: 'Scheduled jobs are triggered by Vercel and stop on any other host.' },
+    'vercel-proxy': { signal: 'Vercel rewrite to another origin', risk: 'Medium', category: 'External Service', failureMode: 'Requests are proxied to a server outside the project.' },
+    'netlify-functions': { signal: 'Netlify Functions', risk: 'Medium', category: 'Serverless Compute', failureMode: 'Server-side code runs as Netlify Functions.' },
+    'netlify-edge-functions': { signal: 'Netlify Edge Functions', risk: 'Medium', category: 'Serverless Compute', failureMode: 'Requests are handled by code on Netlify\'s edge network.' },
+    'netlify-plugins': { signal: 'Netlify build plugins', risk: 'Low', category: 'Hosting Dependency', failureMode: 'The build relies on plugins that only run on Netlify.' },
+    'netlify-proxy': { signal: 'Netlify proxy redirect', risk: 'Medium', category: 'External Service', failureMode: 'Requests are proxied to a server outside the project.' },
+    'fly-volumes': { signal: 'Fly.io volume', risk: 'Medium', category: 'Data Dependency', failureMode: 'Data is stored on a volume attached to a Fly.io machine.' },
+    'managed-database': { signal: 'Managed database', risk: 'High', category: 'Data Dependency', failureMode: 'Data lives in a hosted database service the project does not run.' },
+    'cloud-registry': { signal: 'Image from a cloud registry', risk: 'Medium', category: 'Hosting Dependency', failureMode: 'Images are pulled from a cloud provider\'s private registry.' }
+};
+
+const STATIC_SITE = { risk: 'Low', failureMode: 'Static hosting only: the built site can be served by any static host.' };
+
+// Netlify features that never show in netlify.toml: Forms in the site's HTML, the Identity widget, a functions folder
+const NETLIFY_DYNAMIC_RULES = ['netlify-forms', 'netlify-identity', 'netlify-functions-structure'];
+
+const CLOUD_SQL_PROXY_PATTERN = /cloud-?sql-proxy|cloudsql-docker|gce-proxy/i;
+
+/**
+ * Locates evidence in a file: the returned function gives the 1-based line
+ * of the first line containing a string (or matching a pattern).
+ */
+export function lineFinder(content) {
+    const lines = content.split('\n');
+    return (pattern) => {
+        const index = lines.findIndex(line => typeof pattern === 'string' ? line.includes(pattern) : pattern.test(line));
+        return index === -1 ? undefined : index + 1;
+    };
+}
+
+// Collects features once per id (the first occurrence locates it)
+const collector = () => {
+    const features = new Map();
+    const add = (id, line, detail) => {
+        if (features.has(id)) return;
+        const feature = FEATURES[id];
+        features.set(id, { id, ...feature, signal: detail ? `${feature.signal}: ${detail}` : feature.signal, line });
+    };
+    return { add, has: (id) => features.has(id), list: () => [...features.values()] };
+};
+
+/**
+ * The hosted database service a connection URL points at, if any
+ * ("postgres://u:p@db.abc.rds.amazonaws.com:5432/app" -> "Amazon RDS").
+ */
+export function managedDatabaseOf(value) {
+    if (typeof value !== 'string' || !value.includes('://')) return null;
+    const host = extractHost(value)?.host;
+    if (!host) return null;
+    const suffix = Object.keys(MANAGED_DATABASES).find(s => host === s || host.endsWith(`.${s}`));
+    return suffix ? MANAGED_DATABASES[suffix] : null;
+}
+
+// Environment as a list of "KEY=value" or a map
+const envValues = (env) => {
+    if (Array.isArray(env)) return env.map(entry => String(entry).split('=').slice(1).join('='));
+    return env && typeof env === 'object' ? Object.values(env).map(String) : [];
+};
+
+function parseFirebase(content) {
+    const config = JSON.parse(content);
+    const line = lineFinder(content);
+    const found = collector();
+
+    const hosting = [config.hosting || []].flat();
+    hosting.forEach(site => (site.rewrites || []).forEach(rewrite => {
+        const target = rewrite.function
+            ? `function ${typeof rewrite.function === 'string' ? rewrite.function : rewrite.function.functionId}`
+            : rewrite.run ? `Cloud Run ${rewrite.run.serviceId}` : null;
+        if (target) found.add('firebase-rewrites', line(/"(function|run)"/), target);
+    }));
+
+    const emulators = config.emulators || {};
+    if (config.functions || emulators.functions) found.add('firebase-functions', line('"functions"'));
+    if (config.firestore || emulators.firestore) found.add('firebase-firestore', line('"firestore"'));
+    if (config.database || emulators.database) found.add('firebase-database', line('"database"'));
+    if (config.storage || emulators.storage) found.add('firebase-storage', line('"storage"'));
+    if (config.auth || emulators.auth) found.add('firebase-auth', line('"auth"'));
+    if (config.dataconnect || emulators.dataconnect) found.add('firebase-dataconnect', line('"dataconnect"'));
+
+    // Without rewrites, Hosting serves files only; without Hosting, the services above are the whole story
+    return { deploy: found.has('firebase-rewrites') ? null : STATIC_SITE, features: found.list(), support: [] };
+}
+
+function parseVercel(content) {
+    const config = JSON.parse(content);
+    const line = lineFinder(content);
+    const found = collector();
+
+    if (config.functions) found.add('vercel-functions', line('"functions"'), Object.keys(config.functions).join(', '));
+    (config.builds || [])
+        .filter(build => build.use && !build.use.startsWith('@vercel/static'))
+        .forEach(build => found.add('vercel-functions', line(build.use), build.use));
+    if (Array.isArray(config.crons) && config.crons.length > 0) {
+        found.add('vercel-crons', line('"crons"'), config.crons.map(c => c.path).filter(Boolean).join(', '));
+    }
+
+    const routes = [
+        ...(config.rewrites || []).map(r => r.destination),
+        ...(config.routes || []).map(r => r.dest)
+    ].filter(destination => typeof destination === 'string');
+    routes.forEach(destination => {
+        if (/^\/api(\/|$)/.test(destination)) found.add('vercel-functions', line(destination), destination);
+        const host = /^https?:\/\//i.test(destination) ? extractHost(destination)?.host : null;
+        if (host) found.add('vercel-proxy', line(destination), host);
+    });
+
+    const dynamic = found.has('vercel-functions') || found.has('vercel-crons');
+    return { deploy: dynamic ? null : STATIC_SITE, features: found.list(), support: [] };
+}
+
+function parseNetlify(content) {
+    const config = parseToml(content);
+    const line = lineFinder(content);
+    const found = collector();
+
+    if (config.functions || config.build?.functions) found.add('netlify-functions', line(/^\s*(\[functions|functions\s*=)/));
+    if (Array.isArray(config.edge_functions) && config.edge_functions.length > 0) {
+        found.add('netlify-edge-functions', line('[[edge_functions]]'), config.edge_functions.map(f => f.function).filter(Boolean).join(', '));
+    }
+    (config.redirects || []).forEach(redirect => {
+        if (typeof redirect.to !== 'string') return;
+        if (redirect.to.startsWith('/.netlify/functions/')) found.add('netlify-functions', line(redirect.to), redirect.to);
+        // Status 200 to another origin is a rewrite: Netlify proxies the request
+        const host = /^https?:\/\//i.test(redirect.to) && (redirect.status ?? 301) === 200 ? extractHost(redirect.to)?.host : null;
+        if (host) found.add('netlify-proxy', line(redirect.to), host);
+    });
+
+    const plugins = (config.plugins || []).map(p => p.package).filter(Boolean);
+    // Framework runtimes render pages in Netlify Functions
+    plugins.filter(name => /plugin-nextjs|next-runtime/.test(name)).forEach(name => found.add('netlify-functions', line(name), name));
+    if (plugins.length > 0) found.add('netlify-plugins', line('[[plugins]]'), plugins.join(', '));
+
+    const dynamic = found.has('netlify-functions') || found.has('netlify-edge-functions');
+    if (dynamic) return { deploy: null, features: found.list(), support: [] };
+    return { deploy: STATIC_SITE, staticUnless: NETLIFY_DYNAMIC_RULES, features: found.list(), support: [] };
+}
+
+function parseFly(content) {
+    const config = parseToml(content);
+    const line = lineFinder(content);
+    const found = collector();
+
+    const mounts = [config.mounts || []].flat();
+    if (mounts.length > 0) found.add('fly-volumes', line(/^\s*\[\[?mounts/), mounts.map(m => m.source).filter(Boolean).join(', '));
+    envValues(config.env).forEach(value => {
+        const service = managedDatabaseOf(value);
+        if (service) found.add('managed-database', line(value), service);
+    });
+
+    // A Fly app is a long-running server either way; the config rule already says so
+    return { deploy: null, features: found.list(), support: [] };
+}
+
+function parseCompose(content) {
+    const config = parseYaml(content) || {};
+    const line = lineFinder(content);
+    const found = collector();
+    const support = [];
+
+    Object.entries(config.services || {}).forEach(([name, service]) => {
+        const image = typeof service?.image === 'string' ? service.image : null;
+        if (image) {
+            // "docker.io/library/postgres:16-alpine" -> "postgres"
+            const base = image.split('@')[0].split('/').pop().split(':')[0].toLowerCase();
+            if (SELF_HOSTED_IMAGES.includes(base)) {
+                support.push({ signal: `Self-hosted ${base} (${name})`, category: 'SELF_HOSTED', line: line(image) });
+            } else if (CLOUD_SQL_PROXY_PATTERN.test(image)) {
+                found.add('managed-database', line(image), `Google Cloud SQL (${name})`);
+            }
+            const registry = CLOUD_REGISTRY_PATTERN.exec(image);
+            if (registry) found.add('cloud-registry', line(image), registry[1]);
+        }
+        envValues(service?.environment).forEach(value => {
+            const managed = managedDatabaseOf(value);
+            if (managed) found.add('managed-database', line(value), `${managed} (${name})`);
+        });
+    });
+
+    // Compose runs the same on any Docker host
+    return { deploy: { risk: 'Low', failureMode: 'Containers defined with Docker Compose run on any Docker host.' }, features: found.list(), support };
+}
+
+const CONFIG_PARSERS = [
+    { file: /(^|\/)firebase\.json$/, parse: parseFirebase },
+    { file: /(^|\/)vercel\.json$/, parse: parseVercel },
+    { file: /(^|\/)netlify\.toml$/, parse: parseNetlify },
+    { file: /(^|\/)fly\.toml$/, parse: parseFly },
+    { file: /(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/, parse: parseCompose }
+];
+
+/**
+ * Parse a hosting config. Returns null when no parser knows the file
+ * (the config rule then fires on presence alone); throws on invalid content.
+ */
+export function parseHostingConfig(path, content) {
+    const parser = CONFIG_PARSERS.find(p => p.file.test(path));
+    return parser ? parser.parse(content) : null;
+}
@@ -0,0 +1,286 @@
+/**
+ * Printable Report
+ * Renders a report as one self-contained HTML document: inline CSS, no
+ * scripts, fonts or images, so it opens offline and can be mailed, archived
+ * or printed to PDF. Light theme on screen, print CSS for paper.
+ */
+
+import { toReportJson } from './exporters.js';
+import { permalink, repositoryPath } from './permalinks.js';
+import { READINESS_LEVELS, PROFILE_STATUSES, MITIGATION_LABELS } from '../data/heuristics.js';
+
+const RISK_ORDER = ['High', 'Medium', 'Low', 'None'];
+
+const LEVEL_COLORS = { HIGH: '#0a7f4f', MEDIUM: '#a86400', LOW: '#b3261e', UNKNOWN: '#555', HUMAN_REVIEW: '#a86400' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 960px; padding: 2.5rem 2rem; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1d1d1f; background: #fff; }
+  h1 { font-size: 1.6rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 1.1rem; margin: 2rem 0 0.75rem; padding-bottom: 0.3rem; border-bottom: 2px solid #1d1d1f; text-transform: uppercase; letter-spacing: 0.04em; }
+  h3 { font-size: 1rem; margin: 1.5rem 0 0.5rem; }
+  .meta { color: #555; font-size: 0.85rem; }
+  .meta code { font-size: 0.8rem; }
+  .summary { display: grid; grid-template-columns: 2fr 1fr; gap: 1rem; margin-top: 1.5rem; }
+  .panel { border: 1px solid #d0d0d5; border-radius: 6px; padding: 1rem 1.25rem; }
+  .verdict { border-left: 6px solid var(--level); }
+  .verdict .label { font-size: 1.5rem; font-weight: 800; color: var(--level); }
+  .verdict .arch { font-weight: 600; margin: 0.25rem 0 0.5rem; }
+  .verdict .score { font-size: 1rem; font-weight: 700; }
+  td.points { width: 4.5rem; white-space: nowrap; font-family: ui-monospace, Menlo, Consolas, monospace; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+  th, td { text-align: left; vertical-align: top; padding: 0.45rem 0.5rem; border-bottom: 1px solid #e3e3e8; }
+  th { font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.04em; color: #555; }
+  td.risk { width: 5.5rem; white-space: nowrap; }
+  .badge { display: inline-block; padding: 0.05rem 0.45rem; border-radius: 3px; font-size: 0.75rem; font-weight: 700; border: 1px solid currentColor; }
+  .status-DEPENDENT { color: #b3261e; } .status-PARTIAL { color: #a86400; } .status-INDEPENDENT { color: #0a7f4f; } .status-NO_SIGNALS { color: #555; }
+  .support { color: #0a7f4f; }
+  .risk-High { color: #b3261e; } .risk-Medium { color: #a86400; } .risk-Low { color: #0a7f4f; } .risk-None { color: #555; }
+  .uncounted { opacity: 0.6; }
+  .accepted { color: #1f5fa8; }
+  .location { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.8rem; word-break: break-all; }
+  pre.snippet { margin: 0.35rem 0 0; padding: 0.35rem 0.5rem; background: #f5f5f7; border-left: 3px solid #c7c7cc; font: 0.78rem/1.4 ui-monospace, Menlo, Consolas, monospace; white-space: pre-wrap; word-break: break-all; }
+  pre.snippet .ln { display: inline-block; min-width: 2.5rem; color: #999; user-select: none; }
+  pre.snippet .hit { background: #fff1c2; display: block; }
+  a { color: #1f5fa8; }
+  ul { padding-left: 1.25rem; }
+  footer { margin-top: 2.5rem; font-size: 0.75rem; color: #777; }
+  @media print {
+    body { padding: 0; max-width: none; font-size: 10.5pt; }
+    @page { margin: 16mm 14mm; }
+    h2 { break-after: avoid; }
+    tr, .panel, pre.snippet { break-inside: avoid; }
+    thead { display: table-header-group; }
+    .badge, .verdict { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+const renderTarget = ({ target }) => {
+    const parts = [];
+    if (target.baseUrl) parts.push(escapeHtml(target.baseUrl));
+    if (target.ref) parts.push(`ref <code>${escapeHtml(target.ref)}</code>`);
+    if (target.commitSha) parts.push(`commit <code>${escapeHtml(target.commitSha)}</code>`);
+    if (target.path) parts.push(`path <code>${escapeHtml(target.path)}</code>`);
+    return parts.join(' · ');
+};
+
+// Source lines around the match, the matched line marked; the bare snippet for older reports
+const renderSource = (item) => {
+    if (item.context) {
+        const lines = item.context.lines.map((text, i) => {
+            const line = item.context.start + i;
+            const body = `<span class="ln">${line}</span>${escapeHtml(text)}`;
+            return line === item.line ? `<span class="hit">${body}</span>` : `${body}\n`;
+        });
+        return `<pre class="snippet">${lines.join('')}</pre>`;
+    }
+    return item.snippet ? `<pre class="snippet">${escapeHtml(item.snippet)}</pre>` : '';
+};
+
+const renderEvidenceRow = (item, report) => {
+    const location = item.file ? `${repositoryPath(report.revision, item.file)}${Number.isInteger(item.line) ? `:${item.line}` : ''}` : item.workspace || item.source;
+    const link = permalink(report, item);
+    const scope = item.scope && item.scope !== 'runtime'
+        ? ` <span class="muted">(${escapeHtml(item.scope)}${item.counted === false ? ', not scored' : ''})</span>`
+        : '';
+    const accepted = item.suppressed ? ' <span class="badge accepted">Accepted</span>' : '';
+    const details = [
+        item.failureMode && escapeHtml(item.failureMode),
+        item.suppressed && `<span class="accepted">Accepted: ${escapeHtml(item.suppressed.reason)}${item.suppressed.expires ? ` (until ${escapeHtml(item.suppressed.expires)})` : ''}</span>`,
+        item.endpoint?.target && `→ ${escapeHtml(item.endpoint.target)} <span class="muted">[${escapeHtml(item.endpoint.class)}]</span>`,
+        item.chain && `via ${item.chain.map(escapeHtml).join(' → ')}`
+    ].filter(Boolean).join('<br>');
+
+    return `<tr${item.counted === false ? ' class="uncounted"' : ''}>
+      <td class="risk"><span class="badge risk-${escapeHtml(item.risk)}">${escapeHtml(item.risk)}</span>${scope}${accepted}${item.scoring?.points > 0 ? `<div class="muted">−${item.scoring.points} pts</div>` : ''}</td>
+      <td><strong>${escapeHtml(item.signal)}</strong><div class="location">${link ? `<a href="${escapeHtml(link)}">${escapeHtml(location)}</a>` : escapeHtml(location || '')}</div>${item.ruleId ? `<div class="muted">rule ${escapeHtml(item.ruleId)}</div>` : ''}${renderSource(item)}</td>
+      <td>${details}</td>
+    </tr>`;
+};
+
+const renderSuppressionRow = (entry) => {
+    const match = [
+        entry.rule && `rule <code>${escapeHtml(entry.rule)}</code>`,
+        entry.file && `file <code>${escapeHtml(entry.file)}</code>`,
+        entry.fingerprint && `fingerprint <code>${escapeHtml(entry.fingerprint)}</code>`
+    ].filter(Boolean).join(', ');
+    return `<tr${entry.expired ? ' class="uncounted"' : ''}>
+      <td>${match}<div class="muted">${escapeHtml(entry.origin)}</div></td>
+      <td>${escapeHtml(entry.reason)}</td>
+      <td>${entry.expires ? `${escapeHtml(entry.expires)}${entry.expired ? ' (expired)' : ''}` : '—'}</td>
+      <td>${entry.matched} finding(s)</td>
+    </tr>`;
+};
+
+const renderEvidence = (evidence, report) => {
+    if (evidence.length === 0) return '<p class="muted">No centralization vectors detected.</p>';
+
+    const groups = new Map();
+    evidence.forEach(item => {
+        const category = item.category || 'Uncategorized';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(item);
+    });
+
+    // Categories with the most severe findings first
+    const severity = (items) => Math.min(...items.map(i => RISK_ORDER.indexOf(i.risk) === -1 ? RISK_ORDER.length : RISK_ORDER.indexOf(i.risk)));
+    return [...groups.entries()]
+        .sort(([a, itemsA], [b, itemsB]) => severity(itemsA) - severity(itemsB) || a.localeCompare(b))
+        .map(([category, items]) => `
+    <h3>${escapeHtml(category)} <span class="muted">(${items.length})</span></h3>
+    <table>
+      <thead><tr><th>Risk</th><th>Signal / Location</th><th>Details</th></tr></thead>
+      <tbody>${items.map(item => renderEvidenceRow(item, report)).join('')}</tbody>
+    </table>`).join('');
+};
+
+const renderProfile = (profile) => {
+    if (!profile) return '<p class="muted">Not recorded.</p>';
+    const rows = Object.values(profile).map(dimension => {
+        const evidence = dimension.evidence
+            .map(item => `<div${item.risk === 'None' ? ' class="support"' : ''}>${item.risk === 'None' ? '+' : '−'} ${escapeHtml(item.signal)}</div>`)
+            .join('');
+        return `<tr>
+      <td><strong>${escapeHtml(dimension.label)}</strong></td>
+      <td class="risk"><span class="badge status-${escapeHtml(dimension.status)}">${escapeHtml(PROFILE_STATUSES[dimension.status]?.label || dimension.status)}</span></td>
+      <td>${evidence || '<span class="muted">—</span>'}</td>
+      <td>${dimension.failureScenario ? escapeHtml(dimension.failureScenario) : ''}</td>
+    </tr>`;
+    }).join('');
+    return `<table>
+      <thead><tr><th>Dimension</th><th>Status</th><th>Evidence</th><th>Failure scenario</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+};
+
+const renderReadiness = (readiness, evidence) => {
+    if (!readiness) return '<p class="muted">Not recorded.</p>';
+    const rows = Object.entries(readiness.dimensions).map(([key, dimension]) => {
+        const contributors = evidence
+            .filter(e => e.scoring?.dimensions[key])
+            .sort((a, b) => b.scoring.dimensions[key] - a.scoring.dimensions[key])
+            .map(e => `<div>−${e.scoring.dimensions[key]} ${escapeHtml(e.signal)} <span class="location">${escapeHtml(e.file || e.source || '')}</span>${e.scoring.notes.length > 0 ? ` <span class="muted">(${e.scoring.notes.map(escapeHtml).join('; ')})</span>` : ''}</div>`)
+            .join('');
+        return `<tr>
+      <td><strong>${escapeHtml(dimension.label)}</strong></td>
+      <td class="points">${dimension.score} / ${dimension.weight}</td>
+      <td>${contributors || '<span class="muted">No deductions</span>'}</td>
+    </tr>`;
+    }).join('');
+    const notes = [
+        ...readiness.caps.filter(c => c.applied).map(c => `${escapeHtml(c.category)} (${escapeHtml(c.signal)}) limits the score to ${c.max}.`),
+        ...readiness.mitigations.map(m => escapeHtml(MITIGATION_LABELS[m] || m))
+    ];
+    return `<table>
+      <thead><tr><th>Dimension</th><th>Points</th><th>Deductions</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${notes.length > 0 ? `<ul>${notes.map(n => `<li>${n}</li>`).join('')}</ul>` : ''}`;
+};
+
+const renderWorkspaces = (workspaces) => {
+    const rows = workspaces.items.map(item => `<tr>
+      <td><span class="location">${escapeHtml(item.path || '(root)')}</span>${item.name !== item.path ? `<div class="muted">${escapeHtml(item.name)}</div>` : ''}</td>
+      <td class="risk"><span class="badge" style="color: ${LEVEL_COLORS[item.level] || LEVEL_COLORS.UNKNOWN}">${escapeHtml(READINESS_LEVELS[item.level]?.label || item.level)}</span></td>
+      <td class="points">${READINESS_LEVELS[item.level]?.unscored ? '—' : `${item.score} / 100`}</td>
+      <td>${escapeHtml(item.offline.status)}<div class="muted">${escapeHtml(item.offline.reason)}</div></td>
+      <td class="points">${item.counted} / ${item.findings}</td>
+    </tr>`).join('');
+    const { levels, weakest } = workspaces.rollup;
+    const summary = Object.entries(levels).map(([level, n]) => `${n} ${escapeHtml(READINESS_LEVELS[level]?.label || level)}`).join(', ');
+    return `<p>${workspaces.items.length} workspace(s) from ${workspaces.sources.map(s => `<code>${escapeHtml(s)}</code>`).join(', ')}: ${summary}.${weakest ? ` Weakest: <code>${escapeHtml(weakest.path || '(root)')}</code> at ${weakest.score} / 100.` : ''}</p>
+    <table>
+      <thead><tr><th>Workspace</th><th>Verdict</th><th>Score</th><th>Offline</th><th>Scored findings</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+};
+
+const renderCoverage = (coverage) => {
+    if (!coverage) return '<p class="muted">Not recorded.</p>';
+    const reasons = Object.entries(coverage.skippedByReason).map(([reason, n]) => `${n} ${escapeHtml(reason)}`).join(', ');
+    const skipped = coverage.skipped.length > 0
+        ? `<ul>${coverage.skipped.map(s => `<li class="location">${escapeHtml(s.path)} <span class="muted">[${escapeHtml(s.reason)}]</span></li>`).join('')}${coverage.filesSkipped > coverage.skipped.length ? `<li class="muted">… ${coverage.filesSkipped - coverage.skipped.length} more</li>` : ''}</ul>`
+        : '';
+    return `<p>${coverage.filesScanned} file(s) scanned, ${formatBytes(coverage.bytesScanned)} read, ${coverage.filesSkipped} skipped${reasons ? ` (${reasons})` : ''}.${coverage.treeTruncated ? ' The provider truncated the file tree.' : ''}</p>
+    <p class="muted">Budget: ${coverage.budget.maxFiles} files · ${formatBytes(coverage.budget.maxBytes)} · ${coverage.budget.maxConcurrency} concurrent reads</p>
+    ${skipped}`;
+};
+
+/**
+ * Render a report as a standalone HTML document (string).
+ */
+export function toHtmlReport(report) {
+    const doc = toReportJson(report);
+    const { verdict, offline, engine } = doc;
+    const title = `DecentraLens Audit: ${doc.target.name || 'Unknown target'}`;
+    const scored = doc.evidence.filter(e => e.counted !== false);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="${escapeHtml(engine.name)} ${escapeHtml(engine.version)}">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${renderTarget(doc)}</div>
+  <div class="meta">Scanned ${escapeHtml(new Date(doc.timestamp).toUTCString())} · ${escapeHtml(engine.name)} ${escapeHtml(engine.version)} · rule packs: ${doc.rulePacks.map(p => `${escapeHtml(p.name)}@${escapeHtml(p.version)}`).join(', ') || 'none'}</div>
+</header>
+
+<section class="summary">
+  <div class="panel verdict" style="--level: ${LEVEL_COLORS[verdict.level] || LEVEL_COLORS.UNKNOWN}">
+    <div class="muted">Verdict</div>
+    <div class="label">${escapeHtml(verdict.label)}</div>
+    ${verdict.score !== null ? `<div class="score">${verdict.score} / 100</div>` : ''}
+    <div class="arch">${escapeHtml(verdict.architecture)}</div>
+    <div>${escapeHtml(verdict.description)}</div>
+  </div>
+  <div class="panel">
+    <div class="muted">Offline capability</div>
+    <div class="arch">${escapeHtml(offline.status)}</div>
+    <div>${escapeHtml(offline.reason)}</div>
+    <p class="muted">${scored.length} scored finding(s), ${doc.evidence.length - scored.length} reported only.</p>
+  </div>
+</section>
+
+${doc.workspaces ? `<h2>Workspaces</h2>
+${renderWorkspaces(doc.workspaces)}
+` : ''}
+<h2>Decentralization Profile</h2>
+${renderProfile(doc.profile)}
+
+<h2>Score Breakdown</h2>
+${renderReadiness(doc.readiness, doc.evidence)}
+
+<h2>Evidence</h2>
+${renderEvidence(doc.evidence, report)}
+
+<h2>Limitations</h2>
+${doc.limitations.length > 0 ? `<ul>${doc.limitations.map(lim => `<li>${escapeHtml(lim)}</li>`).join('')}</ul>` : '<p class="muted">None recorded.</p>'}
+
+${doc.suppressions.length > 0 ? `<h2>Suppressions</h2>
+<table>
+  <thead><tr><th>Match</th><th>Reason</th><th>Expires</th><th>Accepted</th></tr></thead>
+  <tbody>${doc.suppressions.map(renderSuppressionRow).join('')}</tbody>
+</table>` : ''}
+
+<h2>Scan Coverage</h2>
+${renderCoverage(doc.coverage)}
+
+<footer>
+  Deterministic static analysis: every finding points to a file or manifest entry. A verdict is evidence for review, not a guarantee.
+  Report schema ${escapeHtml(doc.schema)} ${escapeHtml(doc.schemaVersion)}.
+</footer>
+</body>
+</html>
+`;
+}
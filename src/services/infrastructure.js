@@ -0,0 +1,393 @@
+/**
+ * Infrastructure as Code
+ * Reads the deployment topology a project declares and names the cloud
+ * provider and managed services behind it:
+ *
+ *   *.tf                  Terraform providers, resources, data sources and registry modules
+ *   Kubernetes manifests  workload kinds, cloud-specific annotations and storage classes,
+ *                         cloud CRDs (AWS Controllers, Config Connector, Azure Service Operator),
+ *                         images (self-hosted databases, cloud registries), managed database URLs
+ *   Chart.yaml            Helm charts and the databases they bundle as dependencies
+ *   serverless.yml        provider, functions and their event sources, CloudFormation resources
+ *   template.yaml         AWS SAM and CloudFormation resources
+ *   cdk.json, CDK stacks  AWS CDK apps and the aws-cdk-lib modules they import
+ *   wrangler.toml         Cloudflare Workers or Pages and their bindings (KV, D1, R2, ...)
+ *
+ * Resource identifiers are looked up in CLOUD_SERVICES (see heuristics.js).
+ * parseInfrastructure returns null for files that declare no infrastructure,
+ * otherwise { format, services, support }:
+ * - services: { id, provider, service, signal, risk, category, failureMode, line }, one per service
+ * - support:  services the project runs itself, { signal, category: 'SELF_HOSTED', line }
+ */
+
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+import { lineFinder, managedDatabaseOf } from './hostingConfigs.js';
+import { CLOUD_SERVICES, CLOUD_PROVIDERS, CLOUD_REGISTRY_PATTERN, SELF_HOSTED_IMAGES } from '../data/heuristics.js';
+
+const FORMAT_LABELS = {
+    terraform: 'Terraform',
+    kubernetes: 'Kubernetes',
+    helm: 'Helm',
+    serverless: 'Serverless Framework',
+    cloudformation: 'CloudFormation',
+    cdk: 'AWS CDK',
+    wrangler: 'Wrangler'
+};
+
+// File path -> format; other YAML inside a Helm chart is read as Kubernetes
+const FORMATS = [
+    { format: 'terraform', file: /\.tf$/ },
+    { format: 'serverless', file: /(^|\/)serverless\.ya?ml$/ },
+    { format: 'cloudformation', file: /(^|\/)(template|[^/]+\.(cfn|template))\.(ya?ml|json)$|(^|\/)(cloudformation|cfn)\/[^/]+\.(ya?ml|json)$/ },
+    { format: 'cdk', file: /(^|\/)cdk\.json$/ },
+    { format: 'wrangler', file: /(^|\/)wrangler\.toml$/ },
+    { format: 'helm', file: /(^|\/)Chart\.yaml$/ },
+    { format: 'kubernetes', file: /(^|\/)(k8s|kube|kubernetes|manifests|deploy|deployments?|kustomize|overlays)\/(.+\/)?[^/]+\.ya?ml$|(^|\/)kustomization\.ya?ml$/ }
+];
+
+const CDK_IMPORT_PATTERN = /from\s+['"](?:aws-cdk-lib\/aws-|@aws-cdk\/aws-)([a-z0-9-]+)['"]/g;
+
+const serviceOf = (identifier) => CLOUD_SERVICES.find(entry => entry.match.test(identifier));
+
+// Services without a resource identifier of their own
+const SERVICES = {
+    cloudformation: { provider: 'AWS', service: 'AWS CloudFormation', category: 'Infrastructure Config', risk: 'Medium', failureMode: 'Stacks deploy through CloudFormation, which only provisions AWS.' },
+    kubernetes: { provider: 'Kubernetes', service: 'Kubernetes workloads', category: 'Infrastructure Config', risk: 'Low', failureMode: 'Workloads run on any conformant Kubernetes cluster, managed or self-run.' },
+    helm: { provider: 'Kubernetes', service: 'Helm chart', category: 'Infrastructure Config', risk: 'Low', failureMode: 'The chart installs on any Kubernetes cluster.' },
+    loadBalancer: { provider: 'AWS', service: 'Elastic Load Balancing', category: 'Hosting Dependency', risk: 'Low' },
+    ebs: { provider: 'AWS', service: 'Amazon EBS volumes', category: 'Data Dependency', risk: 'Medium' },
+    persistentDisk: { provider: 'Google Cloud', service: 'Persistent Disk volumes', category: 'Data Dependency', risk: 'Medium' },
+    azureDisk: { provider: 'Azure', service: 'Azure Disk volumes', category: 'Data Dependency', risk: 'Medium' }
+};
+
+const REGISTRIES = [
+    { match: /amazonaws\.com$/, provider: 'AWS', service: 'Amazon ECR' },
+    { match: /gcr\.io$|docker\.pkg\.dev$/, provider: 'Google Cloud', service: 'Google Artifact Registry' },
+    { match: /azurecr\.io$/, provider: 'Azure', service: 'Azure Container Registry' },
+    { match: /heroku\.com$/, provider: 'Heroku', service: 'Heroku Container Registry' }
+];
+
+// Cloud-specific text in manifests and chart templates (which aren't valid YAML before rendering)
+const KUBERNETES_MARKERS = [
+    { match: /eks\.amazonaws\.com\//, entry: serviceOf('aws_eks') },
+    { match: /alb\.ingress\.kubernetes\.io|service\.beta\.kubernetes\.io\/aws-load-balancer|ingressClassName:\s*["']?alb\b/, entry: SERVICES.loadBalancer },
+    { match: /iam\.gke\.io|cloud\.google\.com\/(neg|backend-config|gke)|networking\.gke\.io/, entry: serviceOf('google_container') },
+    { match: /azure\.workload\.identity|service\.beta\.kubernetes\.io\/azure-|kubernetes\.azure\.com/, entry: serviceOf('azurerm_kubernetes_cluster') },
+    { match: /storageClassName:\s*["']?(gp2|gp3|io1|io2|ebs-sc|efs-sc)\b/, entry: SERVICES.ebs },
+    { match: /storageClassName:\s*["']?(standard-rwo|premium-rwo|standard-rwx)\b/, entry: SERVICES.persistentDisk },
+    { match: /storageClassName:\s*["']?(managed|managed-csi|managed-premium|azurefile|azurefile-csi)\b/, entry: SERVICES.azureDisk }
+];
+
+// Azure Service Operator API groups -> resource identifiers
+const AZURE_GROUPS = {
+    documentdb: 'azurerm_cosmosdb',
+    dbforpostgresql: 'azurerm_postgresql',
+    dbformysql: 'azurerm_mysql',
+    sql: 'azurerm_mssql',
+    storage: 'azurerm_storage',
+    containerservice: 'azurerm_kubernetes_cluster',
+    web: 'azurerm_web_app'
+};
+
+// Chart dependency names that differ from their image's
+const CHART_IMAGES = { postgresql: 'postgres', mongodb: 'mongo', clickhouse: 'clickhouse-server' };
+
+// serverless.yml provider -> what its functions run on
+const SERVERLESS_PROVIDERS = {
+    aws: 'aws_lambda',
+    azure: 'azurerm_function_app',
+    google: 'google_cloudfunctions',
+    cloudflare: 'cloudflare_workers_script'
+};
+
+// serverless.yml AWS event sources -> CloudFormation types
+const SERVERLESS_EVENTS = {
+    http: 'AWS::ApiGateway::RestApi',
+    httpApi: 'AWS::ApiGatewayV2::Api',
+    websocket: 'AWS::ApiGatewayV2::Api',
+    s3: 'AWS::S3::Bucket',
+    sqs: 'AWS::SQS::Queue',
+    sns: 'AWS::SNS::Topic',
+    stream: 'AWS::DynamoDB::Table',
+    schedule: 'AWS::Events::Rule',
+    eventBridge: 'AWS::Events::Rule',
+    cognitoUserPool: 'AWS::Cognito::UserPool'
+};
+
+// wrangler.toml binding -> resource identifier and the field naming each binding
+const WRANGLER_BINDINGS = [
+    { key: 'kv_namespaces', identifier: 'cloudflare_workers_kv', name: 'binding' },
+    { key: 'd1_databases', identifier: 'cloudflare_d1', name: 'database_name' },
+    { key: 'r2_buckets', identifier: 'cloudflare_r2', name: 'bucket_name' },
+    { key: 'hyperdrive', identifier: 'cloudflare_hyperdrive', name: 'binding' },
+    { key: 'ai', identifier: 'cloudflare_workers_ai', name: 'binding' }
+];
+
+const FAILURE_MODES = {
+    'Data Dependency': (service) => `Data lives in ${service}; leaving means exporting and migrating it.`,
+    'Identity Dependency': (service) => `Users sign in through ${service}.`,
+    'Serverless Compute': (service) => `Code runs on ${service} and is wired to its triggers and runtime.`,
+    'Hosting Dependency': (service) => `The deployment targets ${service}.`,
+    'External Service': (service) => `The app relies on ${service} at runtime.`,
+    'Infrastructure Config': (service) => `Provisioned through ${service}.`
+};
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Collects services once each (the first occurrence locates it); names of the resources behind them are listed
+const collector = (format) => {
+    const services = new Map();
+    const add = (entry, line, detail) => {
+        const found = services.get(entry.service);
+        if (found) {
+            if (detail && !found.details.includes(detail)) found.details.push(detail);
+            return;
+        }
+        services.set(entry.service, { ...entry, line, details: detail ? [detail] : [] });
+    };
+    const addResource = (identifier, line, detail) => {
+        const entry = serviceOf(identifier);
+        if (entry) add(entry, line, detail);
+    };
+    const list = () => [...services.values()].map(({ details, ...entry }) => {
+        const named = details.length > 3 ? `${details.slice(0, 3).join(', ')} +${details.length - 3}` : details.join(', ');
+        return {
+            id: slug(entry.service),
+            provider: entry.provider,
+            service: entry.service,
+            signal: `${entry.service} (${FORMAT_LABELS[format]})${named ? `: ${named}` : ''}`,
+            risk: entry.risk,
+            category: entry.category,
+            failureMode: entry.failureMode || FAILURE_MODES[entry.category](entry.service),
+            line: entry.line
+        };
+    });
+    return { add, addResource, list };
+};
+
+// Images a manifest or values file runs: self-hosted databases, images from cloud registries
+const scanImages = (content, line, found, support) => {
+    [...content.matchAll(/^\s*-?\s*image:\s*["']?([^\s"'#{}]+)/gm)].forEach(([, image]) => {
+        // "docker.io/bitnami/postgresql:16" -> "postgresql"
+        const base = image.split('@')[0].split('/').pop().split(':')[0].toLowerCase();
+        const name = CHART_IMAGES[base] || base;
+        if (SELF_HOSTED_IMAGES.includes(name)) support.push({ signal: `Self-hosted ${name} (${image})`, category: 'SELF_HOSTED', line: line(image) });
+        const registry = CLOUD_REGISTRY_PATTERN.exec(image)?.[1];
+        const entry = registry && REGISTRIES.find(r => r.match.test(registry));
+        if (entry) found.add({ ...entry, category: 'Hosting Dependency', risk: 'Medium', failureMode: 'Images are pulled from a cloud provider\'s private registry.' }, line(image), registry);
+    });
+};
+
+// Connection URLs anywhere in the file that point at hosted databases
+const scanDatabaseUrls = (content, line, found) => {
+    [...content.matchAll(/[a-z][a-z0-9+.-]*:\/\/[^\s"'<>]+/gi)].forEach(([url]) => {
+        const managed = managedDatabaseOf(url);
+        if (!managed) return;
+        const entry = CLOUD_SERVICES.find(e => e.service === managed) || { provider: managed, service: managed, category: 'Data Dependency', risk: 'High' };
+        found.add(entry, line(url));
+    });
+};
+
+function parseTerraform(content) {
+    const found = collector('terraform');
+    let depth = 0;
+    let block = null; // the top-level block being read: { type, labels }
+    const addProvider = (name, at) => {
+        const provider = CLOUD_PROVIDERS[name];
+        found.add({ provider, service: `${provider} provider`, category: 'Infrastructure Config', risk: 'Low', failureMode: `Infrastructure is provisioned through the ${provider} API.` }, at);
+    };
+
+    content.split('\n').forEach((text, index) => {
+        const code = text.replace(/(#|\/\/).*$/, '');
+        if (depth === 0) {
+            const header = /^\s*(resource|data|module|provider|terraform)\b((?:\s+"[^"]*")*)/.exec(code);
+            block = header ? { type: header[1], labels: [...header[2].matchAll(/"([^"]*)"/g)].map(m => m[1]) } : null;
+            if (block?.type === 'provider' && CLOUD_PROVIDERS[block.labels[0]]) addProvider(block.labels[0], index + 1);
+            if (block?.type === 'resource' || block?.type === 'data') found.addResource(block.labels[0], index + 1, block.labels[1]);
+        }
+        const source = /^\s*source\s*=\s*"([^"]+)"/.exec(code)?.[1];
+        if (source && block?.type === 'terraform') {
+            // required_providers: "hashicorp/aws" or "registry.terraform.io/hashicorp/aws"
+            const name = source.split('/').pop();
+            if (CLOUD_PROVIDERS[name]) addProvider(name, index + 1);
+        }
+        if (source && block?.type === 'module' && depth === 1) {
+            // Registry modules are "<namespace>/<name>/<provider>": terraform-aws-modules/rds/aws
+            const parts = /^(?:[\w.-]+\/)?[\w-]+\/([\w-]+)\/([\w-]+)$/.exec(source);
+            const prefix = parts && { aws: 'aws', google: 'google', azurerm: 'azurerm', cloudflare: 'cloudflare' }[parts[2]];
+            if (prefix) found.addResource(`${prefix}_${parts[1].replace(/-/g, '_')}`, index + 1, `module.${block.labels[0]}`);
+        }
+        depth = Math.max(0, depth + (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length);
+    });
+
+    // Resources missing from CLOUD_SERVICES still name their cloud through the provider
+    return { format: 'terraform', services: found.list(), support: [] };
+}
+
+function parseKubernetes(content) {
+    const line = lineFinder(content);
+    const found = collector('kubernetes');
+    const support = [];
+
+    const kinds = [...new Set([...content.matchAll(/^kind:\s*["']?(\w+)/gm)].map(m => m[1]))];
+    if (kinds.length > 0 && /^apiVersion:/m.test(content)) {
+        found.add(SERVICES.kubernetes, line(/^kind:/), kinds.join(', '));
+    }
+
+    // Cloud resources managed from inside the cluster
+    [...content.matchAll(/^apiVersion:\s*["']?([\w.-]+)\//gm)].forEach(([, group]) => {
+        const at = line(group);
+        const kind = /^kind:\s*(\w+)/m.exec(content.slice(content.indexOf(group)))?.[1];
+        const aws = /^([\w-]+)\.services\.k8s\.aws$/.exec(group)?.[1];
+        const google = /^([\w-]+)\.cnrm\.cloud\.google\.com$/.exec(group)?.[1];
+        const azure = /^([\w-]+)\.azure\.com$/.exec(group)?.[1];
+        if (aws) found.addResource(`aws_${aws}`, at, kind);
+        if (google) found.addResource(`google_${google}`, at, kind);
+        if (azure && AZURE_GROUPS[azure]) found.addResource(AZURE_GROUPS[azure], at, kind);
+    });
+
+    KUBERNETES_MARKERS.forEach(({ match, entry }) => {
+        if (match.test(content)) found.add(entry, line(match));
+    });
+    scanImages(content, line, found, support);
+    scanDatabaseUrls(content, line, found);
+
+    return { format: 'kubernetes', services: found.list(), support };
+}
+
+function parseHelm(content) {
+    const chart = parseYaml(content) || {};
+    const line = lineFinder(content);
+    const found = collector('helm');
+    const support = [];
+
+    found.add(SERVICES.helm, line(/^name:/), chart.name);
+    (chart.dependencies || []).forEach(dependency => {
+        const name = CHART_IMAGES[dependency?.name] || dependency?.name;
+        if (SELF_HOSTED_IMAGES.includes(name)) {
+            support.push({ signal: `Self-hosted ${name} (chart dependency ${dependency.name})`, category: 'SELF_HOSTED', line: line(`name: ${dependency.name}`) });
+        }
+    });
+
+    return { format: 'helm', services: found.list(), support };
+}
+
+function parseServerless(content) {
+    const config = parseYaml(content, { logLevel: 'error' }) || {};
+    const line = lineFinder(content);
+    const found = collector('serverless');
+    const provider = typeof config.provider === 'string' ? config.provider : config.provider?.name;
+
+    const functions = Object.entries(config.functions || {});
+    if (SERVERLESS_PROVIDERS[provider] && functions.length > 0) {
+        functions.forEach(([name]) => found.addResource(SERVERLESS_PROVIDERS[provider], line(/^functions:/), name));
+    }
+    if (provider === 'aws') {
+        functions.forEach(([, fn]) => (fn?.events || []).forEach(event => {
+            const type = event && typeof event === 'object' ? Object.keys(event)[0] : null;
+            if (SERVERLESS_EVENTS[type]) found.addResource(SERVERLESS_EVENTS[type], line(new RegExp(`^\\s*-\\s*${type}\\b`)));
+        }));
+    }
+    addCloudFormation(found, config.resources?.Resources, line);
+
+    return { format: 'serverless', services: found.list(), support: [] };
+}
+
+// CloudFormation "Resources": { name: { Type } } -> services
+function addCloudFormation(found, resources, line) {
+    Object.entries(resources || {}).forEach(([name, resource]) => {
+        if (typeof resource?.Type === 'string') found.addResource(resource.Type, line(`${name}:`) || line(`"${name}"`), name);
+    });
+}
+
+function parseCloudFormation(content) {
+    const template = parseYaml(content, { logLevel: 'error' }) || {};
+    const line = lineFinder(content);
+    const sam = [template.Transform].flat().some(t => typeof t === 'string' && t.startsWith('AWS::Serverless'));
+    const found = collector('cloudformation');
+
+    const resources = template.Resources && typeof template.Resources === 'object' ? template.Resources : {};
+    const aws = Object.values(resources).some(r => typeof r?.Type === 'string' && r.Type.startsWith('AWS::'));
+    // A file named template.yaml is only a stack if it looks like one
+    if (!aws && !template.AWSTemplateFormatVersion && !sam) return null;
+
+    found.add({ ...SERVICES.cloudformation, ...(sam && { service: 'AWS SAM' }) }, line(/^(AWSTemplateFormatVersion|Transform|Resources):/));
+    addCloudFormation(found, resources, line);
+    return { format: 'cloudformation', services: found.list(), support: [] };
+}
+
+function parseCdkApp(content) {
+    const config = JSON.parse(content);
+    const found = collector('cdk');
+    found.add(SERVICES.cloudformation, lineFinder(content)('"app"'), typeof config.app === 'string' ? config.app : undefined);
+    return { format: 'cdk', services: found.list(), support: [] };
+}
+
+// Stack sources: "aws-cdk-lib/aws-dynamodb" -> aws_dynamodb
+function parseCdkSource(content) {
+    if (!content.includes('aws-cdk')) return null;
+    const line = lineFinder(content);
+    const found = collector('cdk');
+    [...content.matchAll(CDK_IMPORT_PATTERN)].forEach(([statement, module]) => {
+        found.addResource(`aws_${module.replace(/-/g, '_')}`, line(statement.split(/\s+/).pop()));
+    });
+    const services = found.list();
+    return services.length > 0 ? { format: 'cdk', services, support: [] } : null;
+}
+
+function parseWrangler(content) {
+    const config = parseToml(content);
+    const line = lineFinder(content);
+    const found = collector('wrangler');
+
+    if (config.pages_build_output_dir) found.addResource('cloudflare_pages', line('pages_build_output_dir'), config.name);
+    else found.addResource('cloudflare_workers_script', line(/^\s*(main|name)\s*=/), config.name);
+
+    // Bindings can also be set per environment ([env.production])
+    [config, ...Object.values(config.env || {})].forEach(scope => {
+        WRANGLER_BINDINGS.forEach(({ key, identifier, name }) => {
+            [scope[key] || []].flat().forEach(binding => found.addResource(identifier, line(key), binding?.[name] || binding?.binding));
+        });
+        (scope.durable_objects?.bindings || []).forEach(binding => found.addResource('cloudflare_durable_object', line('durable_objects'), binding.class_name || binding.name));
+        [...(scope.queues?.producers || []), ...(scope.queues?.consumers || [])].forEach(queue => found.addResource('cloudflare_queue', line('queues'), queue.queue));
+    });
+
+    return { format: 'wrangler', services: found.list(), support: [] };
+}
+
+const PARSERS = {
+    terraform: parseTerraform,
+    kubernetes: parseKubernetes,
+    helm: parseHelm,
+    serverless: parseServerless,
+    cloudformation: parseCloudFormation,
+    cdk: parseCdkApp,
+    wrangler: parseWrangler
+};
+
+const formatOf = (path) => FORMATS.find(f => f.file.test(path))?.format;
+
+/**
+ * The infrastructure files of a project, in tree order: every file a format
+ * recognizes, plus the values and templates of each Helm chart.
+ */
+export function infrastructureFiles(paths) {
+    const charts = paths.filter(path => formatOf(path) === 'helm').map(path => path.slice(0, path.lastIndexOf('/') + 1));
+    return paths.filter(path => {
+        if (path.split('/').includes('.terraform')) return false; // Downloaded modules and providers
+        return Boolean(formatOf(path)) || (/\.ya?ml$/.test(path) && charts.some(chart => path.startsWith(chart)));
+    });
+}
+
+/**
+ * Parse an infrastructure file, or a JS/TS source for AWS CDK constructs.
+ * Returns null when the file declares no infrastructure; throws on invalid content.
+ */
+export function parseInfrastructure(path, content) {
+    if (/\.[cm]?(js|ts|jsx|tsx)$/i.test(path)) return parseCdkSource(content);
+    const format = formatOf(path) || (/\.ya?ml$/.test(path) ? 'kubernetes' : null);
+    if (!format) return null;
+    const infra = PARSERS[format](content);
+    return infra && (infra.services.length > 0 || infra.support.length > 0) ? infra : null;
+}
@@ -0,0 +1,159 @@
+/**
+ * Lockfile Parsers & Dependency Graph
+ * Reads package-lock.json, yarn.lock (classic + berry) and pnpm-lock.yaml
+ * into one package graph so centralized packages pulled in through wrapper
+ * libraries can be traced back to a direct dependency.
+ *
+ * Versions are collapsed: the graph is keyed by package name only, which is
+ * all the rule engine matches on.
+ */
+
+import { parse as parseYaml } from 'yaml';
+
+export const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// "@scope/name@^1.0.0" -> "@scope/name", "name@npm:1.0.0" -> "name"
+const descriptorName = (descriptor) => {
+    const clean = descriptor.trim().replace(/^["']|["']$/g, '');
+    const at = clean.indexOf('@', 1);
+    return at === -1 ? clean : clean.slice(0, at);
+};
+
+const addEdges = (edges, from, names) => {
+    if (!edges.has(from)) edges.set(from, new Set());
+    names.forEach(name => edges.get(from).add(name));
+};
+
+const depNames = (...maps) => maps.flatMap(m => Object.keys(m || {}));
+
+function parsePackageLock(content) {
+    const lock = JSON.parse(content);
+    const edges = new Map();
+    let direct = null;
+
+    if (lock.packages) {
+        // lockfileVersion 2/3: flat map keyed by install path
+        Object.entries(lock.packages).forEach(([path, entry]) => {
+            const names = depNames(entry.dependencies, entry.optionalDependencies, entry.peerDependencies);
+            if (path === '') {
+                direct = depNames(entry.dependencies, entry.devDependencies, entry.optionalDependencies, entry.peerDependencies);
+                return;
+            }
+            const name = entry.name || path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length);
+            addEdges(edges, name, names);
+        });
+    } else {
+        // lockfileVersion 1: nested tree with `requires`
+        const walk = (deps) => Object.entries(deps || {}).forEach(([name, entry]) => {
+            addEdges(edges, name, Object.keys(entry.requires || {}));
+            walk(entry.dependencies);
+        });
+        walk(lock.dependencies);
+    }
+
+    return { direct, edges };
+}
+
+function parseYarnLock(content) {
+    const edges = new Map();
+
+    if (/^__metadata:/m.test(content)) {
+        // Yarn 2+ (berry) lockfiles are YAML
+        const lock = parseYaml(content) || {};
+        Object.entries(lock).forEach(([key, entry]) => {
+            if (key === '__metadata' || !entry) return;
+            const names = depNames(entry.dependencies, entry.peerDependencies);
+            key.split(',').forEach(descriptor => addEdges(edges, descriptorName(descriptor), names));
+        });
+        return { direct: null, edges };
+    }
+
+    // Yarn classic: indentation-based custom format
+    let current = [];
+    let inDeps = false;
+    content.split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.startsWith('#')) return;
+        if (!/^\s/.test(line)) {
+            current = line.replace(/:\s*$/, '').split(',').map(descriptorName);
+            current.forEach(name => addEdges(edges, name, []));
+            inDeps = false;
+        } else if (/^\s{2}\S/.test(line)) {
+            inDeps = /^\s{2}(dependencies|optionalDependencies):\s*$/.test(line);
+        } else if (inDeps && /^\s{4}\S/.test(line)) {
+            const dep = descriptorName(line.trim().split(/\s+/)[0]);
+            current.forEach(name => addEdges(edges, name, [dep]));
+        }
+    });
+    return { direct: null, edges };
+}
+
+// "/@scope/name/1.0.0", "/name@1.0.0(peer@2.0.0)", "name@1.0.0" -> package name
+const pnpmKeyName = (key) => {
+    const clean = key.replace(/^\//, '').replace(/\(.*$/, '');
+    const at = clean.indexOf('@', 1);
+    if (at !== -1) return clean.slice(0, at);
+    return clean.slice(0, clean.lastIndexOf('/'));
+};
+
+function parsePnpmLock(content) {
+    const lock = parseYaml(content) || {};
+    const edges = new Map();
+
+    // v9 moved the dependency lists from `packages` into `snapshots`
+    [lock.packages, lock.snapshots].forEach(section => {
+        Object.entries(section || {}).forEach(([key, entry]) => {
+            const names = depNames(entry?.dependencies, entry?.optionalDependencies);
+            addEdges(edges, pnpmKeyName(key), names);
+        });
+    });
+
+    // Direct dependencies per workspace, keyed by folder relative to the lockfile ('.' is the root).
+    // Lockfiles written without workspaces keep the root's at the top level.
+    const importers = new Map(Object.entries(lock.importers || { '.': lock }).map(([path, importer]) =>
+        [path, depNames(importer?.dependencies, importer?.devDependencies, importer?.optionalDependencies)]));
+    const direct = importers.get('.') || [];
+
+    return { direct: direct.length > 0 ? direct : null, edges, importers };
+}
+
+/**
+ * Parse any supported lockfile into { direct, edges }.
+ * `direct` is null when the format doesn't record the root's own dependencies (yarn).
+ * pnpm locks add `importers`: Map<folder, direct dependencies> for every workspace.
+ * Returns null for unknown files; throws on malformed ones.
+ */
+export function parseLockfile(path, content) {
+    const file = path.split('/').pop();
+    if (file === 'package-lock.json' || file === 'npm-shrinkwrap.json') return parsePackageLock(content);
+    if (file === 'yarn.lock') return parseYarnLock(content);
+    if (file === 'pnpm-lock.yaml') return parsePnpmLock(content);
+    return null;
+}
+
+/**
+ * Breadth-first walk from the project's direct dependencies.
+ * Returns Map<packageName, chain> where chain is the shortest path
+ * [rootName, direct, ..., packageName] that pulls the package in.
+ */
+export function resolveChains(lock, rootName, directDeps) {
+    const chains = new Map();
+    const queue = [];
+
+    directDeps.forEach(name => {
+        if (chains.has(name)) return;
+        chains.set(name, [rootName, name]);
+        queue.push(name);
+    });
+
+    while (queue.length > 0) {
+        const name = queue.shift();
+        const chain = chains.get(name);
+        (lock.edges.get(name) || []).forEach(child => {
+            if (chains.has(child)) return;
+            chains.set(child, [...chain, child]);
+            queue.push(child);
+        });
+    }
+
+    return chains;
+}
@@ -0,0 +1,223 @@
+/**
+ * Manifest Parsers
+ * Turns dependency manifests from different ecosystems into a flat list of
+ * { name, scope } entries the rule engine can match.
+ *
+ * Scopes: runtime, dev, build, test, peer, optional.
+ * `null` means the manifest doesn't say (e.g. Gemfile.lock); the analyzer
+ * lets a more specific manifest decide and falls back to runtime.
+ *
+ * npm packages keep their bare name (e.g. "firebase"). Every other ecosystem
+ * is prefixed so names can't collide across registries:
+ *   pypi:firebase-admin, go:cloud.google.com/go, cargo:actix-web,
+ *   gem:rails, composer:laravel/framework
+ */
+
+import { parse as parseToml } from 'smol-toml';
+
+// PEP 503 normalization: "Flask_SQLAlchemy" and "flask-sqlalchemy" are the same package.
+const normalizePython = (name) => name.trim().toLowerCase().replace(/[-_.]+/g, '-');
+
+// Extract the distribution name from a PEP 508 requirement ("requests[socks]>=2.0; python_version>'3'")
+const pep508Name = (spec) => {
+    const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/.exec(spec);
+    return match ? normalizePython(match[1]) : null;
+};
+
+// Map a named dependency group ("test", "docs", "dev") to a scope
+const scopeForGroup = (group, fallback) => {
+    const name = String(group).toLowerCase();
+    if (/^(test|tests|testing)$/.test(name)) return 'test';
+    if (/^(dev|development|develop|lint|docs|typing)$/.test(name)) return 'dev';
+    return fallback;
+};
+
+const scoped = (names, scope, prefix = '') => names.map(name => ({ name: `${prefix}${name}`, scope }));
+const pypi = (names, scope) => scoped(names.filter(Boolean).filter(n => n !== 'python'), scope, 'pypi:');
+
+function parsePackageJson(content) {
+    const pkg = JSON.parse(content);
+    const implies = [];
+    // Scripts check for offline intent
+    if (pkg.scripts) {
+        const scriptStr = JSON.stringify(pkg.scripts).toLowerCase();
+        if (scriptStr.includes('tauri') || scriptStr.includes('electron')) implies.push('OFFLINE_NATIVE');
+    }
+    const dependencies = [
+        ...scoped(Object.keys(pkg.dependencies || {}), 'runtime'),
+        ...scoped(Object.keys(pkg.peerDependencies || {}), 'peer'),
+        ...scoped(Object.keys(pkg.optionalDependencies || {}), 'optional'),
+        ...scoped(Object.keys(pkg.devDependencies || {}), 'dev'),
+    ];
+    return { name: pkg.name, dependencies, implies };
+}
+
+function parseRequirements(content, path) {
+    // requirements-dev.txt, test-requirements.txt, ... (whole name parts: requirements-latest.txt is runtime)
+    const file = path.split('/').pop().toLowerCase();
+    const scope = /(^|[-_.])tests?([-_.]|$)/.test(file) ? 'test'
+        : /(^|[-_.])(dev|develop|development|lint|docs?)([-_.]|$)/.test(file) ? 'dev' : 'runtime';
+
+    const names = content.split(/\r?\n/)
+        .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+        // Skip blank lines, options (-r, -e, --index-url) and direct URLs
+        .filter(line => line && !line.startsWith('-') && !/^[a-z+]+:\/\//i.test(line))
+        .map(pep508Name);
+    return { dependencies: pypi(names, scope) };
+}
+
+function parsePyproject(content) {
+    const doc = parseToml(content);
+    const dependencies = [];
+
+    const project = doc.project || {};
+    dependencies.push(...pypi((project.dependencies || []).map(pep508Name), 'runtime'));
+    Object.entries(project['optional-dependencies'] || {}).forEach(([group, list]) => {
+        dependencies.push(...pypi(list.map(pep508Name), scopeForGroup(group, 'optional')));
+    });
+
+    const poetry = doc.tool?.poetry || {};
+    const poetryNames = (table) => Object.keys(table || {}).map(normalizePython);
+    dependencies.push(...pypi(poetryNames(poetry.dependencies), 'runtime'));
+    dependencies.push(...pypi(poetryNames(poetry['dev-dependencies']), 'dev'));
+    Object.entries(poetry.group || {}).forEach(([group, table]) => {
+        dependencies.push(...pypi(poetryNames(table.dependencies), scopeForGroup(group, 'dev')));
+    });
+
+    return { dependencies };
+}
+
+function parsePipfile(content) {
+    const doc = parseToml(content);
+    return {
+        dependencies: [
+            ...pypi(Object.keys(doc.packages || {}).map(normalizePython), 'runtime'),
+            ...pypi(Object.keys(doc['dev-packages'] || {}).map(normalizePython), 'dev'),
+        ]
+    };
+}
+
+function parseGoMod(content) {
+    const names = [];
+    let inBlock = false;
+    content.split(/\r?\n/).forEach(raw => {
+        const line = raw.replace(/\/\/.*$/, '').trim();
+        if (inBlock) {
+            if (line === ')') inBlock = false;
+            else if (line) names.push(line.split(/\s+/)[0]);
+        } else if (/^require\s*\($/.test(line)) {
+            inBlock = true;
+        } else if (line.startsWith('require ')) {
+            names.push(line.split(/\s+/)[1]);
+        }
+    });
+    return { dependencies: scoped(names.filter(Boolean), 'runtime', 'go:') };
+}
+
+function parseCargo(content) {
+    const doc = parseToml(content);
+    const tables = [
+        [doc.dependencies, 'runtime'], [doc['dev-dependencies'], 'dev'],
+        [doc['build-dependencies'], 'build'], [doc.workspace?.dependencies, 'runtime']
+    ];
+    Object.values(doc.target || {}).forEach(target => {
+        tables.push([target.dependencies, 'runtime'], [target['dev-dependencies'], 'dev'], [target['build-dependencies'], 'build']);
+    });
+
+    const dependencies = [];
+    tables.forEach(([table, scope]) => {
+        Object.entries(table || {}).forEach(([key, spec]) => {
+            // `foo = { package = "real-name" }` renames a crate locally
+            const name = spec && typeof spec === 'object' && spec.package ? spec.package : key;
+            dependencies.push({ name: `cargo:${name}`, scope });
+        });
+    });
+    return { dependencies };
+}
+
+// `group :test do` / `gem 'x', group: [:development, :test]` -> scope
+const gemGroupScope = (groups) => {
+    if (groups.length === 0) return 'runtime';
+    if (groups.every(g => g === 'test')) return 'test';
+    if (groups.every(g => g === 'test' || g === 'development')) return 'dev';
+    return 'runtime';
+};
+const symbols = (text) => (text.match(/:(\w+)/g) || []).map(s => s.slice(1));
+
+function parseGemfile(content) {
+    const dependencies = [];
+    // One entry per open `do` block: its groups for `group ... do`, null for others (platforms, install_if, ...)
+    const blocks = [];
+    content.split(/\r?\n/).forEach(line => {
+        const code = line.replace(/(^|\s)#.*$/, '');
+        const groupBlock = /^\s*group\s+(.+?)\s+do\b/.exec(code);
+        if (groupBlock) { blocks.push(symbols(groupBlock[1])); return; }
+        if (/\bdo\s*(\|[^|]*\|)?\s*$/.test(code)) { blocks.push(null); return; }
+        if (/^\s*end\b/.test(code) && blocks.length > 0) { blocks.pop(); return; }
+
+        const gem = /^\s*gem\s+['"]([^'"]+)['"](.*)$/.exec(line);
+        if (!gem) return;
+        const inline = /groups?:\s*(\[[^\]]*\]|:\w+)/.exec(gem[2]);
+        const groups = inline ? symbols(inline[1]) : (blocks.findLast(block => block !== null) || []);
+        dependencies.push({ name: `gem:${gem[1]}`, scope: gemGroupScope(groups) });
+    });
+    return { dependencies };
+}
+
+function parseGemfileLock(content) {
+    // Resolved gems sit at 4-space indentation under a "specs:" header
+    const names = [];
+    let inSpecs = false;
+    content.split(/\r?\n/).forEach(line => {
+        if (/^\s{2}specs:\s*$/.test(line)) { inSpecs = true; return; }
+        if (!/^\s/.test(line)) { inSpecs = false; return; }
+        const spec = inSpecs && /^\s{4}([^\s(]+)/.exec(line);
+        if (spec && !/^\s{5}/.test(line)) names.push(spec[1]);
+    });
+    // The lockfile doesn't record groups; the Gemfile decides the scope
+    return { dependencies: scoped(names, null, 'gem:') };
+}
+
+function parseComposer(content) {
+    const doc = JSON.parse(content);
+    // Platform requirements are not packages
+    const packages = (table) => Object.keys(table || {})
+        .filter(n => n !== 'php' && !n.startsWith('ext-') && !n.startsWith('lib-'))
+        .map(n => n.toLowerCase());
+    return {
+        dependencies: [
+            ...scoped(packages(doc.require), 'runtime', 'composer:'),
+            ...scoped(packages(doc['require-dev']), 'dev', 'composer:'),
+        ]
+    };
+}
+
+export const MANIFEST_PARSERS = [
+    { file: /(^|\/)package\.json$/, ecosystem: 'npm', parse: parsePackageJson },
+    { file: /(^|\/)([^/]*[-_.])?requirements[^/]*\.txt$/, ecosystem: 'pypi', parse: parseRequirements },
+    { file: /(^|\/)pyproject\.toml$/, ecosystem: 'pypi', parse: parsePyproject },
+    { file: /(^|\/)Pipfile$/, ecosystem: 'pypi', parse: parsePipfile },
+    { file: /(^|\/)go\.mod$/, ecosystem: 'go', parse: parseGoMod },
+    { file: /(^|\/)Cargo\.toml$/, ecosystem: 'cargo', parse: parseCargo },
+    { file: /(^|\/)Gemfile$/, ecosystem: 'gem', parse: parseGemfile },
+    { file: /(^|\/)Gemfile\.lock$/, ecosystem: 'gem', parse: parseGemfileLock },
+    { file: /(^|\/)composer\.json$/, ecosystem: 'composer', parse: parseComposer },
+];
+
+/**
+ * True if the path is a manifest one of the parsers understands.
+ */
+export function isManifest(path) {
+    return MANIFEST_PARSERS.some(p => p.file.test(path));
+}
+
+/**
+ * Parse a manifest into { ecosystem, name?, dependencies, implies }.
+ * Returns null for unknown files; throws on malformed ones.
+ */
+export function parseManifest(path, content) {
+    const parser = MANIFEST_PARSERS.find(p => p.file.test(path));
+    if (!parser) return null;
+    const result = parser.parse(content, path);
+    return { ecosystem: parser.ecosystem, implies: [], ...result };
+}
@@ -0,0 +1,83 @@
+/**
+ * Node File System Service (Headless Provider)
+ * Implements the same DataProvider interface as FileSystemService,
+ * backed by Node's fs module instead of the File System Access API.
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+
+// Same noise folders the browser provider skips
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build'];
+
+export class NodeFileSystemService {
+  constructor(rootDir) {
+    this.rootDir = resolve(rootDir);
+    this.name = basename(this.rootDir);
+  }
+
+  /**
+   * Returns project metadata (similar to repo details)
+   */
+  async getProjectDetails() {
+    return {
+      full_name: `[LOCAL] ${this.name}`,
+      default_branch: 'local-disk',
+      isLocal: true
+    };
+  }
+
+  /**
+   * Get raw content of a file given a relative path.
+   * Path format: "src/components/App.jsx"
+   */
+  async getFileContent(path) {
+    try {
+      return await readFile(join(this.rootDir, ...path.split('/')), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Recursively scan the directory to build a full file tree.
+   * Matches GitHub Tree API format.
+   */
+  async getTree() {
+      const files = [];
+
+      const scan = async (dirPath, pathPrefix = '') => {
+          const entries = await readdir(dirPath, { withFileTypes: true });
+          for (const entry of entries) {
+              const fullPath = pathPrefix ? `${pathPrefix}/${entry.name}` : entry.name;
+
+              if (entry.isFile()) {
+                  // Sizes let the scan budget skip oversized files before reading them
+                  const { size } = await stat(join(dirPath, entry.name));
+                  files.push({ path: fullPath, type: 'file', size });
+              } else if (entry.isDirectory()) {
+                  if (IGNORED_DIRS.includes(entry.name)) continue;
+
+                  files.push({ path: fullPath, type: 'dir' });
+                  await scan(join(dirPath, entry.name), fullPath);
+              }
+          }
+      };
+
+      // A missing or unreadable root is an error, not an empty project
+      const root = await stat(this.rootDir).catch(e => {
+          throw new Error(`Cannot read ${this.rootDir}: ${e.code === 'ENOENT' ? 'no such directory' : e.message}`);
+      });
+      if (!root.isDirectory()) throw new Error(`Not a directory: ${this.rootDir}`);
+
+      await scan(this.rootDir);
+      return files;
+  }
+
+  /**
+   * No-op for absolute URLs in offline mode (safety)
+   */
+  async getAbsoluteRaw() {
+    return null;
+  }
+}
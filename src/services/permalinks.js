@@ -0,0 +1,37 @@
+/**
+ * Permalinks
+ * Links from evidence back to the source on the git host, pinned to the
+ * scanned commit so they keep pointing at what was audited. Pure functions
+ * of the report's `revision`; local and archive scans have none.
+ */
+
+// Path of a file view at a commit, per host kind
+const BLOB_PATHS = {
+    github: (sha, path) => `blob/${sha}/${path}`,
+    gitlab: (sha, path) => `-/blob/${sha}/${path}`,
+    gitea: (sha, path) => `src/commit/${sha}/${path}`
+};
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Repository-relative path of an evidence file: reports scoped to a
+ * subfolder list files relative to it.
+ */
+export function repositoryPath(revision, file) {
+    return revision?.path ? `${revision.path}/${file}` : file;
+}
+
+/**
+ * URL of an evidence item's file (and line) at the scanned commit, or null
+ * when the scan has no resolved commit or the item no real file.
+ */
+export function permalink(report, item) {
+    const { revision } = report;
+    const blobPath = BLOB_PATHS[revision?.provider];
+    if (!blobPath || !revision.commitSha || !revision.baseUrl || !report.repoInfo?.full_name) return null;
+    if (!item.file || item.file === 'Multiple') return null;
+
+    const anchor = Number.isInteger(item.line) ? `#L${item.line}` : '';
+    return `${revision.baseUrl}/${report.repoInfo.full_name}/${blobPath(revision.commitSha, encodePath(repositoryPath(revision, item.file)))}${anchor}`;
+}
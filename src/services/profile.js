@@ -0,0 +1,99 @@
+/**
+ * Decentralization Profile
+ * Assesses each dimension in PROFILE_DIMENSIONS on its own: a status, the
+ * evidence behind it and what users lose if that evidence is a dependency
+ * that fails. Complements the single verdict; it never changes it.
+ */
+
+import { SCORING_MODEL, PROFILE_DIMENSIONS } from '../data/heuristics.js';
+
+const RISK_ORDER = ['High', 'Medium', 'Low', 'None'];
+
+const riskRank = (risk) => RISK_ORDER.indexOf(risk) === -1 ? RISK_ORDER.length : RISK_ORDER.indexOf(risk);
+
+// Compact reference; the full finding stays in report.evidence (same fingerprint)
+const refOf = (item) => ({
+    signal: item.signal,
+    risk: item.risk || 'None',
+    ...(item.file && { file: item.file }),
+    ...(item.line != null && { line: item.line }),
+    ...(item.fingerprint && { fingerprint: item.fingerprint }),
+    ...(item.failureMode && { failureMode: item.failureMode })
+});
+
+/**
+ * Profile dimensions a finding belongs to (see PROFILE_DIMENSIONS).
+ */
+export function dimensionsOf(finding, rule) {
+    const keys = new Set(rule?.dimension
+        ? [rule.dimension]
+        : Object.keys(SCORING_MODEL.categories[finding.category] || SCORING_MODEL.defaultShares));
+    (rule?.profile || []).forEach(key => keys.add(key));
+    Object.entries(PROFILE_DIMENSIONS).forEach(([key, dimension]) => {
+        if (dimension.categories?.includes(finding.category) || dimension.scopes?.includes(finding.scope)) keys.add(key);
+    });
+    return [...keys].filter(key => Object.hasOwn(PROFILE_DIMENSIONS, key));
+}
+
+/**
+ * Build the profile from the report's findings.
+ * - rules:     RuleSet, for each rule's `dimension` and `profile`
+ * - support:   offline evidence, [{ signal, category (PERSISTENCE, CACHING, ...), file, line }]
+ * - lockfiles: lockfile names found; with manifests but none, builds aren't reproducible
+ * - manifests: dependency manifests were found
+ *
+ * Returns { [dimension]: { label, status, evidence, failureScenario } }, where
+ * status is a PROFILE_STATUSES key and evidence lists findings, most severe
+ * first, then supporting signals (risk None).
+ */
+export function buildProfile(findings, { rules, support = [], lockfiles = [], manifests = false } = {}) {
+    const buckets = Object.fromEntries(Object.keys(PROFILE_DIMENSIONS).map(key => [key, { findings: [], support: [], supportSeen: new Set() }]));
+    // One line per supporting signal and file, however many times it matched
+    const addSupport = (key, item) => {
+        const id = `${item.signal}\u0000${item.file || ''}`;
+        if (buckets[key].supportSeen.has(id)) return;
+        buckets[key].supportSeen.add(id);
+        buckets[key].support.push(item);
+    };
+
+    findings.forEach(finding => {
+        if (finding.counted === false || finding.suppressed) return;
+        // Findings in a support category count for the dimension, not against it
+        const backed = Object.keys(PROFILE_DIMENSIONS).filter(key => PROFILE_DIMENSIONS[key].support.includes(finding.category));
+        if (backed.length > 0) return backed.forEach(key => addSupport(key, { ...finding, risk: 'None' }));
+        const rule = finding.ruleId ? rules?.rules.get(finding.ruleId) : null;
+        dimensionsOf(finding, rule).forEach(key => buckets[key].findings.push(finding));
+    });
+
+    support.forEach(item => {
+        Object.entries(PROFILE_DIMENSIONS).forEach(([key, dimension]) => {
+            if (dimension.support.includes(item.category)) addSupport(key, item);
+        });
+    });
+
+    lockfiles.forEach(name => addSupport('governance', { signal: `Lockfile: ${name}`, file: name }));
+    if (manifests && lockfiles.length === 0) {
+        buckets.governance.findings.push({
+            signal: 'No lockfile',
+            risk: 'Low',
+            failureMode: 'Dependency versions are resolved at install time, so two builds can differ.'
+        });
+    }
+
+    return Object.fromEntries(Object.entries(PROFILE_DIMENSIONS).map(([key, dimension]) => {
+        const { findings: found, support: supported } = buckets[key];
+        const sorted = [...found].sort((a, b) => riskRank(a.risk) - riskRank(b.risk));
+
+        let status = 'NO_SIGNALS';
+        if (sorted.some(f => f.risk === 'High')) status = 'DEPENDENT';
+        else if (sorted.length > 0) status = 'PARTIAL';
+        else if (supported.length > 0) status = 'INDEPENDENT';
+
+        return [key, {
+            label: dimension.label,
+            status,
+            evidence: [...sorted, ...supported].map(refOf),
+            failureScenario: sorted.length > 0 ? dimension.failure : null
+        }];
+    }));
+}
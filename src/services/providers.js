@@ -0,0 +1,80 @@
+/**
+ * Repository Providers
+ * Picks the online provider for a repository URL. Every provider implements
+ * parseUrl, getRepoDetails, resolveRef, getTree and getRawFile; each network
+ * call takes a trailing { signal } so a cancelled scan stops its requests.
+ *
+ * Well-known hosts are matched by name. Self-hosted instances are identified
+ * by an explicit { kind, baseUrl } or, failing that, by probing the API.
+ */
+
+import { githubService } from './github.js';
+import { GitLabService } from './gitlab.js';
+import { GiteaService } from './gitea.js';
+
+export const PROVIDER_KINDS = {
+  github: { label: 'GitHub' },
+  gitlab: { label: 'GitLab', create: (baseUrl) => new GitLabService(baseUrl) },
+  gitea: { label: 'Gitea / Forgejo', create: (baseUrl) => new GiteaService(baseUrl) }
+};
+
+// Public instances recognized by host
+const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'codeberg.org': 'gitea',
+  'gitea.com': 'gitea'
+};
+
+const createProvider = (kind, baseUrl) => kind === 'github' ? githubService : PROVIDER_KINDS[kind].create(baseUrl);
+
+// Instance API answers tell Gitea/Forgejo and GitLab apart
+const probeKind = async (baseUrl, signal) => {
+    const probes = [['gitea', '/api/v1/version'], ['gitlab', '/api/v4/version']];
+    for (const [kind, path] of probes) {
+        try {
+            const res = await fetch(`${baseUrl}${path}`, { signal });
+            // GitLab answers 401 to anonymous version checks, which still proves it's GitLab
+            if (res.ok || (kind === 'gitlab' && res.status === 401)) return kind;
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+        }
+    }
+    return null;
+};
+
+/**
+ * Find the provider for a repository URL.
+ * `override` ({ kind, baseUrl }) selects a self-hosted instance explicitly;
+ * baseUrl defaults to the URL's origin and matters when the instance lives under a path.
+ * Returns { provider, repoPath } or throws if the URL can't be handled.
+ */
+export async function resolveProvider(url, override = {}, { signal } = {}) {
+    const trimmed = (url || '').trim();
+    const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+    // "owner/repo" shorthand means GitHub (owner names never contain dots)
+    const isShorthand = /^[\w-]+\/[\w.-]+$/.test(trimmed);
+
+    let host = null;
+    try {
+        host = new URL(withScheme).hostname;
+    } catch {
+        throw new Error('Invalid repository URL');
+    }
+
+    if (!override.kind && (isShorthand || KNOWN_HOSTS[host] === 'github')) {
+        const repoPath = githubService.parseUrl(trimmed);
+        if (!repoPath) throw new Error('Invalid repository URL');
+        return { provider: githubService, repoPath };
+    }
+
+    const baseUrl = (override.baseUrl || new URL(withScheme).origin).replace(/\/+$/, '');
+    const kind = override.kind || KNOWN_HOSTS[host] || await probeKind(baseUrl, signal);
+    if (!kind) throw new Error(`Unrecognized git host ${host}. Choose the instance type (GitLab or Gitea/Forgejo).`);
+
+    const provider = createProvider(kind, baseUrl);
+    const repoPath = provider.parseUrl(withScheme);
+    if (!repoPath) throw new Error(`Invalid ${PROVIDER_KINDS[kind].label} repository URL`);
+    return { provider, repoPath };
+}
@@ -0,0 +1,126 @@
+/**
+ * Report Diffing
+ * Compares two scans of the same project. Evidence is matched by a stable
+ * fingerprint (rule id + file + normalized source snippet), so a finding
+ * that only moved to another line is the same finding, not a new one.
+ * Accepts raw analyzer reports and exported JSON (see exporters.js) alike.
+ */
+
+import { REPORT_SCHEMA, toReportJson } from './exporters.js';
+
+// Fields whose change makes a matched finding "changed" (line moves are not changes)
+const COMPARED_FIELDS = ['risk', 'scope', 'counted', 'category'];
+
+// Compact, deterministic 53-bit string hash (cyrb53), as hex
+const hash = (text) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+// Formatter-proof snippet: no whitespace, one quote style, no trailing separator
+const normalizeSnippet = (text) => text.replace(/\s+/g, '').replace(/["`]/g, "'").replace(/[;,]+$/, '');
+
+/**
+ * Stable identity of an evidence item. Findings without a source line
+ * (dependencies, configs) use their signal instead of a snippet; those
+ * without a file either (implied dependencies) their monorepo workspace.
+ */
+export function fingerprintOf(item) {
+    const snippet = normalizeSnippet(item.snippet || item.signal || '');
+    return hash(`${item.ruleId || item.signal}|${item.file || item.workspace || item.source || ''}|${snippet}`);
+}
+
+// Raw report or exported JSON -> exported JSON shape
+const normalize = (report) => {
+    if (!report || typeof report !== 'object') throw new Error('Not a DecentraLens report.');
+    if (report.schema === REPORT_SCHEMA) {
+        if (!String(report.schemaVersion).startsWith('1.')) throw new Error(`Unsupported report schema version ${report.schemaVersion}.`);
+        return report;
+    }
+    if (!Array.isArray(report.evidence) || !report.score) throw new Error('Not a DecentraLens report.');
+    return toReportJson(report);
+};
+
+const describe = (doc) => {
+    const { name, ref, commitSha, path } = doc.target;
+    return {
+        name,
+        ref,
+        commitSha,
+        path,
+        timestamp: doc.timestamp,
+        label: `${name || 'Unknown target'}${ref ? ` @ ${ref}` : ''}${commitSha ? ` (${commitSha.slice(0, 7)})` : ''}`
+    };
+};
+
+const groupByFingerprint = (evidence) => {
+    const groups = new Map();
+    evidence.forEach(item => {
+        const fingerprint = item.fingerprint || fingerprintOf(item);
+        if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+        groups.get(fingerprint).push({ ...item, fingerprint });
+    });
+    return groups;
+};
+
+/**
+ * Diff two reports (older first). Returns
+ * { base, head, verdict, offline, added, removed, changed, unchanged }
+ * where changed items are { fingerprint, ruleId, fields, before, after }.
+ */
+export function diffReports(baseReport, headReport) {
+    const base = normalize(baseReport);
+    const head = normalize(headReport);
+
+    const before = groupByFingerprint(base.evidence);
+    const after = groupByFingerprint(head.evidence);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    // The same finding can occur more than once in a file; pair occurrences in order
+    new Set([...before.keys(), ...after.keys()]).forEach(fingerprint => {
+        const olds = before.get(fingerprint) || [];
+        const news = after.get(fingerprint) || [];
+        for (let i = 0; i < Math.max(olds.length, news.length); i++) {
+            const old = olds[i];
+            const now = news[i];
+            if (!old) { added.push(now); continue; }
+            if (!now) { removed.push(old); continue; }
+
+            const fields = COMPARED_FIELDS.filter(field => (old[field] ?? null) !== (now[field] ?? null));
+            if (fields.length > 0) changed.push({ fingerprint, ruleId: now.ruleId || old.ruleId, fields, before: old, after: now });
+            else unchanged++;
+        }
+    });
+
+    return {
+        base: describe(base),
+        head: describe(head),
+        verdict: {
+            from: base.verdict.label,
+            to: head.verdict.label,
+            changed: base.verdict.level !== head.verdict.level || base.verdict.architecture !== head.verdict.architecture,
+            score: { from: base.verdict.score ?? null, to: head.verdict.score ?? null }
+        },
+        offline: {
+            from: base.offline.status,
+            to: head.offline.status,
+            changed: base.offline.status !== head.offline.status
+        },
+        added,
+        removed,
+        changed,
+        unchanged
+    };
+}
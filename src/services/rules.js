@@ -0,0 +1,236 @@
+/**
+ * Rule Pack Engine
+ * Loads declarative rule packs (JSON or YAML), validates them and compiles
+ * them into lookup tables the analyzer can query.
+ *
+ * Pack format:
+ *   { name, version, rules: [{ id, type, category, riskLevel, failureMode, ... }] }
+ *
+ * Rule types:
+ * - dependency: `packages` - package names found in manifests. npm names are bare,
+ *                             other ecosystems are prefixed (pypi:, go:, cargo:, gem:, composer:)
+ * - path:       `pattern`  - regex tested against every path in the tree
+ * - content:    `pattern`  - regex run over scanned source files (comments excluded)
+ * - call:       `callees`  - call sites found in the AST: "fetch", "axios.*", "new WebSocket", "!axios.create".
+ *                             `fallbackPattern` is used for files that fail to parse.
+ * - endpoint:   `hosts`    - vendor domains (suffix match) in call targets and URL strings
+ * - config:     `file`     - platform config file present at the project root
+ *
+ * Optional fields: `signal` (evidence label), `reason`, `flags` (regex flags),
+ * `implies` (pseudo-dependencies to add when the rule fires), `offline`
+ * (marks the rule as an offline capability signal instead of a risk),
+ * `dimension` (the readiness dimension it scores against, instead of its
+ * category's), `selfHostable` (the service can be run by the project itself)
+ * and `profile` (extra profile dimensions it affects, see PROFILE_DIMENSIONS).
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { SCORING_MODEL, PROFILE_DIMENSIONS } from '../data/heuristics.js';
+
+export const RULE_TYPES = ['dependency', 'path', 'content', 'call', 'endpoint', 'config'];
+export const RISK_LEVELS = ['High', 'Medium', 'Low', 'None'];
+export const OFFLINE_CATEGORIES = ['PERSISTENCE', 'CACHING', 'INTENT', 'NATIVE'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+
+/**
+ * Parse a rule pack from raw text. YAML is a superset of JSON, so one parser covers both.
+ */
+export function parseRulePack(source) {
+    if (typeof source !== 'string') return source;
+    try {
+        return parseYaml(source);
+    } catch (e) {
+        throw new Error(`Rule pack could not be parsed: ${e.message}`);
+    }
+}
+
+/**
+ * Validate a parsed rule pack. Throws a single Error listing every problem found.
+ */
+export function validateRulePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        throw new Error('Rule pack must be an object.');
+    }
+
+    const packName = isNonEmptyString(pack.name) ? pack.name : '(unnamed)';
+    const problems = [];
+
+    if (!isNonEmptyString(pack.name)) problems.push('"name" must be a non-empty string');
+    if (!isNonEmptyString(pack.version)) problems.push('"version" must be a non-empty string');
+    if (!Array.isArray(pack.rules)) problems.push('"rules" must be an array');
+
+    const seenIds = new Set();
+    (Array.isArray(pack.rules) ? pack.rules : []).forEach((rule, index) => {
+        const label = rule && isNonEmptyString(rule.id) ? `rule "${rule.id}"` : `rule[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            problems.push(`${label} must be an object`);
+            return;
+        }
+
+        if (!isNonEmptyString(rule.id)) problems.push(`${label} is missing "id"`);
+        else if (seenIds.has(rule.id)) problems.push(`${label} is defined more than once`);
+        else seenIds.add(rule.id);
+
+        if (!RULE_TYPES.includes(rule.type)) problems.push(`${label} has unknown type "${rule.type}"`);
+        if (!isNonEmptyString(rule.category)) problems.push(`${label} is missing "category"`);
+        if (!RISK_LEVELS.includes(rule.riskLevel)) problems.push(`${label} has invalid riskLevel "${rule.riskLevel}"`);
+        if (!isNonEmptyString(rule.failureMode)) problems.push(`${label} is missing "failureMode"`);
+
+        if (rule.offline !== undefined && !OFFLINE_CATEGORIES.includes(rule.offline)) {
+            problems.push(`${label} has invalid offline category "${rule.offline}"`);
+        }
+        if (rule.implies !== undefined && !isStringList(rule.implies)) {
+            problems.push(`${label} "implies" must be a list of names`);
+        }
+        if (rule.dimension !== undefined && !Object.hasOwn(SCORING_MODEL.dimensions, rule.dimension)) {
+            problems.push(`${label} has unknown dimension "${rule.dimension}"`);
+        }
+        if (rule.selfHostable !== undefined && typeof rule.selfHostable !== 'boolean') {
+            problems.push(`${label} "selfHostable" must be true or false`);
+        }
+        if (rule.profile !== undefined && (!isStringList(rule.profile) || !rule.profile.every(key => Object.hasOwn(PROFILE_DIMENSIONS, key)))) {
+            problems.push(`${label} "profile" must list profile dimensions (${Object.keys(PROFILE_DIMENSIONS).join(', ')})`);
+        }
+
+        if (rule.type === 'dependency' && !isStringList(rule.packages)) {
+            problems.push(`${label} needs a non-empty "packages" list`);
+        }
+        if (rule.type === 'config' && !isNonEmptyString(rule.file)) {
+            problems.push(`${label} needs a "file"`);
+        }
+        if (rule.type === 'endpoint' && !isStringList(rule.hosts)) {
+            problems.push(`${label} needs a non-empty "hosts" list`);
+        }
+        if (rule.type === 'call' && !isStringList(rule.callees)) {
+            problems.push(`${label} needs a non-empty "callees" list`);
+        }
+        if ((rule.type === 'path' || rule.type === 'content') && !isNonEmptyString(rule.pattern)) {
+            problems.push(`${label} needs a "pattern"`);
+        }
+        ['pattern', 'fallbackPattern'].forEach(key => {
+            if (!isNonEmptyString(rule[key])) return;
+            try {
+                new RegExp(rule[key], rule.flags || '');
+            } catch (e) {
+                problems.push(`${label} has an invalid ${key}: ${e.message}`);
+            }
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid rule pack "${packName}": ${problems.join('; ')}.`);
+    }
+    return pack;
+}
+
+/**
+ * Compiled, queryable view over one or more rule packs.
+ * Later packs override earlier rules that share the same id.
+ */
+export class RuleSet {
+  constructor(packs = []) {
+    this.packs = [];
+    this.sources = []; // validated packs in load order, to rebuild the set elsewhere (workers)
+    this.rules = new Map();
+    packs.forEach(pack => this.addPack(pack));
+  }
+
+  addPack(source) {
+      const pack = validateRulePack(parseRulePack(source));
+      // Reloading a pack replaces it whole: rules it no longer has stop firing
+      this.packs = this.packs.filter(p => p.name !== pack.name);
+      this.packs.push({ name: pack.name, version: pack.version });
+      this.sources = [...this.sources.filter(p => p.name !== pack.name), pack];
+      this.rules = new Map();
+      this.sources.forEach(source => source.rules.forEach(rule => this.rules.set(rule.id, { ...rule, pack: source.name })));
+      this._compile();
+      return pack;
+  }
+
+  _compile() {
+      this.dependencies = new Map();
+      this.paths = [];
+      this.contents = [];
+      this.calls = [];
+      this.endpoints = [];
+      this.configs = new Map();
+
+      this.rules.forEach(rule => {
+          if (rule.type === 'dependency') {
+              rule.packages.forEach(name => this.dependencies.set(name, rule));
+          } else if (rule.type === 'path') {
+              this.paths.push({ rule, regex: new RegExp(rule.pattern, (rule.flags || '').replace('g', '')) });
+          } else if (rule.type === 'content') {
+              const flags = rule.flags || '';
+              this.contents.push({ rule, regex: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`) });
+          } else if (rule.type === 'call') {
+              const flags = rule.flags || '';
+              this.calls.push({
+                  rule,
+                  fallback: rule.fallbackPattern ? new RegExp(rule.fallbackPattern, flags.includes('g') ? flags : `${flags}g`) : null
+              });
+          } else if (rule.type === 'endpoint') {
+              const hosts = rule.hosts.map(h => h.toLowerCase());
+              const escaped = hosts.map(h => h.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+              // Used as a regex fallback for files that fail to parse
+              this.endpoints.push({ rule, hosts, regex: new RegExp(`(${escaped})\\b`, 'gi') });
+          } else if (rule.type === 'config') {
+              this.configs.set(rule.file, rule);
+          }
+      });
+  }
+
+  /**
+   * Rule matching a dependency name, if any.
+   * Go modules also match any parent module path, so "go:cloud.google.com/go"
+   * covers "go:cloud.google.com/go/firestore".
+   */
+  matchDependency(name) {
+      const exact = this.dependencies.get(name);
+      if (exact || !name.startsWith('go:')) return exact || null;
+
+      const segments = name.split('/');
+      while (segments.length > 1) {
+          segments.pop();
+          const rule = this.dependencies.get(segments.join('/'));
+          if (rule) return rule;
+      }
+      return null;
+  }
+
+  /**
+   * Rule matching a normalized call descriptor ("axios.get", "new WebSocket"), if any.
+   * A callee ending in ".*" matches any member of that object; a leading "!" excludes one.
+   */
+  matchCall(descriptor) {
+      const matches = (callee) => callee === descriptor || (callee.endsWith('.*') && descriptor.startsWith(callee.slice(0, -1)));
+      const entry = this.calls.find(({ rule }) =>
+          !rule.callees.some(callee => callee.startsWith('!') && callee.slice(1) === descriptor)
+          && rule.callees.some(matches)
+      );
+      return entry ? entry.rule : null;
+  }
+
+  /**
+   * Endpoint rule for a host, matching the host itself or any subdomain.
+   */
+  matchEndpoint(host) {
+      const h = host.toLowerCase();
+      const entry = this.endpoints.find(({ hosts }) => hosts.some(d => h === d || h.endsWith(`.${d}`)));
+      return entry ? entry.rule : null;
+  }
+
+  /**
+   * Offline capability categories implied by a list of dependency names.
+   */
+  offlineCategoriesFor(names) {
+      const categories = new Set();
+      names.forEach(name => {
+          const rule = this.dependencies.get(name);
+          if (rule && rule.offline) categories.add(rule.offline);
+      });
+      return categories;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Readiness Scoring
+ * Turns counted findings into a 0-100 score with a per-dimension breakdown
+ * (see SCORING_MODEL). Every deduction is recorded on the finding that caused
+ * it, so the report can show exactly where each point went.
+ */
+
+import { SCORING_MODEL } from '../data/heuristics.js';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Readiness level key for a score, by SCORING_MODEL.levels.
+ */
+export function levelForScore(score, model = SCORING_MODEL) {
+    return Object.entries(model.levels)
+        .sort(([, a], [, b]) => b - a)
+        .find(([, min]) => score >= min)?.[0] || 'LOW';
+}
+
+/**
+ * Score counted findings.
+ * - rules:       RuleSet, to look up a finding's `dimension` and `selfHostable`
+ * - persistence: local persistence was detected (mitigates data deductions)
+ * - ignore:      rule ids scored elsewhere (their findings deduct nothing)
+ *
+ * Returns { readiness, findings }: findings are copies of the input; the
+ * scored ones carry `scoring: { points, dimensions, notes }` (points may be 0).
+ * readiness is { score, level, dimensions, caps, mitigations }; the level follows the
+ * score, at most the ceiling of the riskiest counted finding.
+ */
+export function scoreReadiness(findings, { rules, persistence = false, ignore = [] } = {}, model = SCORING_MODEL) {
+    const remaining = Object.fromEntries(Object.entries(model.dimensions).map(([key, d]) => [key, d.weight]));
+    const perRule = new Map(); // rule -> raw points already deducted
+    const caps = [];
+    const mitigations = new Set();
+
+    const sharesOf = (finding, rule) => {
+        if (rule?.dimension) return { [rule.dimension]: 1 };
+        return model.categories[finding.category] || model.defaultShares;
+    };
+
+    // Largest findings first, so a full dimension cuts off the small ones, not the big ones
+    const scored = findings
+        .map((finding, index) => ({ finding, index, base: model.risk[finding.risk] || 0 }))
+        .filter(({ finding, base }) => finding.counted !== false && !finding.suppressed && base > 0 && !ignore.includes(finding.ruleId))
+        .sort((a, b) => b.base - a.base || a.index - b.index);
+
+    const annotated = findings.map(finding => ({ ...finding }));
+
+    // A package deducts once: imports of one that is scored as a dependency only point at its use
+    const scoredPackages = new Set(scored.filter(({ finding }) => finding.source === 'Dependency' && finding.package).map(({ finding }) => `${finding.workspace ?? ''}:${finding.package}`));
+
+    scored.forEach(({ finding, index, base }) => {
+        const rule = finding.ruleId ? rules?.rules.get(finding.ruleId) : null;
+        const key = finding.ruleId || finding.signal;
+        const notes = [];
+
+        if (finding.source !== 'Dependency' && finding.package && scoredPackages.has(`${finding.workspace ?? ''}:${finding.package}`)) {
+            annotated[index].scoring = { points: 0, dimensions: {}, notes: [`Scored once, as Dep: ${finding.package}`] };
+            return;
+        }
+
+        // Repeats of a rule add a fraction each, up to ruleCap x base in total
+        const seen = perRule.get(key) || 0;
+        let raw = seen === 0 ? base : Math.min(base * model.repeat, base * model.ruleCap - seen);
+        if (raw <= 0) {
+            annotated[index].scoring = { points: 0, dimensions: {}, notes: [`Rule already deducted its maximum of ${base * model.ruleCap} points`] };
+            return;
+        }
+        perRule.set(key, seen + raw);
+        if (seen > 0) notes.push(`Repeat of ${key}: ${model.repeat * 100}% of ${base}`);
+
+        if (rule?.selfHostable) {
+            raw *= model.mitigations.selfHostable;
+            notes.push('Self-hostable service');
+            mitigations.add('selfHostable');
+        }
+
+        const dimensions = {};
+        let points = 0;
+        Object.entries(sharesOf(finding, rule)).forEach(([dimension, share]) => {
+            let wanted = raw * share;
+            if (dimension === 'data' && persistence) {
+                wanted *= model.mitigations.persistence;
+                if (!notes.includes('Local persistence')) notes.push('Local persistence');
+                mitigations.add('persistence');
+            }
+            const taken = Math.min(wanted, remaining[dimension]);
+            if (taken < wanted) notes.push(`${model.dimensions[dimension].label} reached 0`);
+            if (taken <= 0) return;
+            remaining[dimension] -= taken;
+            dimensions[dimension] = round(taken);
+            points += taken;
+        });
+        annotated[index].scoring = { points: round(points), dimensions, notes };
+
+        const max = model.caps[finding.category];
+        if (finding.risk === 'High' && max !== undefined && !rule?.selfHostable && !caps.some(c => c.category === finding.category)) {
+            caps.push({ category: finding.category, max, ruleId: finding.ruleId || null, signal: finding.signal });
+        }
+    });
+
+    const total = Object.values(remaining).reduce((sum, value) => sum + value, 0);
+    const cap = Math.min(100, ...caps.map(c => c.max));
+    const score = Math.round(Math.min(total, cap));
+
+    // Counted findings hold the level down to their risk's ceiling
+    const order = Object.entries(model.levels).sort(([, a], [, b]) => a - b).map(([level]) => level);
+    const level = scored.reduce((best, { finding }) => {
+        const ceiling = model.ceilings?.[finding.risk];
+        return ceiling && order.indexOf(ceiling) < order.indexOf(best) ? ceiling : best;
+    }, levelForScore(score, model));
+
+    const readiness = {
+        score,
+        level,
+        dimensions: Object.fromEntries(Object.entries(model.dimensions).map(([key, d]) => [key, {
+            label: d.label,
+            weight: d.weight,
+            score: round(remaining[key])
+        }])),
+        caps: caps.map(c => ({ ...c, applied: c.max === cap && total > cap })),
+        mitigations: [...mitigations]
+    };
+    return { readiness, findings: annotated };
+}
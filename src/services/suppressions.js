@@ -0,0 +1,136 @@
+/**
+ * Suppressions (Accepted Findings)
+ * A `.decentralens.yml` at the project root, or the same YAML in the user's
+ * settings, marks known findings as accepted:
+ *
+ *   suppressions:
+ *     - rule: docker-compose-config   # rule id
+ *       file: "docker-compose.yml"    # glob: * within a folder, ** across folders
+ *       reason: Only used for local development
+ *       expires: 2026-12-31           # optional, YYYY-MM-DD
+ *     - fingerprint: 0a1b2c3d4e5f60   # one exact finding (see reportDiff.js)
+ *       reason: fetch() to our own IPFS node
+ *
+ * An entry needs a `reason` and at least one of rule / file / fingerprint;
+ * all given criteria must match. Accepted findings stay in the report but
+ * don't count toward the verdict. Expired entries stop applying.
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { globToRegex } from './glob.js';
+
+export const SUPPRESSION_FILES = ['.decentralens.yml', '.decentralens.yaml'];
+
+const USER_SUPPRESSIONS_KEY = 'decentralens.suppressions';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// YAML turns unquoted 2026-12-31 into a Date
+const toDay = (value) => value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+
+/**
+ * Parse and validate suppressions from YAML text (or an already parsed
+ * object). Invalid entries are left out and described in `problems`,
+ * so one typo doesn't void the whole file.
+ */
+export function parseSuppressions(source, origin) {
+    let data;
+    try {
+        data = typeof source === 'string' ? parseYaml(source) : source;
+    } catch (e) {
+        return { entries: [], problems: [`${origin} could not be parsed: ${e.message}`] };
+    }
+
+    const list = Array.isArray(data) ? data : data?.suppressions;
+    if (list == null) return { entries: [], problems: [] };
+    if (!Array.isArray(list)) return { entries: [], problems: [`${origin}: "suppressions" must be a list`] };
+
+    const entries = [];
+    const problems = [];
+    list.forEach((item, index) => {
+        const label = `${origin} suppression #${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            problems.push(`${label} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(item.reason)) {
+            problems.push(`${label} needs a "reason"`);
+            return;
+        }
+        if (![item.rule, item.file, item.fingerprint].some(isNonEmptyString)) {
+            problems.push(`${label} needs a "rule", "file" or "fingerprint"`);
+            return;
+        }
+        const expires = item.expires != null ? toDay(item.expires) : null;
+        if (expires && !/^\d{4}-\d{2}-\d{2}$/.test(expires)) {
+            problems.push(`${label} has an invalid "expires" (use YYYY-MM-DD)`);
+            return;
+        }
+        entries.push({
+            rule: item.rule || null,
+            file: item.file || null,
+            fingerprint: item.fingerprint || null,
+            reason: item.reason.trim(),
+            expires,
+            origin,
+            fileRegex: isNonEmptyString(item.file) ? globToRegex(item.file) : null
+        });
+    });
+    return { entries, problems };
+}
+
+/**
+ * Active suppressions for one scan. `now` decides which entries have expired.
+ */
+export class SuppressionSet {
+  constructor(entries = [], now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    this.active = entries.filter(e => !e.expires || e.expires >= today);
+    this.expired = entries.filter(e => e.expires && e.expires < today);
+    this.matches = new Map(); // entry -> findings it accepted
+  }
+
+  /**
+   * The first active entry matching a finding (with its fingerprint), or null.
+   */
+  match(finding) {
+      const entry = this.active.find(e =>
+          (!e.rule || e.rule === finding.ruleId)
+          && (!e.fileRegex || (finding.file && e.fileRegex.test(finding.file)))
+          && (!e.fingerprint || e.fingerprint === finding.fingerprint)
+      );
+      if (entry) this.matches.set(entry, (this.matches.get(entry) || 0) + 1);
+      return entry || null;
+  }
+
+  /**
+   * Entries as recorded in the report, with how many findings each accepted.
+   */
+  toReport() {
+      const describe = (entry, expired) => ({
+          rule: entry.rule,
+          file: entry.file,
+          fingerprint: entry.fingerprint,
+          reason: entry.reason,
+          expires: entry.expires,
+          origin: entry.origin,
+          expired,
+          matched: this.matches.get(entry) || 0
+      });
+      return [...this.active.map(e => describe(e, false)), ...this.expired.map(e => describe(e, true))];
+  }
+}
+
+/**
+ * Suppressions kept in this browser's settings (YAML text), or null.
+ */
+export function getUserSuppressions() {
+    if (typeof localStorage === 'undefined') return null;
+    return localStorage.getItem(USER_SUPPRESSIONS_KEY);
+}
+
+export function setUserSuppressions(text) {
+    if (typeof localStorage === 'undefined') return;
+    if (text && text.trim()) localStorage.setItem(USER_SUPPRESSIONS_KEY, text);
+    else localStorage.removeItem(USER_SUPPRESSIONS_KEY);
+}
@@ -0,0 +1,108 @@
+/**
+ * Worker Pool
+ * A fixed number of Web Workers fed from a FIFO queue. Each job resolves
+ * with its worker's reply; terminate() stops every worker and rejects
+ * whatever is still queued or running (used for cancellation).
+ */
+
+import { analyzeFile } from './fileAnalysis.js';
+
+// Upper bound on scan workers, whatever the machine reports
+const MAX_SCAN_WORKERS = 4;
+
+export class WorkerPool {
+  constructor(createWorker, size) {
+    this.createWorker = createWorker;
+    this.size = Math.max(1, size);
+    this.idle = [];
+    this.workers = [];
+    this.queue = [];
+    this.pending = new Map(); // job id -> { resolve, reject, worker }
+    this.nextId = 0;
+    this.terminated = false;
+  }
+
+  run(message) {
+      if (this.terminated) return Promise.reject(new DOMException('Worker pool terminated', 'AbortError'));
+      return new Promise((resolve, reject) => {
+          this.queue.push({ id: this.nextId++, message, resolve, reject });
+          this._dispatch();
+      });
+  }
+
+  _dispatch() {
+      while (this.queue.length > 0) {
+          let worker = this.idle.pop();
+          if (!worker && this.workers.length < this.size) worker = this._spawn();
+          if (!worker) return;
+
+          const { id, message, resolve, reject } = this.queue.shift();
+          this.pending.set(id, { resolve, reject, worker });
+          worker.postMessage({ ...message, id });
+      }
+  }
+
+  _spawn() {
+      const worker = this.createWorker();
+      worker.onmessage = ({ data }) => {
+          const job = this.pending.get(data.id);
+          if (!job) return;
+          this.pending.delete(data.id);
+          if (data.error) job.reject(new Error(data.error));
+          else job.resolve(data.result);
+          this.idle.push(worker);
+          this._dispatch();
+      };
+      worker.onerror = (event) => {
+          // A crashed worker fails its own job only
+          this.pending.forEach((job, id) => {
+              if (job.worker !== worker) return;
+              this.pending.delete(id);
+              job.reject(new Error(event.message || 'Scan worker failed'));
+          });
+          this.idle.push(worker);
+          this._dispatch();
+      };
+      this.workers.push(worker);
+      return worker;
+  }
+
+  terminate() {
+      this.terminated = true;
+      this.workers.forEach(w => w.terminate());
+      const error = new DOMException('Worker pool terminated', 'AbortError');
+      this.pending.forEach(job => job.reject(error));
+      this.queue.forEach(job => job.reject(error));
+      this.pending.clear();
+      this.queue = [];
+      this.workers = [];
+      this.idle = [];
+  }
+}
+
+/**
+ * File analyzer for one scan: a pool of scan workers where Web Workers
+ * exist (browser), plain inline calls otherwise (Node CLI).
+ * Returns { analyze(job) -> Promise, close() }.
+ */
+export function createFileAnalyzer(rules) {
+    if (typeof Worker === 'undefined') {
+        return { analyze: async (job) => analyzeFile(job, rules), close: () => {} };
+    }
+
+    const size = Math.min(MAX_SCAN_WORKERS, globalThis.navigator?.hardwareConcurrency || 2);
+    const pool = new WorkerPool(() => {
+        const worker = new Worker(new URL('../workers/scanWorker.js', import.meta.url), { type: 'module' });
+        worker.postMessage({ type: 'init', packs: rules.sources });
+        return worker;
+    }, size);
+
+    return {
+        // A worker that can't load or crashes shouldn't lose the file: redo it inline
+        analyze: (job) => pool.run({ job }).catch(e => {
+            if (e.name === 'AbortError') throw e;
+            return analyzeFile(job, rules);
+        }),
+        close: () => pool.terminate()
+    };
+}
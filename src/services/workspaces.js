@@ -0,0 +1,122 @@
+/**
+ * Workspaces (Monorepos)
+ * Resolves a monorepo's packages from the workspace config at the project root:
+ *
+ *   package.json         "workspaces": [...] or { "packages": [...] } (npm, yarn)
+ *   pnpm-workspace.yaml  packages: [...], "!pattern" excludes
+ *   lerna.json           packages: [...]; without it, the package manager's list or packages/*
+ *   nx.json              every folder with a project.json is a project
+ *   turbo.json           the package manager's list; apps/* and packages/* without one
+ *
+ * A workspace is a folder matched by a pattern that holds a dependency
+ * manifest (or an nx project.json). Files belong to the deepest workspace
+ * containing them, everything else to the root ('').
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { globToRegex } from './glob.js';
+import { isManifest } from './manifests.js';
+
+export const WORKSPACE_FILES = ['package.json', 'pnpm-workspace.yaml', 'lerna.json', 'nx.json', 'turbo.json'];
+
+const LERNA_DEFAULTS = ['packages/*'];
+const TURBO_DEFAULTS = ['apps/*', 'packages/*'];
+
+const stringList = (value) => Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()) : [];
+
+// Config text -> workspace patterns it declares
+const PATTERN_READERS = {
+    'package.json': (text) => {
+        const { workspaces } = JSON.parse(text);
+        return stringList(Array.isArray(workspaces) ? workspaces : workspaces?.packages); // yarn: { packages, nohoist }
+    },
+    'pnpm-workspace.yaml': (text) => stringList(parseYaml(text)?.packages),
+    'lerna.json': (text) => stringList(JSON.parse(text).packages)
+};
+
+// "./packages/*/" -> "packages/*"
+const normalizePattern = (pattern) => pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+
+/**
+ * Resolve the workspaces of a project.
+ * - configs: { [file]: text } for the WORKSPACE_FILES present at the root
+ * - paths:   every file path in the project
+ *
+ * Returns { sources, workspaces: [{ path }], problems }: the config files
+ * that declared workspaces, the workspace folders sorted by path, and configs
+ * that could not be read. A project that isn't a monorepo has no workspaces.
+ */
+export function resolveWorkspaces(configs, paths) {
+    const problems = [];
+    const declared = {};
+    Object.entries(PATTERN_READERS).forEach(([file, read]) => {
+        if (configs[file] == null) return;
+        try {
+            const patterns = read(configs[file]);
+            if (patterns.length > 0) declared[file] = patterns;
+        } catch (e) {
+            problems.push(`${file} could not be parsed: ${e.message}`);
+        }
+    });
+
+    // Lerna and Turborepo fall back to conventional folders when no package manager lists them
+    const managed = declared['package.json'] || declared['pnpm-workspace.yaml'];
+    if (configs['lerna.json'] != null && !declared['lerna.json'] && !managed) declared['lerna.json'] = LERNA_DEFAULTS;
+    if (configs['turbo.json'] != null && !managed) declared['turbo.json'] = TURBO_DEFAULTS;
+    const nx = configs['nx.json'] != null;
+
+    const patterns = Object.values(declared).flat().map(normalizePattern);
+    const include = patterns.filter(p => !p.startsWith('!')).map(p => globToRegex(p, { basename: false }));
+    const exclude = patterns.filter(p => p.startsWith('!')).map(p => globToRegex(normalizePattern(p.slice(1)), { basename: false }));
+
+    const folders = new Set();
+    paths.forEach(path => {
+        const slash = path.lastIndexOf('/');
+        if (slash === -1) return; // The root is not a workspace of itself
+        const folder = path.slice(0, slash);
+        const file = path.slice(slash + 1);
+        if (folder.split('/').includes('node_modules')) return;
+
+        const project = nx && file === 'project.json';
+        const listed = isManifest(file) && include.some(r => r.test(folder)) && !exclude.some(r => r.test(folder));
+        if (project || listed) folders.add(folder);
+    });
+
+    const workspaces = [...folders].sort().map(path => ({ path }));
+    const sources = workspaces.length > 0 ? [...Object.keys(declared), ...(nx ? ['nx.json'] : [])] : [];
+    return { sources, workspaces, problems };
+}
+
+/**
+ * Path of the workspace a file belongs to: the deepest one containing it,
+ * '' (the root) when none does.
+ */
+export function workspaceOf(workspaces, file) {
+    let owner = '';
+    workspaces.forEach(({ path }) => {
+        if (typeof file === 'string' && file.startsWith(`${path}/`) && path.length > owner.length) owner = path;
+    });
+    return owner;
+}
+
+/**
+ * Rollup of per-workspace results ({ name, path, level, score, offline }):
+ * how many workspaces reached each verdict level and offline status, and the
+ * lowest-scoring workspace with a scored verdict (not UNKNOWN or HUMAN_REVIEW).
+ */
+export function rollupWorkspaces(items) {
+    const tally = (keyOf) => items.reduce((counts, item) => {
+        counts[keyOf(item)] = (counts[keyOf(item)] || 0) + 1;
+        return counts;
+    }, {});
+    const weakest = items
+        .filter(item => item.level !== 'UNKNOWN' && item.level !== 'HUMAN_REVIEW')
+        .reduce((lowest, item) => !lowest || item.score < lowest.score ? item : lowest, null);
+
+    return {
+        workspaces: items.length,
+        levels: tally(item => item.level),
+        offline: tally(item => item.offline.status),
+        weakest: weakest && { name: weakest.name, path: weakest.path, score: weakest.score, level: weakest.level }
+    };
+}
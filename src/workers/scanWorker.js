@@ -0,0 +1,22 @@
+/**
+ * Scan Worker
+ * Runs analyzeFile off the main thread. The rule set is rebuilt from the
+ * analyzer's packs on `init`; every other message is one file job.
+ */
+
+import { RuleSet } from '../services/rules.js';
+import { analyzeFile } from '../services/fileAnalysis.js';
+
+let rules = null;
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'init') {
+        rules = new RuleSet(data.packs);
+        return;
+    }
+    try {
+        self.postMessage({ id: data.id, result: analyzeFile(data.job, rules) });
+    } catch (e) {
+        self.postMessage({ id: data.id, error: e.message });
+    }
+};